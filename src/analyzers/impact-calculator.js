@@ -1,5 +1,6 @@
 export class ImpactCalculator {
-  constructor() {
+  constructor(options = {}) {
+    this.now = options.now || Date.now; // Reloj de la auditoría: vigencia de Expires
     // Factores de mejora basados en estudios reales de Google y otras fuentes
     this.factors = {
       imageOptimization: {
@@ -414,10 +415,13 @@ export class ImpactCalculator {
   }
 
   // Helper methods para obtener datos
+  // TTFB medido a nivel de socket (mediana de varias muestras); PSI solo si no hay medición propia
   getCurrentTTFB(pageData) {
-    return pageData.pagespeedInsights?.mobile?.detailedMetrics?.ttfb?.numericValue ||
-           pageData.pagespeedInsights?.desktop?.detailedMetrics?.ttfb?.numericValue ||
-           pageData.performance?.responseTime || 0;
+    return pageData.timing?.median?.ttfb ??
+           pageData.performance?.timing?.median?.ttfb ??
+           pageData.uptime?.timing?.median?.ttfb ??
+           (pageData.pagespeedInsights?.mobile?.detailedMetrics?.ttfb?.numericValue ||
+           pageData.pagespeedInsights?.desktop?.detailedMetrics?.ttfb?.numericValue || 0);
   }
 
   countBlockingScripts(pageData) {
@@ -637,7 +641,7 @@ export class ImpactCalculator {
   isValidExpires(expires) {
     if (!expires) return false;
     const date = new Date(expires);
-    return !isNaN(date.getTime()) && date > new Date();
+    return !isNaN(date.getTime()) && date.getTime() > this.now();
   }
 
   analyzeCompression(headers) {
@@ -1,8 +1,15 @@
 import { LighthouseService } from '../lighthouse-service.js';
+import { ChromePool } from '../rendering/chrome-pool.js';
+import { WorkerPool } from '../utils/worker-pool.js';
 
 export class LighthouseLocalAnalyzer {
-  constructor() {
-    this.lighthouseService = new LighthouseService();
+  // options: runs, formFactor, throttling, lhrDir (mismos ajustes que LighthouseService);
+  // chromeInstances o un `pool` compartido para auditar varias páginas en paralelo
+  constructor(options = {}) {
+    const { pool, chromeInstances, ...settings } = options;
+    this.ownsPool = !pool;
+    this.pool = pool || new ChromePool({ size: chromeInstances });
+    this.lighthouseService = new LighthouseService({ ...settings, pool: this.pool });
   }
 
   async runLocalLighthouse(url, options = {}) {
@@ -30,9 +37,9 @@ export class LighthouseLocalAnalyzer {
           displayValue: `${results.accessibility}/100`
         },
         bestPractices: {
-          score: results['best-practices'],
-          status: this.getScoreStatus(results['best-practices']),
-          displayValue: `${results['best-practices']}/100`
+          score: results.bestPractices,
+          status: this.getScoreStatus(results.bestPractices),
+          displayValue: `${results.bestPractices}/100`
         },
         seo: {
           score: results.seo,
@@ -46,8 +53,12 @@ export class LighthouseLocalAnalyzer {
         },
         detailedMetrics: results.additionalMetrics || {},
         diagnostics: this.extractTopIssues(results),
+        settings: results.settings,
+        runs: results.runs,
+        medianRun: results.medianRun,
+        variance: results.variance,
         summary: {
-          overallScore: Math.round((results.performance + results.accessibility + results['best-practices'] + results.seo) / 4),
+          overallScore: Math.round((results.performance + results.accessibility + results.bestPractices + results.seo) / 4),
           coreWebVitalsScore: this.calculateCoreWebVitalsScore(results.coreWebVitals),
           generatedAt: new Date().toISOString(),
           source: 'Lighthouse Local'
@@ -126,12 +137,12 @@ export class LighthouseLocalAnalyzer {
     }
 
     // Best Practices issues
-    if (results['best-practices'] < 70) {
+    if (results.bestPractices < 70) {
       issues.push({
         category: 'Best Practices',
         severity: 'medium',
         title: 'Mejores prácticas no optimizadas',
-        description: `Puntuación de mejores prácticas: ${results['best-practices']}/100`
+        description: `Puntuación de mejores prácticas: ${results.bestPractices}/100`
       });
     }
 
@@ -170,32 +181,34 @@ export class LighthouseLocalAnalyzer {
   async runMultiplePagesAnalysis(urls, options = {}) {
     console.log(`🏮 Ejecutando Lighthouse local para ${urls.length} páginas...`);
 
-    const results = [];
     let totalTime = 0;
+    const startAll = Date.now();
 
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
-      console.log(`📄 Analizando ${i + 1}/${urls.length}: ${url}`);
-
-      const startTime = Date.now();
-      const result = await this.runLocalLighthouse(url, options);
-      const analysisTime = Date.now() - startTime;
-      totalTime += analysisTime;
+    // Una página por instancia de Chrome del pool
+    const workers = new WorkerPool({ concurrency: this.pool.size });
+    let results;
+    try {
+      results = await workers.run(urls, async (url, i) => {
+        console.log(`📄 Analizando ${i + 1}/${urls.length}: ${url}`);
 
-      result.url = url;
-      result.analysisTime = analysisTime;
-      results.push(result);
+        const startTime = Date.now();
+        const result = await this.runLocalLighthouse(url, options);
+        const analysisTime = Date.now() - startTime;
+        totalTime += analysisTime;
 
-      // Pequeña pausa entre análisis para no sobrecargar
-      if (i < urls.length - 1) {
-        await this.sleep(2000);
-      }
+        result.url = url;
+        result.analysisTime = analysisTime;
+        return result;
+      });
+    } finally {
+      if (this.ownsPool) await this.pool.close();
     }
 
     // Generar resumen consolidado
     const summary = this.generateMultiPageSummary(results);
 
-    console.log(`✅ Análisis múltiple completado - ${results.length} páginas en ${(totalTime/1000).toFixed(1)}s`);
+    const wallTime = Date.now() - startAll;
+    console.log(`✅ Análisis múltiple completado - ${results.length} páginas en ${(wallTime/1000).toFixed(1)}s (${this.pool.size} instancias de Chrome)`);
 
     return {
       results: results,
@@ -204,6 +217,9 @@ export class LighthouseLocalAnalyzer {
         totalPages: urls.length,
         totalTime: totalTime,
         averageTime: totalTime / urls.length,
+        wallTime,
+        chromeInstances: this.pool.size,
+        settings: results[0]?.settings || null,
         generatedAt: new Date().toISOString()
       }
     };
@@ -314,14 +330,13 @@ export class LighthouseLocalAnalyzer {
     return recommendations;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   async cleanup() {
     if (this.lighthouseService) {
       await this.lighthouseService.cleanup();
     }
+    if (this.ownsPool) {
+      await this.pool.close();
+    }
   }
 }
 
@@ -0,0 +1,222 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { HostRateLimiter } from '../utils/host-rate-limiter.js';
+import { WorkerPool } from '../utils/worker-pool.js';
+import { AUDIT_USER_AGENT } from '../discovery/robots-txt.js';
+
+// Verificador de enlaces de todo el sitio: cada destino se comprueba una sola vez
+// aunque aparezca en muchas páginas, y se recuerda en qué páginas aparece.
+export class LinkChecker {
+  constructor(options = {}) {
+    this.baseHost = options.baseUrl ? this.stripWww(new URL(options.baseUrl).hostname) : null;
+    this.robots = options.robots || null;
+    this.limiter = options.limiter || new HostRateLimiter({ concurrency: 2, delayMs: 200 });
+    this.concurrency = options.concurrency || 6; // Destinos en paralelo (el limiter acota por host)
+    this.timeout = options.timeout || 8000;
+    this.maxRedirects = options.maxRedirects ?? 10;
+    this.maxLinks = options.maxLinks ?? 1000; // Presupuesto de destinos únicos a verificar
+    this.userAgent = options.userAgent || AUDIT_USER_AGENT;
+    this.auth = options.auth || null; // Solo envía credenciales a enlaces del sitio auditado
+
+    this.targets = new Map(); // url destino → { url, internal, sources: Set }
+    this.results = new Map(); // url destino → Promise<resultado>
+  }
+
+  extractLinks(html, sourceUrl) {
+    const $ = cheerio.load(html || '');
+    const links = new Set();
+
+    $('a[href]').each((i, el) => {
+      const resolved = this.resolve($(el).attr('href'), sourceUrl);
+      if (resolved) links.add(resolved);
+    });
+
+    return Array.from(links);
+  }
+
+  resolve(href, sourceUrl) {
+    if (!href) return null;
+    const trimmed = href.trim();
+    if (!trimmed || /^(mailto:|tel:|javascript:|data:|#)/i.test(trimmed)) return null;
+
+    try {
+      const url = new URL(trimmed, sourceUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  addLinks(sourceUrl, urls) {
+    urls.forEach(url => {
+      if (!this.targets.has(url)) {
+        this.targets.set(url, { url, internal: this.isInternal(url), sources: new Set() });
+      }
+      this.targets.get(url).sources.add(sourceUrl);
+    });
+  }
+
+  addPage(sourceUrl, html) {
+    const links = this.extractLinks(html, sourceUrl);
+    this.addLinks(sourceUrl, links);
+    return links;
+  }
+
+  isInternal(url) {
+    if (!this.baseHost) return false;
+    try {
+      return this.stripWww(new URL(url).hostname) === this.baseHost;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  stripWww(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  // Verifica todos los destinos registrados que aún no se comprobaron (dentro del presupuesto)
+  async checkPending() {
+    const pending = Array.from(this.targets.keys())
+      .filter(url => !this.results.has(url))
+      .slice(0, Math.max(0, this.maxLinks - this.results.size));
+
+    const pool = new WorkerPool({ concurrency: this.concurrency });
+    await pool.run(pending, url => this.checkUrl(url));
+  }
+
+  checkUrl(url) {
+    if (!this.results.has(url)) {
+      this.results.set(url, this.runCheck(url));
+    }
+    return this.results.get(url);
+  }
+
+  async runCheck(url) {
+    if (this.robots && !(await this.robots.isAllowed(url))) {
+      return { url, skipped: 'robots', broken: false, redirectChain: [] };
+    }
+
+    const redirectChain = [];
+    const visited = new Set();
+    let current = url;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      if (visited.has(current)) {
+        return { url, broken: true, error: 'REDIRECT_LOOP', redirectLoop: true, redirectChain, finalUrl: current };
+      }
+      visited.add(current);
+
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        return { url, broken: true, error: error.code || 'TIMEOUT', redirectChain, finalUrl: current };
+      }
+
+      const location = response.headers?.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        const next = this.resolve(location, current);
+        redirectChain.push({ url: current, status: response.status, location: next || location });
+        if (!next) {
+          return { url, broken: true, error: 'INVALID_REDIRECT', redirectChain, finalUrl: current };
+        }
+        current = next;
+        continue;
+      }
+
+      return {
+        url,
+        status: response.status,
+        method: response.method,
+        finalUrl: current,
+        redirectChain,
+        rateLimited: response.status === 429,
+        broken: response.status >= 400 && response.status !== 429 // 429 no es un enlace roto, solo nos frenaron
+      };
+    }
+
+    return { url, broken: true, error: 'TOO_MANY_REDIRECTS', redirectChain, finalUrl: current };
+  }
+
+  // HEAD primero; muchos servidores/WAF rechazan HEAD (405/403/501) pero responden bien a GET
+  async request(url) {
+    if (this.robots) {
+      await this.robots.applyCrawlDelay(this.limiter, url, this.limiter.delayMs);
+    }
+
+    return this.limiter.schedule(url, async () => {
+      const head = await this.send('head', url);
+      if (![403, 405, 501].includes(head.status)) {
+        return { status: head.status, headers: head.headers, method: 'HEAD' };
+      }
+
+      const get = await this.send('get', url);
+      get.data?.destroy?.(); // Solo interesa el status: no descargar el cuerpo
+      return { status: get.status, headers: get.headers, method: 'GET' };
+    });
+  }
+
+  send(method, url) {
+    return axios.request({
+      method,
+      url,
+      timeout: this.timeout,
+      maxRedirects: 0, // Las redirecciones se siguen a mano para registrar la cadena
+      responseType: method === 'get' ? 'stream' : 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': this.userAgent, ...this.auth?.headersFor(url) }
+    });
+  }
+
+  // Reporte global, o solo de los enlaces presentes en `sourceUrl`
+  async getReport(sourceUrl = null) {
+    const targets = Array.from(this.targets.values())
+      .filter(target => !sourceUrl || target.sources.has(sourceUrl));
+
+    const checkedResults = [];
+    for (const target of targets) {
+      if (!this.results.has(target.url)) continue;
+      checkedResults.push({ ...(await this.results.get(target.url)), internal: target.internal, sources: Array.from(target.sources) });
+    }
+
+    const broken = checkedResults.filter(result => result.broken);
+    const skippedByRobots = checkedResults.filter(result => result.skipped === 'robots').map(result => result.url);
+    const redirected = checkedResults.filter(result => result.redirectChain.length > 0 && !result.broken);
+
+    return {
+      total: targets.length,
+      checked: checkedResults.length - skippedByRobots.length,
+      unchecked: targets.length - checkedResults.length,
+      internal: targets.filter(target => target.internal).length,
+      external: targets.filter(target => !target.internal).length,
+      broken: broken.length,
+      brokenInternal: broken.filter(result => result.internal).length,
+      brokenExternal: broken.filter(result => !result.internal).length,
+      brokenLinks: broken.map(result => ({
+        url: result.url,
+        ...(result.status && { status: result.status }),
+        ...(result.error && { error: result.error }),
+        internal: result.internal,
+        redirectChain: result.redirectChain,
+        sources: result.sources
+      })),
+      redirects: redirected.map(result => ({
+        url: result.url,
+        finalUrl: result.finalUrl,
+        hops: result.redirectChain.length,
+        chain: result.redirectChain,
+        internal: result.internal,
+        sources: result.sources
+      })),
+      redirectLoops: broken.filter(result => result.redirectLoop).length,
+      rateLimited: checkedResults.filter(result => result.rateLimited).map(result => result.url),
+      skippedByRobots,
+      status: broken.length === 0 ? 'good' : broken.length < 3 ? 'warning' : 'bad'
+    };
+  }
+}
+
+export default LinkChecker;
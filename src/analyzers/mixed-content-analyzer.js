@@ -0,0 +1,147 @@
+import * as cheerio from 'cheerio';
+
+// Recursos http:// en páginas https://. Activo = el navegador lo bloquea (scripts, CSS, iframes, fuentes...);
+// pasivo = imágenes/audio/video, que se muestran con advertencia o se auto-actualizan a https.
+const ELEMENT_RULES = [
+  { selector: 'script[src]', attribute: 'src', type: 'script', active: true },
+  { selector: 'iframe[src]', attribute: 'src', type: 'iframe', active: true },
+  { selector: 'frame[src]', attribute: 'src', type: 'iframe', active: true },
+  { selector: 'object[data]', attribute: 'data', type: 'object', active: true },
+  { selector: 'embed[src]', attribute: 'src', type: 'object', active: true },
+  { selector: 'form[action]', attribute: 'action', type: 'form', active: true },
+  { selector: 'img[src]', attribute: 'src', type: 'image', active: false },
+  { selector: 'img[srcset], source[srcset]', attribute: 'srcset', type: 'image', active: false },
+  { selector: 'video[src], audio[src], source[src], track[src]', attribute: 'src', type: 'media', active: false },
+  { selector: 'video[poster]', attribute: 'poster', type: 'image', active: false }
+];
+
+const ACTIVE_PRELOADS = ['script', 'style', 'font', 'fetch', 'worker', 'document'];
+
+export class MixedContentAnalyzer {
+  constructor(options = {}) {
+    this.maxUrlsPerPage = options.maxUrlsPerPage ?? 50;
+  }
+
+  analyzePage(pageUrl, html) {
+    const isHTTPS = pageUrl?.startsWith('https:');
+    const result = { url: pageUrl, https: Boolean(isHTTPS), active: [], passive: [], activeCount: 0, passiveCount: 0, total: 0, status: 'good' };
+    if (!isHTTPS || !html) return result;
+
+    const $ = cheerio.load(html);
+    const found = new Map(); // url → hallazgo (un recurso cuenta una vez por página)
+
+    const record = (rawUrl, type, active, source) => {
+      const url = this.resolveInsecure(rawUrl, pageUrl);
+      if (!url) return;
+      const existing = found.get(url);
+      // Si el mismo recurso aparece como activo y pasivo, prevalece activo
+      if (!existing || (active && !existing.active)) {
+        found.set(url, { url, type, active, source });
+      }
+    };
+
+    ELEMENT_RULES.forEach(rule => {
+      $(rule.selector).each((i, el) => {
+        const value = $(el).attr(rule.attribute);
+        const urls = rule.attribute === 'srcset' ? this.parseSrcset(value) : [value];
+        urls.forEach(url => record(url, rule.type, rule.active, `<${el.tagName} ${rule.attribute}>`));
+      });
+    });
+
+    $('link[href]').each((i, el) => {
+      const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+      const as = ($(el).attr('as') || '').toLowerCase();
+      if (rel.includes('stylesheet')) {
+        record($(el).attr('href'), 'stylesheet', true, '<link rel="stylesheet">');
+      } else if ((rel.includes('preload') || rel.includes('modulepreload')) && (ACTIVE_PRELOADS.includes(as) || rel.includes('modulepreload'))) {
+        record($(el).attr('href'), as || 'script', true, `<link rel="${rel.join(' ')}">`);
+      } else if (rel.includes('icon') || rel.includes('apple-touch-icon') || (rel.includes('preload') && as === 'image')) {
+        record($(el).attr('href'), 'image', false, `<link rel="${rel.join(' ')}">`);
+      }
+    });
+
+    // CSS inline: <style> y atributos style=""
+    $('style').each((i, el) => {
+      this.extractCssUrls($(el).html() || '').forEach(({ url, active, type }) => record(url, type, active, '<style>'));
+    });
+    $('[style]').each((i, el) => {
+      this.extractCssUrls($(el).attr('style') || '').forEach(({ url, active, type }) => record(url, type, active, `<${el.tagName} style>`));
+    });
+
+    const findings = Array.from(found.values());
+    result.active = findings.filter(finding => finding.active).slice(0, this.maxUrlsPerPage).map(({ active, ...finding }) => finding);
+    result.passive = findings.filter(finding => !finding.active).slice(0, this.maxUrlsPerPage).map(({ active, ...finding }) => finding);
+    result.activeCount = findings.filter(finding => finding.active).length;
+    result.passiveCount = findings.length - result.activeCount;
+    result.total = findings.length;
+    result.status = result.activeCount > 0 ? 'bad' : result.passiveCount > 0 ? 'warning' : 'good';
+
+    return result;
+  }
+
+  // @import y fuentes de @font-face se bloquean como contenido activo; el resto (fondos) es pasivo
+  extractCssUrls(css) {
+    const urls = [];
+
+    const importRegex = /@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?/gi;
+    let match;
+    while ((match = importRegex.exec(css)) !== null) {
+      urls.push({ url: match[1], active: true, type: 'stylesheet' });
+    }
+
+    const fontFaceRanges = [];
+    const fontFaceRegex = /@font-face\s*{[^}]*}/gi;
+    while ((match = fontFaceRegex.exec(css)) !== null) {
+      fontFaceRanges.push([match.index, match.index + match[0].length]);
+    }
+
+    const urlRegex = /url\(\s*["']?([^"')]+)["']?\s*\)/gi;
+    while ((match = urlRegex.exec(css)) !== null) {
+      const inFontFace = fontFaceRanges.some(([start, end]) => match.index >= start && match.index < end);
+      urls.push({ url: match[1], active: inFontFace, type: inFontFace ? 'font' : 'image' });
+    }
+
+    return urls;
+  }
+
+  parseSrcset(srcset) {
+    return (srcset || '')
+      .split(',')
+      .map(candidate => candidate.trim().split(/\s+/)[0])
+      .filter(Boolean);
+  }
+
+  // Las URLs relativas y las "//host" heredan https de la página: solo cuentan las http:// explícitas
+  resolveInsecure(rawUrl, pageUrl) {
+    if (!rawUrl) return null;
+    const trimmed = rawUrl.trim();
+    if (!/^http:\/\//i.test(trimmed)) return null;
+
+    try {
+      const url = new URL(trimmed, pageUrl);
+      return url.protocol === 'http:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  summarizeSite(pageResults) {
+    const analyzed = pageResults.filter(page => page?.https);
+    const affected = analyzed.filter(page => page.total > 0);
+
+    const activeCount = affected.reduce((sum, page) => sum + page.activeCount, 0);
+    const passiveCount = affected.reduce((sum, page) => sum + page.passiveCount, 0);
+
+    return {
+      pagesAnalyzed: analyzed.length,
+      affectedPages: affected.length,
+      pagesWithActive: affected.filter(page => page.activeCount > 0).length,
+      activeCount,
+      passiveCount,
+      pages: affected,
+      status: activeCount > 0 ? 'bad' : passiveCount > 0 ? 'warning' : 'good'
+    };
+  }
+}
+
+export default MixedContentAnalyzer;
@@ -0,0 +1,215 @@
+import axios from 'axios';
+import { HostRateLimiter } from '../utils/host-rate-limiter.js';
+import { AUDIT_USER_AGENT } from '../discovery/robots-txt.js';
+
+const PERMANENT_STATUSES = [301, 308];
+
+// Analiza cómo se canonicaliza el origen: http/https × www/apex y rutas con/sin barra final.
+// Las redirecciones se siguen a mano para registrar cada salto con su status.
+export class RedirectAnalyzer {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.maxRedirects = options.maxRedirects ?? 10;
+    this.limiter = options.limiter || new HostRateLimiter({ concurrency: 2, delayMs: 200 });
+    this.userAgent = options.userAgent || AUDIT_USER_AGENT;
+    this.auth = options.auth || null;
+    this.maxSamplePaths = options.maxSamplePaths ?? 3;
+  }
+
+  async analyze(url, sampleUrls = []) {
+    const target = new URL(url);
+    const apex = target.hostname.replace(/^www\./i, '');
+    const hasWwwVariant = !/^\d+\.\d+\.\d+\.\d+$/.test(apex) && apex.includes('.'); // IPs y localhost no tienen www
+    const port = target.port ? `:${target.port}` : '';
+
+    const originVariants = ['http', 'https'].flatMap(protocol => [
+      `${protocol}://${apex}${port}/`,
+      ...(hasWwwVariant ? [`${protocol}://www.${apex}${port}/`] : [])
+    ]);
+
+    const variants = await Promise.all(originVariants.map(variantUrl => this.followChain(variantUrl)));
+    const canonicalOrigin = this.detectCanonicalOrigin(variants, target);
+    const paths = await this.analyzeTrailingSlash(canonicalOrigin, [url, ...sampleUrls]);
+
+    const issues = [
+      ...variants.flatMap(variant => variant.issues),
+      ...paths.flatMap(pathResult => pathResult.issues),
+      ...this.checkConsistency(variants, canonicalOrigin)
+    ];
+
+    const httpVariants = variants.filter(variant => variant.url.startsWith('http:'));
+    const httpsEnforced = httpVariants.length > 0 &&
+      httpVariants.every(variant => variant.unreachable || variant.finalUrl?.startsWith('https:'));
+
+    return {
+      canonicalOrigin,
+      httpsEnforced,
+      wwwConsistent: !issues.some(issue => issue.type === 'inconsistent-canonical'),
+      variants,
+      paths,
+      issues,
+      status: issues.some(issue => issue.severity === 'critical' || issue.severity === 'high') ? 'bad' :
+        issues.length > 0 ? 'warning' : 'good'
+    };
+  }
+
+  async followChain(url) {
+    const chain = [];
+    const visited = new Set();
+    let current = url;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      if (visited.has(current)) {
+        return this.summarizeChain(url, chain, { finalUrl: current, loop: true });
+      }
+      visited.add(current);
+
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        return this.summarizeChain(url, chain, { finalUrl: current, error: error.code || error.message });
+      }
+
+      const location = response.headers?.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        let next;
+        try {
+          next = new URL(location, current).href;
+        } catch (error) {
+          return this.summarizeChain(url, chain, { finalUrl: current, error: 'INVALID_REDIRECT' });
+        }
+        chain.push({ from: current, to: next, status: response.status });
+        current = next;
+        continue;
+      }
+
+      return this.summarizeChain(url, chain, { finalUrl: current, finalStatus: response.status });
+    }
+
+    return this.summarizeChain(url, chain, { finalUrl: current, error: 'TOO_MANY_REDIRECTS' });
+  }
+
+  summarizeChain(url, chain, outcome) {
+    const issues = [];
+
+    if (outcome.loop) {
+      issues.push({ severity: 'critical', type: 'redirect-loop', url, message: `Bucle de redirecciones desde ${url}` });
+    } else if (outcome.error === 'TOO_MANY_REDIRECTS') {
+      issues.push({ severity: 'critical', type: 'too-many-redirects', url, message: `Más de ${this.maxRedirects} redirecciones desde ${url}` });
+    }
+
+    if (chain.length > 1) {
+      issues.push({ severity: 'medium', type: 'redirect-chain', url, message: `${url} necesita ${chain.length} saltos para llegar a ${outcome.finalUrl}` });
+    }
+
+    chain.forEach(hop => {
+      if (!PERMANENT_STATUSES.includes(hop.status)) {
+        issues.push({ severity: 'medium', type: 'temporary-redirect', url: hop.from, message: `${hop.from} usa ${hop.status} en lugar de 301/308` });
+      }
+      if (hop.from.startsWith('https:') && hop.to.startsWith('http:')) {
+        issues.push({ severity: 'high', type: 'https-downgrade', url: hop.from, message: `Redirección de HTTPS a HTTP: ${hop.from} → ${hop.to}` });
+      }
+    });
+
+    // http:// que responde contenido sin redirigir a https
+    if (url.startsWith('http:') && !outcome.error && outcome.finalStatus < 400 && outcome.finalUrl.startsWith('http:')) {
+      issues.push({ severity: 'high', type: 'http-not-redirected', url, message: `${url} se sirve sin redirigir a HTTPS` });
+    }
+
+    return {
+      url,
+      chain,
+      hops: chain.length,
+      finalUrl: outcome.finalUrl,
+      finalStatus: outcome.finalStatus ?? null,
+      loop: Boolean(outcome.loop),
+      unreachable: Boolean(outcome.error) && !outcome.loop && outcome.error !== 'TOO_MANY_REDIRECTS',
+      error: outcome.error || null,
+      issues
+    };
+  }
+
+  // Origen al que llega la mayoría de variantes (desempate: el de la URL auditada)
+  detectCanonicalOrigin(variants, target) {
+    const counts = new Map();
+    variants
+      .filter(variant => !variant.error && variant.finalStatus < 400)
+      .forEach(variant => {
+        const origin = new URL(variant.finalUrl).origin;
+        counts.set(origin, (counts.get(origin) || 0) + 1);
+      });
+
+    if (counts.size === 0) return target.origin;
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || (a[0] === target.origin ? -1 : b[0] === target.origin ? 1 : 0))[0][0];
+  }
+
+  checkConsistency(variants, canonicalOrigin) {
+    const reachable = variants.filter(variant => !variant.error && variant.finalStatus < 400);
+    const divergent = reachable.filter(variant => new URL(variant.finalUrl).origin !== canonicalOrigin);
+
+    if (divergent.length === 0) return [];
+
+    return [{
+      severity: 'high',
+      type: 'inconsistent-canonical',
+      url: divergent[0].url,
+      message: `Las variantes del dominio no convergen en ${canonicalOrigin}: ${divergent.map(v => `${v.url} → ${v.finalUrl}`).join(', ')} (contenido duplicado)`
+    }];
+  }
+
+  async analyzeTrailingSlash(canonicalOrigin, urls) {
+    const paths = [...new Set(urls
+      .map(url => {
+        try {
+          return new URL(url).pathname;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(path => path && path !== '/' && !/\.[a-z0-9]{2,5}$/i.test(path))
+      .map(path => path.replace(/\/+$/, '')))]
+      .slice(0, this.maxSamplePaths);
+
+    return Promise.all(paths.map(async path => {
+      const [withoutSlash, withSlash] = await Promise.all([
+        this.followChain(`${canonicalOrigin}${path}`),
+        this.followChain(`${canonicalOrigin}${path}/`)
+      ]);
+
+      // HTTPS ya se evalúa en las variantes de origen: aquí solo interesa la barra final
+      const issues = [...withoutSlash.issues, ...withSlash.issues].filter(issue => issue.type !== 'http-not-redirected');
+      const bothServed = withoutSlash.hops === 0 && withSlash.hops === 0 &&
+        withoutSlash.finalStatus < 400 && withSlash.finalStatus < 400;
+
+      if (bothServed) {
+        issues.push({
+          severity: 'medium',
+          type: 'trailing-slash-duplicate',
+          url: `${canonicalOrigin}${path}`,
+          message: `${path} y ${path}/ responden 200 sin redirigir (contenido duplicado)`
+        });
+      }
+
+      return { path, withoutSlash, withSlash, issues };
+    }));
+  }
+
+  request(url) {
+    return this.limiter.schedule(url, async () => {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        maxRedirects: 0,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: { 'User-Agent': this.userAgent, ...this.auth?.headersFor(url) }
+      });
+      response.data?.destroy?.(); // Solo interesan status y Location
+      return response;
+    });
+  }
+}
+
+export default RedirectAnalyzer;
@@ -0,0 +1,68 @@
+import * as cheerio from 'cheerio';
+
+// Compara los elementos SEO críticos del HTML crudo (lo que ve un crawler sin JS)
+// con los del DOM renderizado en Chrome.
+export class RenderComparison {
+  extractCriticalElements(html, pageUrl) {
+    const $ = cheerio.load(html || '');
+    const structuredData = $('script[type="application/ld+json"]').length;
+    $('script, style, noscript, template').remove(); // Solo cuenta el texto visible
+    const text = $('body').text().replace(/\s+/g, ' ').trim();
+
+    return {
+      title: $('title').first().text().trim() || null,
+      metaDescription: $('meta[name="description"]').attr('content')?.trim() || null,
+      h1: $('h1').map((i, el) => $(el).text().replace(/\s+/g, ' ').trim()).get().filter(Boolean),
+      canonical: $('link[rel="canonical"]').attr('href') || null,
+      metaRobots: $('meta[name="robots"]').attr('content')?.trim() || null,
+      links: new Set($('a[href]').map((i, el) => {
+        try {
+          return new URL($(el).attr('href'), pageUrl).href;
+        } catch (error) {
+          return null;
+        }
+      }).get().filter(Boolean)).size,
+      wordCount: text ? text.split(' ').length : 0,
+      structuredData
+    };
+  }
+
+  compare(rawHtml, renderedHtml, pageUrl) {
+    const raw = this.extractCriticalElements(rawHtml, pageUrl);
+    const rendered = this.extractCriticalElements(renderedHtml, pageUrl);
+
+    const elements = Object.keys(raw).map(element => {
+      const rawValue = raw[element];
+      const renderedValue = rendered[element];
+      return {
+        element,
+        raw: rawValue,
+        rendered: renderedValue,
+        changed: JSON.stringify(rawValue) !== JSON.stringify(renderedValue),
+        // Solo existe tras ejecutar JS: invisible para crawlers que no renderizan
+        missingInRaw: this.isEmpty(rawValue) && !this.isEmpty(renderedValue)
+      };
+    });
+
+    const missingInRaw = elements.filter(entry => entry.missingInRaw).map(entry => entry.element);
+    // Menos de la mitad del texto en el HTML crudo: el contenido depende de JavaScript
+    const contentDependsOnJS = rendered.wordCount > 50 && raw.wordCount < rendered.wordCount * 0.5;
+
+    return {
+      raw,
+      rendered,
+      elements,
+      changedElements: elements.filter(entry => entry.changed).map(entry => entry.element),
+      missingInRaw,
+      contentDependsOnJS,
+      status: missingInRaw.some(element => ['title', 'h1', 'metaDescription', 'canonical'].includes(element)) || contentDependsOnJS ? 'bad' :
+        missingInRaw.length > 0 ? 'warning' : 'good'
+    };
+  }
+
+  isEmpty(value) {
+    return value === null || value === 0 || (Array.isArray(value) && value.length === 0);
+  }
+}
+
+export default RenderComparison;
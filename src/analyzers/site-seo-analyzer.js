@@ -9,13 +9,17 @@ export class SiteSEOAnalyzer {
   async analyzeSiteSEO(siteData) {
     const pageAnalyses = siteData.pageAnalyses || [];
     const siteDiscovery = siteData.siteDiscovery || {};
+    const robotsTxt = siteData.robotsTxt || null;
+    const redirectAnalysis = siteData.redirectAnalysis || null;
 
     const seoAnalysis = {
       titleAnalysis: this.analyzeTitles(pageAnalyses),
       metaDescriptionAnalysis: this.analyzeMetaDescriptions(pageAnalyses),
       headingStructureAnalysis: this.analyzeHeadingStructure(pageAnalyses),
       urlStructureAnalysis: this.analyzeUrlStructure(pageAnalyses),
-      internalLinkingAnalysis: this.analyzeInternalLinking(pageAnalyses),
+      internalLinkingAnalysis: this.analyzeInternalLinking(pageAnalyses, siteDiscovery),
+      robotsTxtAnalysis: robotsTxt ? this.analyzeRobotsTxt(robotsTxt, pageAnalyses, siteDiscovery) : null,
+      redirectAnalysis: redirectAnalysis ? this.analyzeRedirects(redirectAnalysis) : null,
       overallScore: 0,
       recommendations: []
     };
@@ -208,18 +212,34 @@ export class SiteSEOAnalyzer {
     };
   }
 
-  analyzeInternalLinking(pageAnalyses) {
+  analyzeInternalLinking(pageAnalyses, siteDiscovery = {}) {
     const totalLinks = pageAnalyses.reduce((sum, p) => sum + (p.links?.total || 0), 0);
-    const brokenLinks = pageAnalyses.reduce((sum, p) => sum + (p.links?.broken || 0), 0);
+    const brokenLinks = pageAnalyses.reduce((sum, p) => sum + (p.links?.brokenInternal ?? p.links?.broken ?? 0), 0);
+
+    // Con el grafo del crawler: páginas conocidas (sitemap) a las que ninguna otra página enlaza.
+    // Solo son huérfanas si el crawl recorrió todo el sitio; si agotó maxDepth/maxPages, simplemente
+    // no se llegó a ellas (se reportan aparte, sin penalizar)
+    const linkGraph = siteDiscovery.linkGraph;
+    const withoutInlinks = linkGraph ?
+      (siteDiscovery.allPages || []).filter(url =>
+        url !== siteDiscovery.crawl?.startUrl && !(linkGraph.inlinks[url]?.length > 0)
+      ) : [];
+    const crawlComplete = siteDiscovery.crawl?.complete === true;
+    const orphanPages = crawlComplete ? withoutInlinks : [];
+    const notReachedPages = crawlComplete ? [] : withoutInlinks;
 
     let score = 100;
     if (brokenLinks > 0) score -= brokenLinks * 5;
+    if (orphanPages.length > 0) score -= Math.min(20, orphanPages.length * 2);
     if (totalLinks === 0) score = 0;
 
     const issues = [];
     if (brokenLinks > 0) {
       issues.push(`${brokenLinks} enlaces internos rotos encontrados`);
     }
+    if (orphanPages.length > 0) {
+      issues.push(`${orphanPages.length} páginas huérfanas (sin enlaces internos entrantes)`);
+    }
     if (totalLinks === 0) {
       issues.push('No se encontraron enlaces internos para analizar');
     }
@@ -228,6 +248,127 @@ export class SiteSEOAnalyzer {
       totalLinks: totalLinks,
       brokenLinks: brokenLinks,
       healthyLinks: totalLinks - brokenLinks,
+      orphanPages: orphanPages.slice(0, 50),
+      notReachedPages: notReachedPages.slice(0, 50),
+      score: Math.max(0, score),
+      issues: issues
+    };
+  }
+
+  analyzeRobotsTxt(robotsTxt, pageAnalyses, siteDiscovery = {}) {
+    // Los hallazgos SEO se evalúan contra Googlebot, no contra nuestro user agent
+    // (si robots.txt está inaccesible todo queda bloqueado: se reporta solo ese problema)
+    const searchBot = 'Googlebot';
+    const isBlocked = (url) => !robotsTxt.unreachable && !robotsTxt.isAllowed(url, searchBot);
+    const origin = robotsTxt.url ? new URL(robotsTxt.url).origin : null;
+    const homepage = origin ? `${origin}/` : null;
+
+    const resources = pageAnalyses.flatMap(p => [...(p.seo?.resources?.css || []), ...(p.seo?.resources?.js || [])]);
+    const blockedResources = [...new Set(resources)].filter(isBlocked);
+
+    // Páginas importantes: homepage, páginas priorizadas y las que descubrimos (sitemap/enlaces) pero robots.txt excluyó
+    const importantPages = [
+      homepage,
+      ...(siteDiscovery.prioritizedPages || []).map(p => p.url || p),
+      ...(siteDiscovery.robots?.blockedUrls || []).map(b => b.url)
+    ].filter(url => url && origin && url.startsWith(origin));
+    const blockedImportantPages = [...new Set(importantPages)].filter(isBlocked);
+    const homepageBlocked = homepage ? isBlocked(homepage) : false;
+
+    let score = 100;
+    const issues = [];
+
+    if (robotsTxt.unreachable) {
+      score -= 50;
+      issues.push(`robots.txt inaccesible (${robotsTxt.status ? `HTTP ${robotsTxt.status}` : robotsTxt.error}): los buscadores asumen que todo el sitio está bloqueado`);
+    } else if (!robotsTxt.found) {
+      score -= 5;
+      issues.push('No existe robots.txt');
+    }
+
+    if (homepageBlocked) {
+      score -= 40;
+      issues.push('robots.txt bloquea la homepage para Googlebot');
+    }
+    if (blockedImportantPages.length > 0) {
+      score -= Math.min(30, blockedImportantPages.length * 5);
+      issues.push(`${blockedImportantPages.length} páginas importantes bloqueadas por robots.txt`);
+    }
+    if (blockedResources.length > 0) {
+      score -= 20;
+      issues.push(`${blockedResources.length} archivos CSS/JS bloqueados por robots.txt (Google no puede renderizar la página)`);
+    }
+    if (robotsTxt.sitemaps.length === 0) {
+      score -= 10;
+      issues.push('robots.txt no declara ningún Sitemap');
+    }
+
+    return {
+      url: robotsTxt.url,
+      status: robotsTxt.status,
+      found: robotsTxt.found,
+      unreachable: robotsTxt.unreachable,
+      sitemaps: robotsTxt.sitemaps,
+      crawlDelay: robotsTxt.getCrawlDelay(),
+      homepageBlocked,
+      blockedResources: blockedResources.slice(0, 20),
+      blockedImportantPages: blockedImportantPages.slice(0, 20),
+      blockedForAudit: (siteDiscovery.robots?.blockedUrls || []).length,
+      score: Math.max(0, score),
+      issues: issues
+    };
+  }
+
+  analyzeRedirects(redirectAnalysis) {
+    const countByType = (type) => redirectAnalysis.issues.filter(issue => issue.type === type).length;
+
+    const loops = countByType('redirect-loop') + countByType('too-many-redirects');
+    const chains = countByType('redirect-chain');
+    const temporaryRedirects = countByType('temporary-redirect');
+    const downgrades = countByType('https-downgrade');
+    const trailingSlashDuplicates = countByType('trailing-slash-duplicate');
+
+    let score = 100;
+    const issues = [];
+
+    if (loops > 0) {
+      score -= 40;
+      issues.push(`${loops} bucles o cadenas infinitas de redirecciones`);
+    }
+    if (!redirectAnalysis.wwwConsistent) {
+      score -= 25;
+      issues.push('Las variantes http/https y www/sin www no convergen en un único dominio');
+    }
+    if (!redirectAnalysis.httpsEnforced) {
+      score -= 15;
+      issues.push('HTTP no redirige a HTTPS');
+    }
+    if (downgrades > 0) {
+      score -= 15;
+      issues.push(`${downgrades} redirecciones de HTTPS a HTTP`);
+    }
+    if (chains > 0) {
+      score -= Math.min(15, chains * 5);
+      issues.push(`${chains} cadenas de más de un salto`);
+    }
+    if (temporaryRedirects > 0) {
+      score -= Math.min(15, temporaryRedirects * 5);
+      issues.push(`${temporaryRedirects} redirecciones temporales (302/307) donde corresponde 301`);
+    }
+    if (trailingSlashDuplicates > 0) {
+      score -= 10;
+      issues.push(`${trailingSlashDuplicates} rutas responden con y sin barra final`);
+    }
+
+    return {
+      canonicalOrigin: redirectAnalysis.canonicalOrigin,
+      httpsEnforced: redirectAnalysis.httpsEnforced,
+      wwwConsistent: redirectAnalysis.wwwConsistent,
+      loops,
+      chains,
+      temporaryRedirects,
+      downgrades,
+      trailingSlashDuplicates,
       score: Math.max(0, score),
       issues: issues
     };
@@ -239,7 +380,9 @@ export class SiteSEOAnalyzer {
       metaDescriptionAnalysis: 0.25,
       headingStructureAnalysis: 0.20,
       urlStructureAnalysis: 0.15,
-      internalLinkingAnalysis: 0.15
+      internalLinkingAnalysis: 0.15,
+      robotsTxtAnalysis: 0.10,
+      redirectAnalysis: 0.10
     };
 
     let totalScore = 0;
@@ -350,6 +493,90 @@ export class SiteSEOAnalyzer {
       }
     }
 
+    // robots.txt recommendations
+    const robots = seoAnalysis.robotsTxtAnalysis;
+    if (robots) {
+      if (robots.unreachable) {
+        recommendations.push({
+          priority: 'CRITICAL',
+          category: 'SEO - Robots.txt',
+          issue: `robots.txt responde con error (${robots.status ? `HTTP ${robots.status}` : 'sin respuesta'})`,
+          action: 'Servir robots.txt con HTTP 200 (o 404 si no se necesita); un 5xx hace que Google deje de rastrear el sitio',
+          impact: 'Evita que todo el sitio quede fuera del rastreo de buscadores'
+        });
+      }
+      if (robots.homepageBlocked || robots.blockedImportantPages.length > 0) {
+        recommendations.push({
+          priority: robots.homepageBlocked ? 'CRITICAL' : 'HIGH',
+          category: 'SEO - Robots.txt',
+          issue: robots.homepageBlocked ?
+            'robots.txt bloquea la homepage' :
+            `${robots.blockedImportantPages.length} páginas importantes bloqueadas por robots.txt`,
+          action: 'Revisar las reglas Disallow y permitir el rastreo de las páginas que deben indexarse',
+          impact: 'Las páginas bloqueadas no pueden rastrearse ni posicionar correctamente'
+        });
+      }
+      if (robots.blockedResources.length > 0) {
+        recommendations.push({
+          priority: 'HIGH',
+          category: 'SEO - Robots.txt',
+          issue: `${robots.blockedResources.length} archivos CSS/JS bloqueados por robots.txt`,
+          action: 'Permitir el rastreo de CSS y JavaScript (Allow) para que Google pueda renderizar las páginas',
+          impact: 'Google evalúa la página renderizada: sin CSS/JS puede considerarla no apta para móviles'
+        });
+      }
+      if (robots.sitemaps.length === 0) {
+        recommendations.push({
+          priority: 'MEDIUM',
+          category: 'SEO - Robots.txt',
+          issue: robots.found ? 'robots.txt no declara el sitemap' : 'El sitio no tiene robots.txt',
+          action: 'Añadir una directiva "Sitemap: https://dominio/sitemap.xml" en robots.txt',
+          impact: 'Facilita el descubrimiento de todas las páginas por parte de los buscadores'
+        });
+      }
+    }
+
+    // Redirect recommendations
+    const redirects = seoAnalysis.redirectAnalysis;
+    if (redirects) {
+      if (redirects.loops > 0) {
+        recommendations.push({
+          priority: 'CRITICAL',
+          category: 'SEO - Redirects',
+          issue: `${redirects.loops} bucles de redirecciones`,
+          action: 'Corregir las reglas de redirección que se apuntan entre sí',
+          impact: 'Las URLs en bucle no cargan para usuarios ni buscadores'
+        });
+      }
+      if (!redirects.wwwConsistent) {
+        recommendations.push({
+          priority: 'HIGH',
+          category: 'SEO - Redirects',
+          issue: 'El sitio responde en varios dominios (www/sin www, http/https) sin unificar',
+          action: `Redirigir con 301 todas las variantes a ${redirects.canonicalOrigin}`,
+          impact: 'Evita contenido duplicado y concentra la autoridad en un único dominio'
+        });
+      }
+      if (redirects.chains > 0 || redirects.temporaryRedirects > 0) {
+        recommendations.push({
+          priority: 'MEDIUM',
+          category: 'SEO - Redirects',
+          issue: `${redirects.chains} cadenas de redirección y ${redirects.temporaryRedirects} redirecciones temporales`,
+          action: 'Redirigir en un solo salto y con 301 directamente a la URL final canónica',
+          impact: 'Menos latencia por salto y transferencia completa de señales de posicionamiento'
+        });
+      }
+      if (redirects.trailingSlashDuplicates > 0) {
+        recommendations.push({
+          priority: 'MEDIUM',
+          category: 'SEO - Redirects',
+          issue: `${redirects.trailingSlashDuplicates} rutas accesibles con y sin barra final`,
+          action: 'Elegir una forma (con o sin "/") y redirigir la otra con 301',
+          impact: 'Evita URLs duplicadas en el índice'
+        });
+      }
+    }
+
     return recommendations;
   }
 
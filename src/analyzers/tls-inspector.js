@@ -0,0 +1,294 @@
+import tls from 'tls';
+import net from 'net';
+import { X509Certificate } from 'crypto';
+
+const PROTOCOL_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const DEPRECATED_PROTOCOLS = ['TLSv1', 'TLSv1.1'];
+
+// Familias de cipher suites débiles (sintaxis OpenSSL). Se prueban con TLS ≤ 1.2:
+// en TLS 1.3 no existen suites débiles.
+const WEAK_CIPHER_GROUPS = [
+  { name: 'NULL', ciphers: 'eNULL', severity: 'critical', description: 'Sin cifrado' },
+  { name: 'EXPORT', ciphers: 'EXPORT', severity: 'critical', description: 'Cifrado de exportación (40/56 bits)' },
+  { name: 'ANON', ciphers: 'aNULL', severity: 'critical', description: 'Sin autenticación del servidor' },
+  { name: 'RC4', ciphers: 'RC4', severity: 'high', description: 'RC4 roto (RFC 7465)' },
+  { name: '3DES', ciphers: '3DES', severity: 'medium', description: '3DES vulnerable a SWEET32' },
+  { name: 'RSA-KX', ciphers: 'kRSA', severity: 'low', description: 'Intercambio de claves RSA sin forward secrecy' }
+];
+
+// Errores de OpenSSL que indican cadena incompleta (falta un intermedio)
+const INCOMPLETE_CHAIN_ERRORS = [
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE'
+];
+const SELF_SIGNED_ERRORS = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'];
+
+export class TLSInspector {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.expiryWarningDays = options.expiryWarningDays ?? 30;
+    this.probeProtocols = options.probeProtocols ?? true;
+    this.now = options.now || Date.now; // Reloj de la auditoría: días hasta el vencimiento del certificado
+    this.cache = new Map(); // host:port → Promise<inspección> (site-wide: una sola inspección por host)
+  }
+
+  inspect(url) {
+    const urlObj = new URL(url);
+    if (urlObj.protocol !== 'https:') {
+      return Promise.resolve(null);
+    }
+
+    const host = urlObj.hostname;
+    const port = parseInt(urlObj.port, 10) || 443;
+    const key = `${host}:${port}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.runInspection(host, port));
+    }
+    return this.cache.get(key);
+  }
+
+  async runInspection(host, port) {
+    const handshake = await this.handshake(host, port);
+    const certificate = this.analyzeCertificate(handshake, host);
+
+    const [protocols, weakCiphers] = this.probeProtocols ?
+      await Promise.all([this.probeProtocolVersions(host, port), this.probeWeakCiphers(host, port)]) :
+      [null, null];
+
+    const issues = this.collectIssues(certificate, protocols, weakCiphers);
+
+    return {
+      host,
+      port,
+      negotiatedProtocol: handshake.protocol,
+      negotiatedCipher: handshake.cipher?.name || null,
+      certificate,
+      protocols,
+      weakCiphers,
+      issues,
+      status: issues.some(issue => issue.severity === 'critical') ? 'error' :
+        issues.some(issue => issue.severity === 'high' || issue.severity === 'medium') ? 'warning' : 'valid'
+    };
+  }
+
+  handshake(host, port, extraOptions = {}) {
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = tls.connect({
+          host,
+          port,
+          servername: net.isIP(host) ? undefined : host,
+          rejectUnauthorized: false, // Queremos inspeccionar el certificado aunque sea inválido
+          ...extraOptions
+        });
+      } catch (error) {
+        reject(error); // p. ej. la versión de OpenSSL local no soporta ese cipher
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(Object.assign(new Error(`TLS handshake timeout (${host}:${port})`), { code: 'ETIMEDOUT' }));
+      }, this.timeout);
+
+      socket.once('secureConnect', () => {
+        clearTimeout(timer);
+        const result = {
+          authorized: socket.authorized,
+          authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+          protocol: socket.getProtocol(),
+          cipher: socket.getCipher(),
+          peerCertificate: socket.getPeerCertificate(true)
+        };
+        socket.end();
+        resolve(result);
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        socket.destroy();
+        reject(error);
+      });
+    });
+  }
+
+  analyzeCertificate(handshake, host) {
+    const cert = handshake.peerCertificate;
+    if (!cert || !cert.raw) {
+      return null;
+    }
+
+    const validTo = new Date(cert.valid_to);
+    const validFrom = new Date(cert.valid_from);
+    const daysRemaining = Math.floor((validTo.getTime() - this.now()) / (1000 * 60 * 60 * 24));
+
+    const subjectAltNames = (cert.subjectaltname || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry.startsWith('DNS:'))
+      .map(entry => entry.slice(4));
+
+    // Mismas reglas que Node/los navegadores (wildcards de un nivel, SAN prioritario sobre CN)
+    const hostnameError = tls.checkServerIdentity(host, cert);
+
+    // Recorrer la cadena enviada por el servidor (issuerCertificate apunta a sí mismo en la raíz)
+    const chain = [];
+    let current = cert;
+    const seen = new Set();
+    while (current && current.raw && !seen.has(current.fingerprint256)) {
+      seen.add(current.fingerprint256);
+      chain.push({
+        subject: current.subject?.CN || current.subject?.O || null,
+        issuer: current.issuer?.CN || current.issuer?.O || null,
+        validTo: current.valid_to
+      });
+      current = current.issuerCertificate;
+    }
+
+    const selfSigned = SELF_SIGNED_ERRORS.includes(handshake.authorizationError) ||
+      (cert.issuerCertificate?.fingerprint256 === cert.fingerprint256 && chain.length === 1);
+
+    return {
+      subject: cert.subject?.CN || null,
+      issuer: cert.issuer?.O || cert.issuer?.CN || null,
+      issuerCommonName: cert.issuer?.CN || null,
+      validFrom: isNaN(validFrom.getTime()) ? null : validFrom.toISOString(),
+      validTo: isNaN(validTo.getTime()) ? null : validTo.toISOString(),
+      daysRemaining,
+      expired: daysRemaining < 0,
+      expiringSoon: daysRemaining >= 0 && daysRemaining <= this.expiryWarningDays,
+      notYetValid: validFrom.getTime() > this.now(),
+      subjectAltNames,
+      hostnameCovered: !hostnameError,
+      hostnameError: hostnameError ? hostnameError.message : null,
+      chainLength: chain.length,
+      chain,
+      chainComplete: !INCOMPLETE_CHAIN_ERRORS.includes(handshake.authorizationError),
+      selfSigned,
+      trusted: handshake.authorized,
+      authorizationError: handshake.authorizationError,
+      key: this.analyzePublicKey(cert),
+      serialNumber: cert.serialNumber,
+      fingerprint256: cert.fingerprint256
+    };
+  }
+
+  analyzePublicKey(cert) {
+    try {
+      const { publicKey } = new X509Certificate(cert.raw);
+      const type = publicKey.asymmetricKeyType; // 'rsa' | 'ec' | 'ed25519' | ...
+      const details = publicKey.asymmetricKeyDetails || {};
+      const size = details.modulusLength || cert.bits || null;
+
+      const weak = (type === 'rsa' && size < 2048) || (type === 'dsa') || (type === 'ec' && size && size < 256);
+
+      return {
+        type: type ? type.toUpperCase() : null,
+        size,
+        curve: details.namedCurve || cert.asn1Curve || null,
+        weak: Boolean(weak)
+      };
+    } catch (error) {
+      return { type: null, size: cert.bits || null, curve: null, weak: false };
+    }
+  }
+
+  async probeProtocolVersions(host, port) {
+    const results = {};
+
+    await Promise.all(PROTOCOL_VERSIONS.map(async version => {
+      try {
+        // SECLEVEL=0 para que nuestro OpenSSL se anime a ofrecer TLS 1.0/1.1
+        await this.handshake(host, port, { minVersion: version, maxVersion: version, ciphers: 'DEFAULT:@SECLEVEL=0' });
+        results[version] = true;
+      } catch (error) {
+        results[version] = this.isClientLimitation(error) ? null : false;
+      }
+    }));
+
+    return Object.fromEntries(PROTOCOL_VERSIONS.map(version => [version, results[version]]));
+  }
+
+  async probeWeakCiphers(host, port) {
+    const accepted = [];
+    const untested = [];
+
+    for (const group of WEAK_CIPHER_GROUPS) {
+      try {
+        const result = await this.handshake(host, port, {
+          maxVersion: 'TLSv1.2',
+          minVersion: 'TLSv1',
+          ciphers: `${group.ciphers}:@SECLEVEL=0`
+        });
+        accepted.push({ ...this.describeCipherGroup(group), cipher: result.cipher?.name || null });
+      } catch (error) {
+        if (this.isClientLimitation(error)) untested.push(group.name);
+      }
+    }
+
+    return { accepted, untested };
+  }
+
+  describeCipherGroup(group) {
+    return { name: group.name, severity: group.severity, description: group.description };
+  }
+
+  // El error viene de nuestro OpenSSL (no soporta el protocolo/cipher), no del servidor
+  isClientLimitation(error) {
+    const message = String(error?.message || '');
+    return /no cipher match|unsupported protocol|no protocols available|invalid cipher/i.test(message) ||
+      error?.code === 'ERR_SSL_NO_CIPHER_MATCH' || error?.code === 'ERR_TLS_INVALID_PROTOCOL_VERSION';
+  }
+
+  collectIssues(certificate, protocols, weakCiphers) {
+    const issues = [];
+
+    if (!certificate) {
+      issues.push({ severity: 'critical', type: 'certificate-missing', message: 'El servidor no presentó certificado' });
+      return issues;
+    }
+
+    if (certificate.expired) {
+      issues.push({ severity: 'critical', type: 'certificate-expired', message: `Certificado SSL expirado hace ${Math.abs(certificate.daysRemaining)} días` });
+    } else if (certificate.expiringSoon) {
+      issues.push({ severity: certificate.daysRemaining <= 7 ? 'high' : 'medium', type: 'certificate-expiring', message: `Certificado SSL expira en ${certificate.daysRemaining} días` });
+    }
+    if (certificate.notYetValid) {
+      issues.push({ severity: 'critical', type: 'certificate-not-yet-valid', message: 'Certificado SSL todavía no es válido' });
+    }
+    if (!certificate.hostnameCovered) {
+      issues.push({ severity: 'critical', type: 'hostname-mismatch', message: `El certificado no cubre el dominio auditado (${certificate.hostnameError})` });
+    }
+    if (certificate.selfSigned) {
+      issues.push({ severity: 'critical', type: 'self-signed', message: 'Certificado autofirmado (no confiable para navegadores)' });
+    } else if (!certificate.chainComplete) {
+      issues.push({ severity: 'high', type: 'incomplete-chain', message: 'Cadena de certificados incompleta (falta certificado intermedio)' });
+    } else if (!certificate.trusted && !certificate.expired && certificate.hostnameCovered) {
+      issues.push({ severity: 'high', type: 'untrusted', message: `Certificado no confiable: ${certificate.authorizationError}` });
+    }
+    if (certificate.key?.weak) {
+      issues.push({ severity: 'high', type: 'weak-key', message: `Clave ${certificate.key.type} de ${certificate.key.size} bits insuficiente` });
+    }
+
+    if (protocols) {
+      const deprecated = DEPRECATED_PROTOCOLS.filter(version => protocols[version] === true);
+      if (deprecated.length > 0) {
+        issues.push({ severity: 'medium', type: 'deprecated-protocol', message: `Acepta protocolos obsoletos: ${deprecated.join(', ')}` });
+      }
+      if (protocols['TLSv1.3'] === false && protocols['TLSv1.2'] === true) {
+        issues.push({ severity: 'low', type: 'no-tls13', message: 'No soporta TLS 1.3' });
+      }
+    }
+
+    weakCiphers?.accepted.forEach(group => {
+      issues.push({ severity: group.severity, type: 'weak-cipher', message: `Acepta cipher suites débiles: ${group.description}` });
+    });
+
+    return issues;
+  }
+}
+
+export default TLSInspector;
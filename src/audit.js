@@ -1,6 +1,8 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { EventEmitter } from 'events';
 import { writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -16,8 +18,27 @@ import { MetricsHelper } from './utils/metrics-helper.js';
 import { PageDiscoveryEngine } from './discovery/page-discovery-engine.js';
 import { SiteSEOAnalyzer } from './analyzers/site-seo-analyzer.js';
 import { LighthouseLocalAnalyzer } from './analyzers/lighthouse-local-analyzer.js';
+import { LighthouseUserFlow } from './lighthouse-user-flow.js';
 import { ImpactCalculator } from './analyzers/impact-calculator.js';
 import { VulnerabilityScanner } from './analyzers/vulnerability-scanner.js';
+import { LinkChecker } from './analyzers/link-checker.js';
+import { TLSInspector } from './analyzers/tls-inspector.js';
+import { RedirectAnalyzer } from './analyzers/redirect-analyzer.js';
+import { MixedContentAnalyzer } from './analyzers/mixed-content-analyzer.js';
+import { RequestTimer } from './utils/request-timer.js';
+import { HeadlessRenderer } from './rendering/headless-renderer.js';
+import { RenderComparison } from './analyzers/render-comparison.js';
+import { HarConverter } from './rendering/har-converter.js';
+import { AuditArchive } from './storage/audit-archive.js';
+import { PsiCache } from './storage/psi-cache.js';
+import { WarcWriter } from './storage/warc-writer.js';
+import { AuthSession } from './utils/auth-session.js';
+import { RobotsPolicy } from './discovery/robots-policy.js';
+import { AUDIT_USER_AGENT } from './discovery/robots-txt.js';
+import { HostRateLimiter } from './utils/host-rate-limiter.js';
+import { withAxiosMiddleware } from './utils/axios-middleware.js';
+import { WorkerPool } from './utils/worker-pool.js';
+import { AuditCheckpoint } from './storage/audit-checkpoint.js';
 
 const logger = {
   info: (msg) => console.log(`\x1b[36m[INFO]\x1b[0m ${new Date().toISOString()}: ${msg}`),
@@ -26,13 +47,219 @@ const logger = {
   success: (msg) => console.log(`\x1b[32m[OK]\x1b[0m ${new Date().toISOString()}: ${msg}`)
 };
 
-export class WebAudit {
+export class WebAudit extends EventEmitter {
   constructor(url, clientName = 'Default', options = {}) {
-    this.url = this.normalizeUrl(url);
-    this.clientName = clientName;
-    this.options = { timeout: 10000, ...options };
+    super();
+    // Replay (options.replay: ruta a una grabación): misma URL, cliente y opciones que al grabar
+    const replay = options.replay ? AuditArchive.load(options.replay) : null;
+    this.url = this.normalizeUrl(replay?.data.url || url);
+    this.clientName = replay?.data.clientName || clientName;
+    this.options = {
+      timeout: 10000,
+      respectRobots: process.env.RESPECT_ROBOTS_TXT !== 'false', // Opt-out: respectRobots: false
+      render: process.env.AUDIT_RENDER_JS === 'true', // Opt-in: render: true (DOM renderizado en Chrome headless)
+      ...replay?.data.options,
+      ...options
+    };
+    // Auditoría autenticada (headers, cookies, basic auth, login): credenciales solo hacia el sitio auditado
+    this.auth = new AuthSession(this.options.auth || {}, this.url);
+    this.authentication = null;
+    this.robotsPolicy = new RobotsPolicy({ enabled: this.options.respectRobots, timeout: this.options.timeout });
+    // Limitador por host compartido por páginas y links (se ajusta al Crawl-delay de cada host)
+    this.hostLimiter = new HostRateLimiter({
+      concurrency: this.options.hostConcurrency || 2,
+      delayMs: replay ? 0 : this.options.requestDelay ?? 200 // En replay no hay servidor al que cuidar
+    });
+    this.tlsInspector = new TLSInspector({
+      timeout: this.options.timeout,
+      probeProtocols: this.options.tlsProbes !== false, // Probar TLS 1.0-1.3 y ciphers débiles
+      now: () => this.now()
+    });
+    this.redirectAnalyzer = new RedirectAnalyzer({ timeout: this.options.timeout, limiter: this.hostLimiter, auth: this.auth });
+    this.redirectAnalysis = null;
+    this.mixedContentAnalyzer = new MixedContentAnalyzer();
+    this.requestTimer = new RequestTimer({ timeout: this.options.timeout, samples: this.options.timingSamples || 3, auth: this.auth });
+    this.timing = null;
+    // Chrome se lanza solo si se usa: modo render, waterfall de red para forensics (opt-in) y/o login scripteado
+    this.renderer = this.options.render || this.options.waterfall === true || this.auth.login ?
+      new HeadlessRenderer({ timeout: this.options.renderTimeout, auth: this.auth }) : null;
+    this.renderComparison = new RenderComparison();
+    this.renders = new Map(); // url → Promise<página cargada en Chrome> (cada URL se carga una sola vez)
+    // HAR importado (ruta o objeto): reemplaza a Chrome como fuente de red de las páginas que contiene
+    this.harConverter = new HarConverter({ now: () => this.now() });
+    this.importedNetwork = this.loadHar(this.options.har);
+    this.networkLogs = new Map(); // url → log de red usado en forensics (se exporta como HAR)
+    // Caché de enlaces compartida por todo el sitio: cada destino se verifica una sola vez
+    this.linkChecker = new LinkChecker({
+      baseUrl: this.url,
+      robots: this.robotsPolicy,
+      limiter: this.hostLimiter,
+      timeout: this.options.timeout,
+      maxLinks: this.options.maxLinks ?? 500,
+      auth: this.auth
+    });
+    this.archive = replay || this.createRecording();
+    // Cancelación (timeout de la cola): la auditoría para en el siguiente paso y Chrome se cierra ya
+    this.signal = options.signal || null;
+    this.abortable = false;
+    this.signal?.addEventListener('abort', () => this.closeRenderer().catch(() => {}), { once: true });
+    this.warc = null; // Captura WARC activa (runSiteWideAudit con options.warc)
     this.results = {};
-    this.startTime = Date.now();
+    this.startTime = this.now();
+  }
+
+  // Reloj de la auditoría: en replay queda fijo en el inicio de la grabación (timestamps idénticos en
+  // cada ejecución). Se inyecta en los analizadores en lugar de tocar el Date global del proceso
+  now() {
+    return this.archive?.replaying ? this.archive.frozenTime : Date.now();
+  }
+
+  // options.record: true (junto a los artefactos) o ruta del archivo de grabación
+  createRecording() {
+    if (!this.options.record) return null;
+
+    // Las opciones se guardan para reproducir la misma auditoría; las credenciales salen redactadas
+    const { record, replay, har, artifactsDir, artifactId, signal, ...auditOptions } = this.options;
+    return new AuditArchive({
+      mode: 'record',
+      path: typeof record === 'string' ? record : null,
+      url: this.url,
+      clientName: this.clientName,
+      auditOptions,
+      redact: value => this.auth.redact(value)
+    });
+  }
+
+  // Ejecuta la auditoría dentro de la grabación/replay: todo request saliente pasa por el archivo
+  async runArchived(run) {
+    const result = await this.archive.run(async () => {
+      this.startTime = this.now(); // En replay, el inicio grabado
+      return run();
+    });
+
+    if (this.archive.replaying) {
+      const { misses } = this.archive.getStats();
+      if (misses > 0) logger.warn(`Replay incompleto: ${misses} requests sin respuesta grabada`);
+    } else {
+      this.archive.save(this.archive.path || join(this.artifactsDirectory(), `${this.artifactName()}.archive.json`));
+      logger.info(`📼 Grabación guardada: ${this.archive.path}`);
+    }
+    this.results.artifacts = { ...this.results.artifacts, archive: this.archive.getStats() };
+    return result;
+  }
+
+  // options.warc: true (junto a los artefactos), ruta del archivo o { path, maxAssets }.
+  // Cada respuesta HTTP de la auditoría (páginas, assets, robots, sitemaps, APIs) queda en el WARC
+  async runWithWarc(warcOptions, run) {
+    const settings = typeof warcOptions === 'object' ? warcOptions : { path: typeof warcOptions === 'string' ? warcOptions : null };
+    const writer = new WarcWriter({
+      path: settings.path || join(this.artifactsDirectory(), `${this.artifactName()}.warc.gz`),
+      redact: value => this.auth.redact(value)
+    });
+    this.warc = { writer, assets: new Set(), maxAssets: settings.maxAssets ?? 50 };
+    writer.writeWarcinfo({
+      'audit-url': this.url,
+      'audit-client': this.clientName,
+      'audit-type': 'site-wide',
+      'audit-started': new Date(this.startTime).toISOString()
+    });
+
+    try {
+      const result = await writer.capture(run);
+      await this.writeWarcSummary();
+      this.results.artifacts = { ...this.results.artifacts, warc: writer.getStats() };
+      logger.info(`🗄️ WARC guardado: ${writer.path} (${writer.responses} respuestas, ${writer.records} registros)`);
+      return result;
+    } finally {
+      this.warc = null;
+    }
+  }
+
+  // DOM renderizado de cada página cargada en Chrome y la lista de páginas auditadas (la usa WarcReader.pages)
+  async writeWarcSummary() {
+    const { writer } = this.warc;
+    for (const [url, rendered] of this.renders) {
+      const { html } = await rendered;
+      if (html) writer.writeConversion(url, html);
+    }
+
+    writer.writeMetadata(this.url, {
+      auditType: 'site-wide',
+      renderMode: this.options.render ? 'headless' : 'raw',
+      timestamp: this.results.timestamp,
+      har: this.results.artifacts?.har?.path || null,
+      pages: (this.results.pageAnalyses || []).map(page => ({
+        url: page.url,
+        analysisLevel: page.analysisLevel || null,
+        success: page.success !== false
+      }))
+    });
+  }
+
+  // Con WARC, CSS, JS, imágenes e iconos de cada página se piden para que queden como evidencia
+  async captureAssets(pageUrl, pageHtml) {
+    const $ = cheerio.load(pageHtml);
+    const resolve = href => {
+      try {
+        const resolved = new URL(href, pageUrl);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const urls = [...new Set([
+      ...$('link[rel="stylesheet"][href], link[rel~="icon"][href]').map((i, el) => resolve($(el).attr('href'))).get(),
+      ...$('script[src], img[src]').map((i, el) => resolve($(el).attr('src'))).get()
+    ].filter(url => url && !this.warc.assets.has(url)))].slice(0, this.warc.maxAssets);
+
+    urls.forEach(url => this.warc.assets.add(url));
+    await Promise.all(urls.map(url => this.hostLimiter.schedule(url, () => axios.get(url, {
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+      headers: { 'User-Agent': AUDIT_USER_AGENT, ...this.auth.headersFor(url) }
+    })).catch(error => logger.warn(`No se pudo capturar ${url} para el WARC: ${error.message}`))));
+  }
+
+  // Con señal de cancelación, cada request de axios de la auditoría se aborta junto con ella
+  runAbortable(run) {
+    this.abortable = true;
+    return withAxiosMiddleware((config, next) => next(config.signal ? config : { ...config, signal: this.signal }), run);
+  }
+
+  // Lo que no pasa por axios (Chrome, Lighthouse, TLS, sockets) se graba/reproduce por resultado
+  recorded(namespace, key, task) {
+    return this.archive ? this.archive.call(namespace, key, task) : task();
+  }
+
+  createPsiService() {
+    if (!this.archive) return new PageSpeedInsightsService(null, { now: () => this.now() });
+
+    // Grabando o reproduciendo, PSI siempre pasa por el archivo: sin cache en disco ni cuota compartida
+    const psiService = new PageSpeedInsightsService(null, {
+      cache: new PsiCache({ enabled: false }),
+      limiter: this.archive.replaying ? { schedule: task => task(), pause: () => {} } : undefined,
+      retryDelay: this.archive.replaying ? 0 : undefined,
+      now: () => this.now()
+    });
+    // En replay la API key no importa (no forma parte de las claves): PSI se consulta si se consultó al grabar
+    if (this.archive.replaying) {
+      psiService.useMockData = !this.archive.data.psiEnabled;
+    } else {
+      this.archive.data.psiEnabled = !psiService.useMockData;
+    }
+    return psiService;
+  }
+
+  // Eventos de progreso estructurados (los consume el stream SSE de AuditServer)
+  emitProgress(type, data = {}) {
+    this.emit('progress', {
+      type,
+      url: this.url,
+      timestamp: new Date(this.now()).toISOString(),
+      ...data
+    });
   }
 
   normalizeUrl(url) {
@@ -47,103 +274,302 @@ export class WebAudit {
       logger.info(`Verificando SSL: ${this.url}`);
       const response = await axios.get(this.url, {
         timeout: this.options.timeout,
-        validateStatus: () => true
+        validateStatus: () => true,
+        headers: this.auth.headersFor(this.url)
       });
 
       const isHTTPS = response.config.url.startsWith('https');
       const certInfo = response.request.socket?.getPeerCertificate?.();
+      const inspection = isHTTPS ? await this.inspectTLS(this.url) : null;
 
-      return {
-        status: isHTTPS ? 'valid' : 'warning',
-        protocol: isHTTPS ? 'HTTPS' : 'HTTP',
-        statusCode: response.status,
-        cert: certInfo ? 'Present' : 'N/A',
-        timestamp: new Date().toISOString()
-      };
+      if (inspection?.certificate) {
+        logger.info(`🔐 Certificado: ${inspection.certificate.issuer}, expira en ${inspection.certificate.daysRemaining} días`);
+      }
+
+      const ssl = this.buildSSLResult(isHTTPS, response.status, certInfo, inspection);
+      return this.addRedirectFindings(ssl, await this.analyzeRedirects());
     } catch (err) {
       logger.error(`Error SSL: ${err.message}`);
-      return {
-        status: 'error',
-        message: err.message,
-        timestamp: new Date().toISOString()
-      };
+      return this.buildSSLErrorResult(this.url, err);
     }
   }
 
-  async checkBrokenLinks() {
+  async inspectTLS(url) {
     try {
-      logger.info(`Buscando links rotos en: ${this.url}`);
-      const response = await axios.get(this.url, { timeout: this.options.timeout });
-      const $ = cheerio.load(response.data);
-
-      // Guardar el HTML y headers para análisis posterior
-      this.pageHTML = response.data;
-      this.responseHeaders = response.headers;
+      return await this.recorded('tls', url, () => this.tlsInspector.inspect(url));
+    } catch (err) {
+      logger.warn(`No se pudo inspeccionar TLS de ${url}: ${err.message}`);
+      return { error: err.code || err.message, issues: [], status: 'valid' };
+    }
+  }
 
-      const links = [];
-      const broken = [];
-      const checked = new Set();
+  buildSSLResult(isHTTPS, statusCode, certInfo, inspection) {
+    return {
+      status: isHTTPS ? (inspection?.status || 'valid') : 'warning',
+      protocol: isHTTPS ? 'HTTPS' : 'HTTP',
+      statusCode,
+      cert: inspection?.certificate || certInfo ? 'Present' : 'N/A',
+      certificate: inspection?.certificate || null,
+      tls: inspection && !inspection.error ? {
+        negotiatedProtocol: inspection.negotiatedProtocol,
+        negotiatedCipher: inspection.negotiatedCipher,
+        protocols: inspection.protocols,
+        weakCiphers: inspection.weakCiphers
+      } : null,
+      issues: inspection?.issues || [],
+      ...(inspection?.error && { inspectionError: inspection.error }),
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
 
-      $('a[href]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !checked.has(href)) {
-          links.push(href);
-          checked.add(href);
-        }
+  async analyzeRedirects(sampleUrls = []) {
+    if (!this.redirectAnalysis) {
+      this.redirectAnalysis = this.redirectAnalyzer.analyze(this.url, sampleUrls).catch(err => {
+        logger.warn(`No se pudieron analizar redirecciones: ${err.message}`);
+        return null;
       });
+    }
+    return this.redirectAnalysis;
+  }
 
-      const linkSample = links.slice(0, 30);
+  // Redirecciones relevantes para HTTPS (http sin redirigir, downgrades) se suman a la sección SSL
+  addRedirectFindings(ssl, redirectAnalysis) {
+    if (!redirectAnalysis) return ssl;
 
-      for (const link of linkSample) {
-        try {
-          if (link.startsWith('http')) {
-            const res = await axios.head(link, { timeout: 3000, validateStatus: () => true });
-            if (res.status >= 400) {
-              broken.push({ url: link, status: res.status });
-            }
-          }
-        } catch (err) {
-          broken.push({ url: link, error: err.code || 'TIMEOUT' });
-        }
+    const httpsIssues = redirectAnalysis.issues.filter(issue => ['http-not-redirected', 'https-downgrade'].includes(issue.type));
+    const issues = [...(ssl.issues || []), ...httpsIssues];
+
+    return {
+      ...ssl,
+      status: ssl.status === 'valid' && httpsIssues.length > 0 ? 'warning' : ssl.status,
+      issues,
+      redirects: {
+        httpsEnforced: redirectAnalysis.httpsEnforced,
+        canonicalOrigin: redirectAnalysis.canonicalOrigin,
+        variants: redirectAnalysis.variants.map(({ url, finalUrl, hops, finalStatus }) => ({ url, finalUrl, hops, finalStatus }))
       }
+    };
+  }
 
-      logger.success(`Links verificados: ${linkSample.length}, Rotos encontrados: ${broken.length}`);
+  // Si el request HTTPS falló (certificado expirado, autofirmado...) igual se inspecciona el certificado
+  async buildSSLErrorResult(url, err) {
+    const inspection = url.startsWith('https') ? await this.inspectTLS(url) : null;
+    return {
+      ...(inspection?.certificate ? this.buildSSLResult(true, null, null, inspection) : {}),
+      status: 'error',
+      message: err.message,
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
 
-      return {
-        total: links.length,
-        checked: linkSample.length,
-        broken: broken.length,
-        brokenLinks: broken,
-        status: broken.length === 0 ? 'good' : broken.length < 3 ? 'warning' : 'bad'
-      };
+  async checkBrokenLinks() {
+    try {
+      logger.info(`Buscando links rotos en: ${this.url}`);
+      const response = await axios.get(this.url, { timeout: this.options.timeout, headers: this.auth.headersFor(this.url) });
+
+      // Guardar el HTML (renderizado si corresponde) y headers para análisis posterior
+      const { html, rendering } = await this.renderPage(this.url, response.data);
+      this.pageHTML = html;
+      this.rendering = rendering;
+      this.responseHeaders = response.headers;
+
+      this.linkChecker.addPage(this.url, html);
+      await this.linkChecker.checkPending();
+      const report = await this.linkChecker.getReport(this.url);
+
+      logger.success(`Links verificados: ${report.checked}/${report.total}, Rotos encontrados: ${report.broken}`);
+      if (report.skippedByRobots.length > 0) {
+        logger.info(`🤖 ${report.skippedByRobots.length} links omitidos por robots.txt`);
+      }
+
+      return report;
     } catch (err) {
       logger.error(`Error links: ${err.message}`);
       return { error: err.message, status: 'error' };
     }
   }
 
+  loadInBrowser(url) {
+    if (!this.renders.has(url)) {
+      this.renders.set(url, this.hostLimiter.schedule(url, () => this.recorded('render', url, () => this.renderer.render(url)))
+        .catch(error => {
+          logger.warn(`No se pudo cargar ${url} en Chrome: ${error.message}`);
+          return { error: error.message };
+        }));
+    }
+    return this.renders.get(url);
+  }
+
+  // Sin modo render devuelve el HTML crudo; con render, el DOM final y la comparación crudo vs renderizado
+  async renderPage(url, rawHtml) {
+    if (!this.options.render) {
+      return { html: rawHtml, rendering: null };
+    }
+
+    const rendered = await this.loadInBrowser(url);
+    if (rendered.error) {
+      return { html: rawHtml, rendering: { mode: 'raw', error: rendered.error } };
+    }
+
+    const comparison = this.renderComparison.compare(rawHtml, rendered.html, url);
+    if (comparison.missingInRaw.length > 0) {
+      logger.warn(`🧩 ${url}: ${comparison.missingInRaw.join(', ')} solo existen tras ejecutar JavaScript`);
+    }
+    return {
+      html: rendered.html,
+      rendering: { mode: 'headless', finalUrl: rendered.finalUrl, status: rendered.status, renderTime: rendered.renderTime, comparison }
+    };
+  }
+
+  // Login scripteado una sola vez por auditoría, antes del primer request: sin sesión no se audita
+  // (los resultados serían los de la versión pública del sitio)
+  async authenticate() {
+    if (!this.auth.login || this.authentication) return this.authentication;
+
+    logger.info(`🔑 Iniciando sesión en ${this.auth.login.url}...`);
+    try {
+      this.authentication = await this.recorded('login', this.auth.login.url, async () =>
+        this.auth.performLogin(await this.renderer.getBrowser()));
+    } catch (err) {
+      this.emitProgress('auth.failed', { error: err.message });
+      throw new Error(`Login fallido: ${err.message}`);
+    }
+
+    logger.success(`🔑 Sesión iniciada: ${this.authentication.cookies.length} cookies de sesión`);
+    this.emitProgress('auth.completed', { cookies: this.authentication.cookies.length });
+    return this.authentication;
+  }
+
+  describeAuthentication() {
+    const summary = this.auth.describe();
+    return summary ? { ...summary, loggedIn: this.authentication?.loggedIn ?? null } : null;
+  }
+
+  loadHar(source) {
+    if (!source) return new Map();
+    try {
+      const pages = this.harConverter.toPages(this.harConverter.load(source));
+      logger.info(`📥 HAR importado: ${pages.length} páginas`);
+      return new Map(pages.map(page => [this.harConverter.pageKey(page.url), page]));
+    } catch (err) {
+      logger.warn(`HAR ignorado: ${err.message}`);
+      return new Map();
+    }
+  }
+
+  // Log de red completo (waterfall) para ForensicsEngine: del HAR importado si trae la página, si no de Chrome.
+  // Un HAR de una sola página se aplica a la URL auditada aunque la URL no coincida exactamente (redirecciones)
+  async captureNetwork(url) {
+    const imported = this.importedNetwork.get(this.harConverter.pageKey(url)) ||
+      (url === this.url && this.importedNetwork.size === 1 ? [...this.importedNetwork.values()][0] : null);
+
+    let networkRequests = imported?.networkRequests;
+    if (!networkRequests) {
+      if (!this.renderer) return [];
+      const rendered = await this.loadInBrowser(url);
+      networkRequests = rendered.networkRequests || [];
+    }
+
+    if (networkRequests.length > 0) {
+      this.networkLogs.set(url, { url, source: imported ? 'har' : 'chrome', networkRequests });
+    }
+    return networkRequests;
+  }
+
+  artifactsDirectory() {
+    return this.options.artifactsDir || process.env.AUDIT_ARTIFACTS_DIR || './data/artifacts';
+  }
+
+  artifactName() {
+    return String(this.options.artifactId || `audit-${this.startTime}`).replace(/[^\w.-]/g, '_');
+  }
+
+  // Exporta como HAR 1.2 el log de red de todas las páginas cargadas en Chrome o importadas
+  async exportHar() {
+    if (this.options.exportHar === false) return null;
+
+    const pages = new Map();
+    for (const [url, rendered] of this.renders) {
+      const { networkRequests = [] } = await rendered;
+      if (networkRequests.length > 0) pages.set(url, { url, networkRequests });
+    }
+    this.networkLogs.forEach((log, url) => pages.set(url, log));
+    if (pages.size === 0) return null;
+
+    try {
+      const har = this.auth.redact(this.harConverter.toHar([...pages.values()]));
+      const directory = this.artifactsDirectory();
+      const path = join(directory, `${this.artifactName()}.har`);
+
+      mkdirSync(directory, { recursive: true });
+      writeFileSync(path, JSON.stringify(har));
+      logger.info(`📦 HAR exportado: ${path} (${har.log.entries.length} requests, ${har.log.pages.length} páginas)`);
+
+      return { path, pages: har.log.pages.length, entries: har.log.entries.length };
+    } catch (err) {
+      logger.warn(`No se pudo exportar el HAR: ${err.message}`);
+      return null;
+    }
+  }
+
+  // User flow de Lighthouse (options.userFlow: objeto o ruta a JSON con los pasos del recorrido)
+  async runUserFlow() {
+    if (!this.options.userFlow) return null;
+    this.signal?.throwIfAborted();
+
+    logger.info(`🧭 Ejecutando user flow de Lighthouse...`);
+    const { maxPages, chromeInstances, ...lighthouseSettings } = this.options.lighthouse || {};
+    const userFlow = new LighthouseUserFlow(lighthouseSettings);
+    try {
+      const result = await this.recorded('userflow', this.url, () => userFlow.run(this.options.userFlow, {
+        baseUrl: this.url,
+        auth: this.auth,
+        reportDir: join(this.artifactsDirectory(), 'lighthouse', this.artifactName())
+      }));
+      this.emitProgress('userflow.completed', { name: result.name, steps: result.steps.length, error: result.error || null });
+      return result;
+    } catch (err) {
+      // Definición inválida: la auditoría sigue sin el user flow
+      logger.warn(`User flow omitido: ${err.message}`);
+      return { steps: [], error: err.message };
+    }
+  }
+
+  async closeRenderer() {
+    await this.renderer?.close();
+  }
+
+  // Uptime y performance comparten las mismas muestras de timing de la URL auditada
+  measureTiming() {
+    if (!this.timing) {
+      this.timing = this.recorded('timing', this.url, () => this.requestTimer.measureSamples(this.url));
+    }
+    return this.timing;
+  }
+
   async checkUptime() {
     try {
       logger.info(`Verificando uptime: ${this.url}`);
-      const startCheck = Date.now();
-      const response = await axios.get(this.url, {
-        timeout: this.options.timeout,
-        validateStatus: () => true
-      });
-      const responseTime = Date.now() - startCheck;
+      const timing = await this.measureTiming();
+      if (timing.successfulSamples === 0) {
+        throw new Error(timing.errors[0] || 'Sin respuesta');
+      }
+
+      logger.info(`⏱️ Mediana: DNS ${timing.median.dns}ms, TCP ${timing.median.tcp}ms, TLS ${timing.median.tls}ms, TTFB ${timing.median.ttfb}ms, descarga ${timing.median.download}ms`);
 
       return {
-        status: response.status < 400 ? 'up' : 'error',
-        statusCode: response.status,
-        responseTime: `${responseTime}ms`,
-        timestamp: new Date().toISOString()
+        status: timing.statusCode < 400 ? 'up' : 'error',
+        statusCode: timing.statusCode,
+        responseTime: `${timing.median.total}ms`,
+        timing,
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (err) {
       logger.error(`Error uptime: ${err.message}`);
       return {
         status: 'down',
         error: err.message,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     }
   }
@@ -151,13 +577,19 @@ export class WebAudit {
   async checkPerformance() {
     try {
       logger.info(`Analizando performance...`);
-      const start = Date.now();
-      const response = await axios.get(this.url, { timeout: this.options.timeout });
-      const loadTime = Date.now() - start;
+      const response = await axios.get(this.url, { timeout: this.options.timeout, headers: this.auth.headersFor(this.url) });
+      const timing = await this.measureTiming();
+      const loadTime = timing.median?.total ?? 0;
       const $ = cheerio.load(response.data);
 
       const metrics = {
         pageLoadTime: `${loadTime}ms`,
+        ttfb: timing.median ? `${timing.median.ttfb}ms` : null,
+        timing: {
+          median: timing.median,
+          p95: timing.p95,
+          samples: timing.successfulSamples
+        },
         imageCount: $('img').length,
         scriptCount: $('script').length,
         styleCount: $('link[rel=stylesheet]').length,
@@ -172,9 +604,14 @@ export class WebAudit {
   }
 
   async checkSEO() {
+    if (this.rendering?.mode === 'headless') {
+      logger.info(`Verificando SEO basics (DOM renderizado)...`);
+      return this.checkSEOForPage(this.url, this.pageHTML);
+    }
+
     try {
       logger.info(`Verificando SEO basics...`);
-      const response = await axios.get(this.url);
+      const response = await axios.get(this.url, { headers: this.auth.headersFor(this.url) });
       const $ = cheerio.load(response.data);
 
       const seo = {
@@ -185,6 +622,7 @@ export class WebAudit {
           h2: $('h2').length,
           h3: $('h3').length
         },
+        resources: this.extractRenderResources($, this.url),
         status: $('h1').length > 0 && $('meta[name="description"]').length > 0 ? 'good' : 'warning'
       };
 
@@ -196,352 +634,539 @@ export class WebAudit {
   }
 
   async runFullAudit() {
-    logger.info(`========================================`);
-    logger.info(`Iniciando auditoría completa con PageSpeed Insights`);
-    logger.info(`Cliente: ${this.clientName}`);
-    logger.info(`URL: ${this.url}`);
-    logger.info(`========================================`);
-
-    // Initialize services
-    const psiService = new PageSpeedInsightsService();
-    const technologyDetector = new TechnologyDetector();
-    const forensicsEngine = new ForensicsEngine();
-    const roiCalculator = new ROICalculator();
-    const engineeringPlanner = new EngineeringPlanner();
-
-    // Get SSL and basic info first
-    const ssl = await this.checkSSL();
-    const links = await this.checkBrokenLinks();
-
-    // Get PageSpeed Insights results (mobile + desktop)
-    const psiResults = await psiService.runComprehensiveAudit(this.url);
-
-    // Prepare intermediate results for analysis
-    // Ensure technologies is an array, even if detection fails
-    const technologies = technologyDetector.detect(this.pageHTML, this.responseHeaders) || [];
-
-    // Extract render-blocking resources from PSI results and analyze forensics
-    const renderBlockingResources = psiResults.mobile?.audits?.['render-blocking-resources']?.details?.items || [];
-    const forensics = forensicsEngine.analyzeBottlenecks(this.pageHTML, renderBlockingResources, psiResults.mobile);
-
-    // Get additional metrics
-    const uptime = await this.checkUptime();
-    const performance = await this.checkPerformance();
-    const seo = await this.checkSEO();
-
-    // Calculate additional analysis
-    const scopeAnalysis = MetricsHelper.calculateScopeAnalysis({
-      links,
-      performance,
-      seo
-    });
+    if (this.signal && !this.abortable) {
+      return this.runAbortable(() => this.runFullAudit());
+    }
+    if (this.archive && !this.archive.isActive()) {
+      return this.runArchived(() => this.runFullAudit());
+    }
 
-    const actionableRecommendations = MetricsHelper.generateActionableRecommendations(
-      psiResults,
-      psiResults.comparison
-    );
+    // Chrome se cierra aunque la auditoría falle (login, PSI, cancelación)
+    try {
+      logger.info(`========================================`);
+      logger.info(`Iniciando auditoría completa con PageSpeed Insights`);
+      logger.info(`Cliente: ${this.clientName}`);
+      logger.info(`URL: ${this.url}`);
+      logger.info(`========================================`);
+
+      this.emitProgress('audit.started', { auditType: 'single-page' });
+      await this.authenticate();
+      this.signal?.throwIfAborted();
+
+      // Initialize services
+      const psiService = this.createPsiService();
+      const technologyDetector = new TechnologyDetector();
+      const forensicsEngine = new ForensicsEngine();
+      const roiCalculator = new ROICalculator();
+      const engineeringPlanner = new EngineeringPlanner();
+
+      // Get SSL and basic info first
+      const ssl = await this.checkSSL();
+      const links = await this.checkBrokenLinks();
+      this.signal?.throwIfAborted();
+
+      // Get PageSpeed Insights results (mobile + desktop)
+      const psiResults = await psiService.runComprehensiveAudit(this.url);
+      this.emitProgress('psi.completed', {
+        pageUrl: this.url,
+        mobileScore: psiResults.mobile?.score,
+        desktopScore: psiResults.desktop?.score
+      });
 
-    // Analyze server configuration
-    const impactCalculator = new ImpactCalculator();
-    const serverConfiguration = impactCalculator.analyzeServerConfiguration({
-      responseHeaders: this.responseHeaders,
-      pagespeedInsights: psiResults.mobile
-    });
+      // Prepare intermediate results for analysis
+      // Ensure technologies is an array, even if detection fails
+      const technologies = technologyDetector.detect(this.pageHTML, this.responseHeaders) || [];
+
+      // Forensics con el log de red real de Chrome (render-blocking sale de las auditorías PSI)
+      const networkRequests = await this.captureNetwork(this.url);
+      const forensics = forensicsEngine.analyzeBottlenecks(this.pageHTML, networkRequests, psiResults.mobile);
+
+      // Get additional metrics
+      const uptime = await this.checkUptime();
+      const performance = await this.checkPerformance();
+      const seo = await this.checkSEO();
+      await this.closeRenderer();
+      const mixedContent = this.mixedContentAnalyzer.summarizeSite([
+        this.mixedContentAnalyzer.analyzePage(this.url, typeof this.pageHTML === 'string' ? this.pageHTML : '')
+      ]);
+
+      // Calculate additional analysis
+      const scopeAnalysis = MetricsHelper.calculateScopeAnalysis({
+        links,
+        performance,
+        seo
+      });
 
-    // Scan for security vulnerabilities
-    logger.info(`🔒 Escaneando vulnerabilidades de seguridad...`);
-    const vulnerabilityScanner = new VulnerabilityScanner();
-    const vulnerabilityAnalysis = await vulnerabilityScanner.scanForVulnerabilities({
-      technologies: technologies,
-      pageHTML: this.pageHTML,
-      responseHeaders: this.responseHeaders
-    });
+      const actionableRecommendations = MetricsHelper.generateActionableRecommendations(
+        psiResults,
+        psiResults.comparison
+      );
 
-    // Analyze SEO for single page audit
-    const siteSEOAnalyzer = new SiteSEOAnalyzer();
-    const siteSEOAnalysis = await siteSEOAnalyzer.analyzeSiteSEO({
-      pageAnalyses: [{
-        url: this.url,
-        seo: seo,
-        technologies: technologies
-      }],
-      siteDiscovery: {
-        metadata: {
-          coverage: 100
-        }
-      }
-    });
+      // Analyze server configuration
+      const impactCalculator = new ImpactCalculator({ now: () => this.now() });
+      const serverConfiguration = impactCalculator.analyzeServerConfiguration({
+        responseHeaders: this.responseHeaders,
+        pagespeedInsights: psiResults.mobile
+      });
 
-    this.results = {
-      client: this.clientName,
-      url: this.url,
-      timestamp: new Date().toISOString(),
-      ssl,
-      links,
-      uptime,
-      performance,
-      seo,
-      pagespeedInsights: psiResults, // New PSI results
-      technologies: technologies, // Use the ensured array
-      forensics: forensics,
-      serverConfiguration: serverConfiguration, // Add server configuration analysis
-      vulnerabilityAnalysis: vulnerabilityAnalysis, // Add vulnerability scanning
-      siteSEOAnalysis: siteSEOAnalysis, // Add SEO analysis for single page
-      roi: roiCalculator.calculateROI(psiResults), // Use psiResults directly
-      engineeringPlan: engineeringPlanner.createImplementationPlan(psiResults), // Use psiResults directly
-      scopeAnalysis, // New scope analysis
-      actionableRecommendations, // New actionable recommendations
-      pageHTML: this.pageHTML // Incluir el HTML para análisis posterior
-    };
+      // Scan for security vulnerabilities
+      logger.info(`🔒 Escaneando vulnerabilidades de seguridad...`);
+      const vulnerabilityScanner = new VulnerabilityScanner();
+      const vulnerabilityAnalysis = await vulnerabilityScanner.scanForVulnerabilities({
+        technologies: technologies,
+        pageHTML: this.pageHTML,
+        responseHeaders: this.responseHeaders
+      });
+      this.emitProgress('vulnerabilities.completed', {
+        summary: vulnerabilityAnalysis.summary,
+        riskScore: vulnerabilityAnalysis.riskScore
+      });
+
+      // Analyze SEO for single page audit
+      const siteSEOAnalyzer = new SiteSEOAnalyzer();
+      const siteSEOAnalysis = await siteSEOAnalyzer.analyzeSiteSEO({
+        pageAnalyses: [{
+          url: this.url,
+          seo: seo,
+          technologies: technologies
+        }],
+        siteDiscovery: {
+          robots: await this.robotsPolicy.getSummary(this.url),
+          metadata: {
+            coverage: 100
+          }
+        },
+        robotsTxt: await this.robotsPolicy.getRobots(this.url),
+        redirectAnalysis: await this.analyzeRedirects()
+      });
 
-    const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
-    this.results.duration = `${duration}s`;
+      this.results = {
+        client: this.clientName,
+        url: this.url,
+        timestamp: new Date(this.now()).toISOString(),
+        ssl,
+        links,
+        uptime,
+        redirectAnalysis: await this.analyzeRedirects(),
+        mixedContent,
+        renderMode: this.options.render ? 'headless' : 'raw',
+        rendering: this.rendering || null,
+        performance,
+        seo,
+        pagespeedInsights: psiResults, // New PSI results
+        technologies: technologies, // Use the ensured array
+        forensics: forensics,
+        serverConfiguration: serverConfiguration, // Add server configuration analysis
+        vulnerabilityAnalysis: vulnerabilityAnalysis, // Add vulnerability scanning
+        siteSEOAnalysis: siteSEOAnalysis, // Add SEO analysis for single page
+        roi: roiCalculator.calculateROI(psiResults), // Use psiResults directly
+        engineeringPlan: engineeringPlanner.createImplementationPlan(psiResults), // Use psiResults directly
+        scopeAnalysis, // New scope analysis
+        actionableRecommendations, // New actionable recommendations
+        userFlow: await this.runUserFlow(),
+        artifacts: { har: await this.exportHar() },
+        authentication: this.describeAuthentication(),
+        pageHTML: this.pageHTML // Incluir el HTML para análisis posterior
+      };
+      // Ninguna credencial llega a resultados guardados, reportes ni webhooks
+      this.results = this.auth.redact(this.results);
 
-    logger.success(`Auditoría completada en ${duration}s`);
-    return this.results;
+      const duration = ((this.now() - this.startTime) / 1000).toFixed(2);
+      this.results.duration = `${duration}s`;
+
+      logger.success(`Auditoría completada en ${duration}s`);
+      this.emitProgress('audit.completed', { duration: this.results.duration });
+      return this.results;
+    } finally {
+      await this.closeRenderer();
+    }
   }
 
   async runSiteWideAudit(options = {}) {
-    logger.info(`========================================`);
-    logger.info(`🚀 Iniciando auditoría SITE-WIDE completa`);
-    logger.info(`Cliente: ${this.clientName}`);
-    logger.info(`URL: ${this.url}`);
-    logger.info(`========================================`);
+    if (this.signal && !this.abortable) {
+      return this.runAbortable(() => this.runSiteWideAudit(options));
+    }
+    if (this.archive && !this.archive.isActive()) {
+      // Mismos parámetros que la grabación y sin checkpoint: retomar a medias rompería el replay
+      const runOptions = this.archive.setRunOptions({ ...options, checkpoint: false });
+      return this.runArchived(() => this.runSiteWideAudit(runOptions));
+    }
+
+    if (options.warc && !this.warc) {
+      // Sin checkpoint: las páginas retomadas no se volverían a pedir y faltarían en el WARC
+      return this.runWithWarc(options.warc, () => this.runSiteWideAudit({ ...options, checkpoint: false }));
+    }
+
+    // Chrome se cierra aunque la auditoría falle (login, discovery, cancelación)
+    try {
+      logger.info(`========================================`);
+      logger.info(`🚀 Iniciando auditoría SITE-WIDE completa`);
+      logger.info(`Cliente: ${this.clientName}`);
+      logger.info(`URL: ${this.url}`);
+      logger.info(`========================================`);
+
+      const maxPages = options.maxPages || 15; // Análisis de top 15 páginas por defecto
+      const analysisMode = options.mode || 'gradual'; // 'full', 'standard', 'light', 'gradual'
+
+      // Initialize services
+      const pageDiscovery = new PageDiscoveryEngine({ now: () => this.now() });
+      const psiService = this.createPsiService();
+      const technologyDetector = new TechnologyDetector();
+      const forensicsEngine = new ForensicsEngine();
+      const roiCalculator = new ROICalculator();
+      const engineeringPlanner = new EngineeringPlanner();
+
+      this.emitProgress('audit.started', { auditType: 'site-wide', maxPages, mode: analysisMode });
+      await this.authenticate();
+      this.signal?.throwIfAborted();
+      logger.info(`🔍 Descubriendo páginas del sitio...`);
+
+      // 1. Descubrir páginas automáticamente
+      const discoveryResult = await pageDiscovery.discoverPages(this.url, {
+        ...options.discovery,
+        robots: this.robotsPolicy,
+        auth: this.auth
+      });
+      this.signal?.throwIfAborted();
+      const pagesToAnalyze = discoveryResult.prioritizedPages.slice(0, maxPages);
+      // La cobertura refleja las páginas que realmente se van a auditar
+      discoveryResult.metadata.coverage = pageDiscovery.calculateCoverage(pagesToAnalyze.length, discoveryResult.allPages.length);
+
+      logger.success(`📊 Encontradas ${pagesToAnalyze.length} páginas para analizar`);
+      logger.success(`🎯 Cobertura: ${discoveryResult.metadata.coverage}% de las páginas conocidas del sitio`);
+      this.emitProgress('discovery.completed', {
+        totalDiscovered: discoveryResult.metadata.totalDiscovered,
+        pagesToAnalyze: pagesToAnalyze.length,
+        coverage: discoveryResult.metadata.coverage,
+        pages: pagesToAnalyze.map(p => p.url)
+      });
 
-    const maxPages = options.maxPages || 15; // Análisis de top 15 páginas por defecto
-    const analysisMode = options.mode || 'gradual'; // 'full', 'standard', 'light', 'gradual'
+      // 2. Información básica del sitio (las redirecciones se prueban también sobre una muestra de rutas)
+      const redirectAnalysis = await this.analyzeRedirects(pagesToAnalyze.map(p => p.url));
+      const ssl = await this.checkSSL();
+      const links = await this.checkBrokenLinks();
+      const uptime = await this.checkUptime();
 
-    // Initialize services
-    const pageDiscovery = new PageDiscoveryEngine();
-    const psiService = new PageSpeedInsightsService();
-    const technologyDetector = new TechnologyDetector();
-    const forensicsEngine = new ForensicsEngine();
-    const roiCalculator = new ROICalculator();
-    const engineeringPlanner = new EngineeringPlanner();
+      // 3. Análisis por niveles (gradual), en paralelo y con checkpoint en disco
+      const checkpoint = options.checkpoint === false ? null : new AuditCheckpoint({
+        directory: options.checkpointDir || process.env.AUDIT_CHECKPOINT_DIR,
+        id: options.checkpointId,
+        url: this.url,
+        scope: { maxPages, mode: analysisMode, discovery: options.discovery?.mode || 'sitemap' }
+      });
+      const completedPages = checkpoint ? checkpoint.load() : new Map();
+      if (completedPages.size > 0) {
+        logger.info(`♻️ Retomando auditoría: ${completedPages.size} páginas ya analizadas en checkpoint`);
+      }
 
-    logger.info(`🔍 Descubriendo páginas del sitio...`);
+      const concurrency = options.concurrency || 3;
+      const services = { psiService, technologyDetector, forensicsEngine };
+      const pool = new WorkerPool({ concurrency });
+      let totalAnalysisTime = 0;
+
+      const pageAnalyses = await pool.run(pagesToAnalyze, async (page, i) => {
+        this.signal?.throwIfAborted();
+        const progress = { pageUrl: page.url, index: i + 1, total: pagesToAnalyze.length };
+
+        const checkpointed = completedPages.get(page.url);
+        if (checkpointed) {
+          totalAnalysisTime += checkpointed.analysisTime || 0;
+          this.emitProgress('page.completed', {
+            ...progress,
+            success: checkpointed.success,
+            analysisLevel: checkpointed.analysisLevel,
+            resumed: true,
+            partialResult: this.summarizePageResult(checkpointed)
+          });
+          return checkpointed;
+        }
 
-    // 1. Descubrir páginas automáticamente
-    const discoveryResult = await pageDiscovery.discoverPages(this.url);
-    const pagesToAnalyze = discoveryResult.prioritizedPages.slice(0, maxPages);
+        const pageStartTime = this.now();
+        logger.info(`📄 Analizando página ${i + 1}/${pagesToAnalyze.length}: ${page.url}`);
 
-    logger.success(`📊 Encontradas ${pagesToAnalyze.length} páginas para analizar`);
-    logger.success(`🎯 Cobertura estimada: ${discoveryResult.metadata.coverage}% del sitio`);
+        let pageResults;
+        try {
+          // Determinar nivel de análisis basado en importancia y posición
+          const analysisLevel = this.determineAnalysisLevel(i, page.priority, analysisMode);
+          this.emitProgress('page.started', { ...progress, analysisLevel });
+
+          pageResults = await this.analyzeSitePage(page, analysisLevel, services);
+          pageResults.analysisTime = this.now() - pageStartTime;
+
+          logger.success(`✅ ${page.url} - ${analysisLevel.toUpperCase()} (${(pageResults.analysisTime/1000).toFixed(1)}s)`);
+          this.emitProgress('page.completed', {
+            ...progress,
+            success: true,
+            analysisLevel,
+            analysisTime: pageResults.analysisTime,
+            partialResult: this.summarizePageResult(pageResults)
+          });
+
+        } catch (error) {
+          // Cancelada: la página no se guarda como fallida en el checkpoint (el reintento debe analizarla)
+          this.signal?.throwIfAborted();
+          logger.error(`❌ Error analizando ${page.url}:`, error.message);
+
+          pageResults = {
+            url: page.url,
+            analysisLevel: 'failed',
+            error: error.message,
+            priority: page.priority,
+            type: page.type,
+            success: false,
+            analysisTime: this.now() - pageStartTime
+          };
+          this.emitProgress('page.completed', {
+            ...progress,
+            success: false,
+            error: error.message
+          });
+        }
 
-    // 2. Información básica del sitio
-    const ssl = await this.checkSSL();
-    const links = await this.checkBrokenLinks();
-    const uptime = await this.checkUptime();
+        totalAnalysisTime += pageResults.analysisTime;
+        checkpoint?.save(this.auth.redact(pageResults));
+        return pageResults;
+      });
 
-    // 3. Análisis por niveles (gradual)
-    const pageAnalyses = [];
-    let totalAnalysisTime = 0;
+      await this.closeRenderer();
 
-    for (let i = 0; i < pagesToAnalyze.length; i++) {
-      const page = pagesToAnalyze[i];
-      const pageStartTime = Date.now();
+      // Verificación de enlaces de todo el sitio: destinos deduplicados entre páginas
+      logger.info(`🔗 Verificando enlaces de todo el sitio...`);
+      pageAnalyses.forEach(analysis => {
+        if (analysis.links?.urls) this.linkChecker.addLinks(analysis.url, analysis.links.urls);
+      });
+      await this.linkChecker.checkPending();
+      this.signal?.throwIfAborted();
+      for (const analysis of pageAnalyses) {
+        if (analysis.success) analysis.links = await this.linkChecker.getReport(analysis.url);
+      }
+      const siteLinkCheck = await this.linkChecker.getReport();
+      logger.success(`🔗 Enlaces únicos: ${siteLinkCheck.total}, verificados: ${siteLinkCheck.checked}, rotos: ${siteLinkCheck.broken}`);
+      this.emitProgress('links.completed', {
+        total: siteLinkCheck.total,
+        checked: siteLinkCheck.checked,
+        broken: siteLinkCheck.broken,
+        redirects: siteLinkCheck.redirects.length
+      });
 
-      logger.info(`📄 Analizando página ${i + 1}/${pagesToAnalyze.length}: ${page.url}`);
+      // Contenido mixto: recursos http:// cargados desde páginas https://
+      const mixedContent = this.mixedContentAnalyzer.summarizeSite(pageAnalyses.map(p => p.mixedContent));
+      if (mixedContent.affectedPages > 0) {
+        logger.warn(`🔓 Contenido mixto en ${mixedContent.affectedPages} páginas (${mixedContent.activeCount} activos, ${mixedContent.passiveCount} pasivos)`);
+      }
 
-      try {
-        // Determinar nivel de análisis basado en importancia y posición
-        const analysisLevel = this.determineAnalysisLevel(i, page.priority, analysisMode);
+      // 4. Análisis avanzado del sitio
+      logger.info(`📊 Generando análisis consolidado del sitio...`);
 
-        let pageResults;
+      // Análisis SEO general del sitio
+      const siteSEOAnalyzer = new SiteSEOAnalyzer();
+      const siteSEOAnalysis = await siteSEOAnalyzer.analyzeSiteSEO({
+        pageAnalyses: pageAnalyses,
+        siteDiscovery: discoveryResult,
+        robotsTxt: await this.robotsPolicy.getRobots(this.url),
+        redirectAnalysis
+      });
 
-        switch (analysisLevel) {
-          case 'full':
-            // Análisis completo: PSI + forensics + technologies + básicos
-            const psiResults = await psiService.runComprehensiveAudit(page.url);
-            const pageHtml = await this.getPageHtml(page.url);
-            const pageHeaders = await this.getPageHeaders(page.url);
-            const tech = technologyDetector.detect(pageHtml, pageHeaders) || [];
-            const forensics = forensicsEngine.analyzeBottlenecks(pageHtml, [], psiResults.mobile);
-            const sslCheck = await this.checkSSLForPage(page.url);
-            const linksCheck = await this.checkLinksForPage(page.url, pageHtml);
-            const seoCheck = await this.checkSEOForPage(page.url, pageHtml);
-
-            pageResults = {
-              url: page.url,
-              analysisLevel: 'full',
-              pagespeedInsights: psiResults,
-              technologies: tech,
-              forensics: forensics,
-              ssl: sslCheck,
-              links: linksCheck,
-              seo: seoCheck,
-              priority: page.priority,
-              type: page.type,
-              success: true
-            };
-            break;
-
-          case 'standard':
-            // Análisis estándar: PSI + básicos
-            const psiStandard = await psiService.runComprehensiveAudit(page.url);
-            const pageHtmlStandard = await this.getPageHtml(page.url);
-            const pageHeadersStandard = await this.getPageHeaders(page.url);
-            const sslStandard = await this.checkSSLForPage(page.url);
-            const linksStandard = await this.checkLinksForPage(page.url, pageHtmlStandard);
-            const seoStandard = await this.checkSEOForPage(page.url, pageHtmlStandard);
-            const techStandard = technologyDetector.detect(pageHtmlStandard, pageHeadersStandard) || [];
-
-            pageResults = {
-              url: page.url,
-              analysisLevel: 'standard',
-              pagespeedInsights: psiStandard,
-              ssl: sslStandard,
-              links: linksStandard,
-              seo: seoStandard,
-              technologies: techStandard,
-              priority: page.priority,
-              type: page.type,
-              success: true
-            };
-            break;
-
-          case 'light':
-          default:
-            // Análisis light: Básicos + uptime
-            const uptimeCheck = await this.checkUptimeForPage(page.url);
-            const pageHtmlLight = await this.getPageHtml(page.url);
-            const pageHeadersLight = await this.getPageHeaders(page.url);
-            const sslLight = await this.checkSSLForPage(page.url);
-            const linksLight = await this.checkLinksForPage(page.url, pageHtmlLight);
-            const seoLight = await this.checkSEOForPage(page.url, pageHtmlLight);
-            const techLight = technologyDetector.detect(pageHtmlLight, pageHeadersLight) || [];
-
-            pageResults = {
-              url: page.url,
-              analysisLevel: 'light',
-              uptime: uptimeCheck,
-              ssl: sslLight,
-              links: linksLight,
-              seo: seoLight,
-              technologies: techLight,
-              priority: page.priority,
-              type: page.type,
-              success: true
-            };
-            break;
-        }
+      // Análisis Lighthouse local (si hay páginas exitosas)
+      let lighthouseLocalAnalysis = null;
+      const successfulPages = pageAnalyses.filter(p => p.success);
+      this.signal?.throwIfAborted();
+      if (successfulPages.length > 0) {
+        logger.info(`🏮 Ejecutando análisis Lighthouse local...`);
+        // options.lighthouse: { runs, formFactor, throttling, chromeInstances, maxPages };
+        // los LHR completos quedan con los artefactos
+        const { maxPages: lighthouseMaxPages, ...lighthouseSettings } = this.options.lighthouse || {};
+        const lighthouseAnalyzer = new LighthouseLocalAnalyzer(lighthouseSettings);
+        // Con el pool de Chrome se cubren todas las páginas analizadas (opcionalmente acotado)
+        const pageUrls = successfulPages.slice(0, lighthouseMaxPages || successfulPages.length).map(p => p.url);
+        lighthouseLocalAnalysis = await this.recorded('lighthouse', pageUrls.join(' '), () => lighthouseAnalyzer.runMultiplePagesAnalysis(pageUrls, {
+          auth: this.auth,
+          lhrDir: join(this.artifactsDirectory(), 'lighthouse', this.artifactName())
+        }));
+      }
 
-        const pageAnalysisTime = Date.now() - pageStartTime;
-        totalAnalysisTime += pageAnalysisTime;
+      const siteSummary = this.generateSiteSummary(pageAnalyses, discoveryResult);
 
-        pageResults.analysisTime = pageAnalysisTime;
-        pageAnalyses.push(pageResults);
+      // Escanear vulnerabilidades de seguridad
+      logger.info(`🔒 Escaneando vulnerabilidades de seguridad...`);
+      const vulnerabilityScanner = new VulnerabilityScanner();
+      const vulnerabilityAnalysis = await vulnerabilityScanner.scanForVulnerabilities({
+        technologies: pageAnalyses[0]?.technologies || [], // Ensure technologies is an array
+        pageHTML: pageAnalyses[0]?.pageHTML || '',
+        responseHeaders: pageAnalyses[0]?.responseHeaders || {}
+      });
+      this.emitProgress('vulnerabilities.completed', {
+        summary: vulnerabilityAnalysis.summary,
+        riskScore: vulnerabilityAnalysis.riskScore
+      });
 
-        logger.success(`✅ ${page.url} - ${analysisLevel.toUpperCase()} (${(pageAnalysisTime/1000).toFixed(1)}s)`);
+      // Calcular impactos específicos de optimización
+      const impactCalculator = new ImpactCalculator({ now: () => this.now() });
+      const homepageAnalysis = pageAnalyses.find(p => p.url === this.url || p.url === this.url + '/');
+      // El timing medido sobre la URL auditada es el de la homepage
+      const homepageData = homepageAnalysis ? { ...homepageAnalysis, timing: uptime.timing } : null;
+      const performanceImpacts = homepageData ?
+        impactCalculator.calculateAllImpacts(homepageData) : null;
 
-        // Pequeña pausa para no sobrecargar APIs
-        if (i < pagesToAnalyze.length - 1) {
-          await this.sleep(1000);
-        }
+      // Análisis completo de configuración del servidor
+      const serverConfiguration = homepageData ?
+        impactCalculator.analyzeServerConfiguration(homepageData) : null;
 
-      } catch (error) {
-        logger.error(`❌ Error analizando ${page.url}:`, error.message);
-
-        pageAnalyses.push({
-          url: page.url,
-          analysisLevel: 'failed',
-          error: error.message,
-          priority: page.priority,
-          type: page.type,
-          success: false,
-          analysisTime: Date.now() - pageStartTime
-        });
-      }
-    }
+      const siteRecommendations = this.generateSiteRecommendations(pageAnalyses, siteSummary, performanceImpacts);
+      const siteROI = this.calculateSiteROI(pageAnalyses, siteSummary);
 
-    // 4. Análisis avanzado del sitio
-    logger.info(`📊 Generando análisis consolidado del sitio...`);
+      // 5. Preparar resultados finales
+      this.results = {
+        client: this.clientName,
+        url: this.url,
+        timestamp: new Date(this.now()).toISOString(),
+        auditType: 'site-wide',
+        renderMode: this.options.render ? 'headless' : 'raw',
+        ssl,
+        links,
+        uptime,
+        redirectAnalysis,
+
+        // Resultados del sitio completo
+        siteDiscovery: discoveryResult,
+        siteLinkCheck: siteLinkCheck,
+        mixedContent: mixedContent,
+        pageAnalyses: pageAnalyses,
+        siteSummary: siteSummary,
+        siteRecommendations: siteRecommendations,
+        siteROI: siteROI,
+
+        // Análisis avanzados
+        siteSEOAnalysis: siteSEOAnalysis,
+        lighthouseLocalAnalysis: lighthouseLocalAnalysis,
+        performanceImpacts: performanceImpacts,
+        vulnerabilityAnalysis: vulnerabilityAnalysis,
+        serverConfiguration: serverConfiguration,
+        userFlow: await this.runUserFlow(),
+        artifacts: { har: await this.exportHar() },
+        authentication: this.describeAuthentication(),
+
+        // Estadísticas
+        totalPagesAnalyzed: pageAnalyses.length,
+        successfulAnalyses: pageAnalyses.filter(p => p.success).length,
+        failedAnalyses: pageAnalyses.filter(p => !p.success).length,
+        totalAnalysisTime: totalAnalysisTime,
+        averageAnalysisTime: pageAnalyses.length > 0 ? totalAnalysisTime / pageAnalyses.length : 0,
+
+        // Metadata
+        analysisMode,
+        maxPages,
+        concurrency,
+        resumedPages: completedPages.size,
+        coverage: discoveryResult.metadata.coverage
+      };
 
-    // Análisis SEO general del sitio
-    const siteSEOAnalyzer = new SiteSEOAnalyzer();
-    const siteSEOAnalysis = await siteSEOAnalyzer.analyzeSiteSEO({
-      pageAnalyses: pageAnalyses,
-      siteDiscovery: discoveryResult
-    });
+      this.results = this.auth.redact(this.results);
 
-    // Análisis Lighthouse local (si hay páginas exitosas)
-    let lighthouseLocalAnalysis = null;
-    const successfulPages = pageAnalyses.filter(p => p.success);
-    if (successfulPages.length > 0) {
-      logger.info(`🏮 Ejecutando análisis Lighthouse local...`);
-      const lighthouseAnalyzer = new LighthouseLocalAnalyzer();
-      const pageUrls = successfulPages.slice(0, 3).map(p => p.url); // Analizar top 3 páginas
-      lighthouseLocalAnalysis = await lighthouseAnalyzer.runMultiplePagesAnalysis(pageUrls);
-    }
-
-    const siteSummary = this.generateSiteSummary(pageAnalyses, discoveryResult);
-
-    // Escanear vulnerabilidades de seguridad
-    logger.info(`🔒 Escaneando vulnerabilidades de seguridad...`);
-    const vulnerabilityScanner = new VulnerabilityScanner();
-    const vulnerabilityAnalysis = await vulnerabilityScanner.scanForVulnerabilities({
-      technologies: pageAnalyses[0]?.technologies || [], // Ensure technologies is an array
-      pageHTML: pageAnalyses[0]?.pageHTML || '',
-      responseHeaders: pageAnalyses[0]?.responseHeaders || {}
-    });
+      const duration = ((this.now() - this.startTime) / 1000).toFixed(2);
+      this.results.duration = `${duration}s`;
 
-    // Calcular impactos específicos de optimización
-    const impactCalculator = new ImpactCalculator();
-    const homepageAnalysis = pageAnalyses.find(p => p.url === this.url || p.url === this.url + '/');
-    const performanceImpacts = homepageAnalysis ?
-      impactCalculator.calculateAllImpacts(homepageAnalysis) : null;
+      checkpoint?.clear();
 
-    // Análisis completo de configuración del servidor
-    const serverConfiguration = homepageAnalysis ?
-      impactCalculator.analyzeServerConfiguration(homepageAnalysis) : null;
+      logger.success(`🎉 Auditoría site-wide completada en ${duration}s`);
+      logger.success(`📊 Analizadas ${pageAnalyses.length} páginas con ${siteSummary.coverage}% cobertura`);
+      this.emitProgress('audit.completed', { duration: this.results.duration, siteSummary });
 
-    const siteRecommendations = this.generateSiteRecommendations(pageAnalyses, siteSummary, performanceImpacts);
-    const siteROI = this.calculateSiteROI(pageAnalyses, siteSummary);
+      return this.results;
+    } finally {
+      await this.closeRenderer();
+    }
+  }
 
-    // 5. Preparar resultados finales
-    this.results = {
-      client: this.clientName,
-      url: this.url,
-      timestamp: new Date().toISOString(),
-      auditType: 'site-wide',
-      ssl,
-      links,
-      uptime,
-
-      // Resultados del sitio completo
-      siteDiscovery: discoveryResult,
-      pageAnalyses: pageAnalyses,
-      siteSummary: siteSummary,
-      siteRecommendations: siteRecommendations,
-      siteROI: siteROI,
-
-      // Análisis avanzados
-      siteSEOAnalysis: siteSEOAnalysis,
-      lighthouseLocalAnalysis: lighthouseLocalAnalysis,
-      performanceImpacts: performanceImpacts,
-      vulnerabilityAnalysis: vulnerabilityAnalysis,
-      serverConfiguration: serverConfiguration,
-
-      // Estadísticas
-      totalPagesAnalyzed: pageAnalyses.length,
-      successfulAnalyses: pageAnalyses.filter(p => p.success).length,
-      failedAnalyses: pageAnalyses.filter(p => !p.success).length,
-      totalAnalysisTime: totalAnalysisTime,
-      averageAnalysisTime: pageAnalyses.length > 0 ? totalAnalysisTime / pageAnalyses.length : 0,
-
-      // Metadata
-      analysisMode,
-      maxPages,
-      coverage: discoveryResult.metadata.coverage
+  async analyzeSitePage(page, analysisLevel, services) {
+    // Un solo GET por página: HTML, headers, SSL y tiempo de respuesta salen del mismo snapshot
+    const snapshot = await this.fetchPageSnapshot(page.url);
+    // En modo render, todos los análisis HTML trabajan sobre el DOM de Chrome
+    const { html, rendering } = snapshot.html ? await this.renderPage(page.url, snapshot.html) : { html: snapshot.html, rendering: null };
+    const pageResults = {
+      url: page.url,
+      analysisLevel,
+      ssl: await this.checkSSLForPage(page.url, snapshot),
+      links: this.collectPageLinks(page.url, html),
+      seo: await this.checkSEOForPage(page.url, html),
+      mixedContent: this.mixedContentAnalyzer.analyzePage(snapshot.finalUrl, html),
+      technologies: services.technologyDetector.detect(html, snapshot.headers) || [],
+      responseHeaders: snapshot.headers,
+      priority: page.priority,
+      type: page.type,
+      rendering,
+      success: true
     };
 
-    const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
-    this.results.duration = `${duration}s`;
+    switch (analysisLevel) {
+      case 'full':
+      case 'standard':
+        // PSI solo para páginas full/standard; forensics solo en full
+        pageResults.pagespeedInsights = await services.psiService.runComprehensiveAudit(page.url);
+        this.emitPsiProgress(page.url, pageResults.pagespeedInsights);
+        if (analysisLevel === 'full') {
+          pageResults.forensics = services.forensicsEngine.analyzeBottlenecks(html, await this.captureNetwork(page.url), pageResults.pagespeedInsights.mobile);
+        }
+        break;
+
+      case 'light':
+      default:
+        pageResults.uptime = await this.checkUptimeForPage(page.url, snapshot);
+        break;
+    }
+
+    if (this.warc && html) await this.captureAssets(snapshot.finalUrl, html);
+
+    return pageResults;
+  }
 
-    logger.success(`🎉 Auditoría site-wide completada en ${duration}s`);
-    logger.success(`📊 Analizadas ${pageAnalyses.length} páginas con ${siteSummary.coverage}% cobertura`);
+  async fetchPageSnapshot(url) {
+    await this.robotsPolicy.applyCrawlDelay(this.hostLimiter, url, this.hostLimiter.delayMs);
+    return this.hostLimiter.schedule(url, async () => {
+      const startFetch = this.now();
+      try {
+        const response = await axios.get(url, {
+          timeout: this.options.timeout,
+          responseType: 'text',
+          validateStatus: () => true,
+          headers: { 'User-Agent': AUDIT_USER_AGENT, ...this.auth.headersFor(url) }
+        });
+
+        return {
+          url,
+          finalUrl: response.request?.res?.responseUrl || url,
+          status: response.status,
+          headers: response.headers,
+          html: response.status < 400 && typeof response.data === 'string' ? response.data : '',
+          responseTime: this.now() - startFetch,
+          certificate: response.request?.socket?.getPeerCertificate?.() || null
+        };
+      } catch (error) {
+        logger.warn(`No se pudo obtener ${url}: ${error.message}`);
+        return { url, finalUrl: url, status: null, headers: {}, html: '', responseTime: this.now() - startFetch, certificate: null, error: error.message };
+      }
+    });
+  }
 
-    return this.results;
+  emitPsiProgress(pageUrl, psiResults) {
+    this.emitProgress('psi.completed', {
+      pageUrl,
+      mobileScore: psiResults.mobile?.score,
+      desktopScore: psiResults.desktop?.score
+    });
+  }
+
+  // Resumen liviano de una página para los eventos de progreso (sin HTML ni datos PSI completos)
+  summarizePageResult(pageResults) {
+    return {
+      url: pageResults.url,
+      type: pageResults.type,
+      mobileScore: pageResults.pagespeedInsights?.mobile?.score,
+      desktopScore: pageResults.pagespeedInsights?.desktop?.score,
+      brokenLinks: pageResults.links?.broken,
+      seoStatus: pageResults.seo?.status,
+      sslStatus: pageResults.ssl?.status
+    };
   }
 
   determineAnalysisLevel(index, priority, mode) {
@@ -555,93 +1180,30 @@ export class WebAudit {
     return 'light';                                        // Resto: análisis light
   }
 
-  async getPageHtml(url) {
+  async checkSSLForPage(url, snapshot = null) {
     try {
-      const response = await axios.get(url, { timeout: 10000 });
-      return response.data;
-    } catch (error) {
-      logger.warn(`No se pudo obtener HTML de ${url}`);
-      return '';
-    }
-  }
-
-  async getPageHeaders(url) {
-    try {
-      const response = await axios.head(url, { timeout: 8000 });
-      return response.headers;
-    } catch (error) {
-      logger.warn(`No se pudieron obtener headers de ${url}`);
-      return {};
-    }
-  }
+      if (snapshot?.error) throw new Error(snapshot.error);
 
-  async checkSSLForPage(url) {
-    try {
-      const response = await axios.get(url, {
+      const response = snapshot ? null : await axios.get(url, {
         timeout: 8000,
-        validateStatus: () => true
+        validateStatus: () => true,
+        headers: this.auth.headersFor(url)
       });
 
-      const isHTTPS = response.config.url.startsWith('https');
-      const certInfo = response.request.socket?.getPeerCertificate?.();
+      const isHTTPS = snapshot ? snapshot.url.startsWith('https') : response.config.url.startsWith('https');
+      const certInfo = snapshot ? snapshot.certificate : response.request.socket?.getPeerCertificate?.();
+      const inspection = isHTTPS ? await this.inspectTLS(url) : null; // Cacheada por host
 
-      return {
-        status: isHTTPS ? 'valid' : 'warning',
-        protocol: isHTTPS ? 'HTTPS' : 'HTTP',
-        statusCode: response.status,
-        cert: certInfo ? 'Present' : 'N/A',
-        timestamp: new Date().toISOString()
-      };
+      return this.buildSSLResult(isHTTPS, snapshot ? snapshot.status : response.status, certInfo, inspection);
     } catch (err) {
-      return {
-        status: 'error',
-        message: err.message,
-        timestamp: new Date().toISOString()
-      };
+      return this.buildSSLErrorResult(url, err);
     }
   }
 
-  async checkLinksForPage(url, pageHtml) {
-    try {
-      const $ = cheerio.load(pageHtml);
-      const links = [];
-      const checked = new Set();
-
-      $('a[href]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !checked.has(href)) {
-          links.push(href);
-          checked.add(href);
-        }
-      });
-
-      // Verificar primeros 10 links por página
-      const linksToCheck = links.slice(0, 10);
-      const broken = [];
-
-      for (const link of linksToCheck) {
-        try {
-          if (link.startsWith('http')) {
-            const res = await axios.head(link, { timeout: 3000, validateStatus: () => true });
-            if (res.status >= 400) {
-              broken.push({ url: link, status: res.status });
-            }
-          }
-        } catch (err) {
-          broken.push({ url: link, error: err.code || 'TIMEOUT' });
-        }
-      }
-
-      return {
-        total: links.length,
-        checked: linksToCheck.length,
-        broken: broken.length,
-        brokenLinks: broken,
-        status: broken.length === 0 ? 'good' : broken.length < 2 ? 'warning' : 'bad'
-      };
-    } catch (err) {
-      return { error: err.message, status: 'error' };
-    }
+  // Site-wide: solo registra los enlaces; se verifican todos juntos (deduplicados) al final
+  collectPageLinks(url, pageHtml) {
+    const urls = this.linkChecker.addPage(url, pageHtml);
+    return { total: urls.length, urls };
   }
 
   async checkSEOForPage(url, pageHtml) {
@@ -656,6 +1218,7 @@ export class WebAudit {
           h2: $('h2').length,
           h3: $('h3').length
         },
+        resources: this.extractRenderResources($, url),
         status: $('h1').length > 0 && $('meta[name="description"]').length > 0 ? 'good' : 'warning'
       };
 
@@ -665,67 +1228,51 @@ export class WebAudit {
     }
   }
 
-  async checkUptimeForPage(url) {
+  // CSS/JS propios necesarios para renderizar (se contrastan con robots.txt en el análisis SEO)
+  extractRenderResources($, pageUrl) {
+    const origin = new URL(pageUrl).origin;
+    const resolve = (href) => {
+      try {
+        const resolved = new URL(href, pageUrl);
+        return resolved.origin === origin ? resolved.href : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const css = $('link[rel="stylesheet"][href]').map((i, el) => resolve($(el).attr('href'))).get().filter(Boolean);
+    const js = $('script[src]').map((i, el) => resolve($(el).attr('src'))).get().filter(Boolean);
+
+    return {
+      css: [...new Set(css)].slice(0, 20),
+      js: [...new Set(js)].slice(0, 20)
+    };
+  }
+
+  async checkUptimeForPage(url, snapshot = null) {
     try {
-      const startCheck = Date.now();
-      const response = await axios.get(url, {
+      if (snapshot?.error) throw new Error(snapshot.error);
+
+      const startCheck = this.now();
+      const response = snapshot || await axios.get(url, {
         timeout: 8000,
-        validateStatus: () => true
+        validateStatus: () => true,
+        headers: this.auth.headersFor(url)
       });
-      const responseTime = Date.now() - startCheck;
+      const responseTime = snapshot ? snapshot.responseTime : this.now() - startCheck;
 
       return {
         status: response.status < 400 ? 'up' : 'error',
         statusCode: response.status,
         responseTime: `${responseTime}ms`,
-        timestamp: new Date().toISOString()
+        timestamp: new Date(this.now()).toISOString()
       };
     } catch (err) {
       return {
         status: 'down',
         error: err.message,
-        timestamp: new Date().toISOString()
-      };
-    }
-  }
-
-  async checkBrokenLinksForPage(url) {
-    try {
-      const response = await axios.get(url, { timeout: 8000 });
-      const $ = cheerio.load(response.data);
-
-      const links = [];
-      $('a[href]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href) links.push(href);
-      });
-
-      // Solo verificar primeros 10 links por página (para no ser muy lento)
-      const linksToCheck = links.slice(0, 10);
-      const broken = [];
-
-      for (const link of linksToCheck) {
-        try {
-          if (link.startsWith('http')) {
-            const res = await axios.head(link, { timeout: 3000, validateStatus: () => true });
-            if (res.status >= 400) {
-              broken.push({ url: link, status: res.status });
-            }
-          }
-        } catch (err) {
-          broken.push({ url: link, error: err.code || 'TIMEOUT' });
-        }
-      }
-
-      return {
-        total: links.length,
-        checked: linksToCheck.length,
-        broken: broken.length,
-        brokenLinks: broken,
-        status: broken.length === 0 ? 'good' : broken.length < 2 ? 'warning' : 'bad'
+        timestamp: new Date(this.now()).toISOString()
       };
-    } catch (err) {
-      return { error: err.message, status: 'error' };
     }
   }
 
@@ -869,11 +1416,12 @@ export class WebAudit {
     };
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   async generateReport(format = 'html', outputPath = null) { // Modified signature
+    // El reporte de un replay lleva la fecha de la grabación
+    if (this.archive?.replaying && !this.archive.isActive()) {
+      return this.archive.run(() => this.generateReport(format, outputPath));
+    }
+
     const generator = new ReportGenerator(this.results);
 
     if (outputPath) { // If outputPath is provided, store it
@@ -901,6 +1449,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   let client = 'Default';
   let outputPath = null;
   let format = 'html'; // Default format
+  let userFlow = null;
+  let record = null;
+  let replay = null;
+  let waterfall = false;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--url' && args[i + 1]) {
@@ -911,16 +1463,30 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       outputPath = args[++i];
     } else if (args[i] === '--format' && args[i + 1]) {
       format = args[++i];
+    } else if (args[i] === '--flow' && args[i + 1]) {
+      userFlow = args[++i];
+    } else if (args[i] === '--record') {
+      // Ruta opcional: sin ella la grabación queda junto a los artefactos
+      record = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+    } else if (args[i] === '--replay' && args[i + 1]) {
+      replay = args[++i];
+    } else if (args[i] === '--waterfall') {
+      waterfall = true;
     }
   }
 
-  if (!url) {
+  if (!url && !replay) {
     console.error('\x1b[31mError: Debes proporcionar una URL usando --url <url>\x1b[0m');
-    console.log('\x1b[33mUso: node src/audit.js --url <url> [--client <nombre>] [--output <ruta>] [--format <html|json>]\x1b[0m');
+    console.log('\x1b[33mUso: node src/audit.js --url <url> [--client <nombre>] [--output <ruta>] [--format <html|json>] [--flow <pasos.json>] [--record [archivo]] [--replay <archivo>] [--waterfall]\x1b[0m');
     process.exit(1);
   }
 
-  const audit = new WebAudit(url, client);
+  const audit = new WebAudit(url, client, {
+    ...(userFlow && { userFlow }),
+    ...(record && { record }),
+    ...(replay && { replay }),
+    ...(waterfall && { waterfall })
+  });
   audit.runFullAudit()
     .then(async () => { // Make this async to use await for generateReport
       const reportPath = await audit.generateReport(format, outputPath); // Pass format and outputPath
@@ -3,14 +3,20 @@ import dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
+// Con `|| default` un 0 explícito caería al valor por defecto
+function parseRetries(value, fallback) {
+  const retries = parseInt(value, 10);
+  return Number.isNaN(retries) ? fallback : Math.max(0, retries);
+}
+
 export const config = {
   // Server Configuration
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
-  // Database Configuration (for future use)
+  // Database Configuration
   database: {
-    url: process.env.DATABASE_URL,
+    url: process.env.DATABASE_URL || './data/web-audit.db', // Para SQLite: ruta del archivo (o ':memory:')
     type: process.env.DATABASE_TYPE || 'sqlite'
   },
 
@@ -57,18 +63,23 @@ export const config = {
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
 
-  // Queue Configuration (for future Redis implementation)
+  // Queue Configuration (journal en disco por defecto, Redis cuando haya driver)
   queue: {
     redisUrl: process.env.REDIS_URL,
-    concurrency: process.env.QUEUE_CONCURRENCY || 2,
-    timeout: process.env.QUEUE_TIMEOUT || 300000 // 5 minutes
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+    timeout: parseInt(process.env.QUEUE_TIMEOUT, 10) || 300000, // 5 minutes
+    maxRetries: parseRetries(process.env.QUEUE_MAX_RETRIES, 2), // 0 desactiva los reintentos
+    retryDelay: 5000, // Backoff base entre reintentos (se duplica en cada intento)
+    journalPath: process.env.QUEUE_JOURNAL_PATH || './data/queue-journal.jsonl'
   },
 
   // Webhook Configuration
   webhooks: {
     maxRetries: 3,
+    retryDelay: 1000, // Backoff base (1s, 2s, 4s...)
     timeout: 10000,
-    secretLength: 32
+    secretLength: 32,
+    disableAfterFailures: 10 // Entregas fallidas consecutivas antes de desactivar el webhook
   }
 };
 
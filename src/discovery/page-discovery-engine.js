@@ -1,138 +1,320 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { gunzipSync } from 'zlib';
+import { SiteCrawler } from './site-crawler.js';
+import { RobotsPolicy } from './robots-policy.js';
+import { PageVerifier } from './page-verifier.js';
 
 export class PageDiscoveryEngine {
-  constructor() {
+  constructor(options = {}) {
     this.maxPages = 50; // Máximo número de páginas a analizar
     this.maxHomepageLinks = 30; // Máximo enlaces de homepage
-    this.maxSitemapPages = 50; // Máximo páginas del sitemap
+    this.maxSitemapPages = 500; // Presupuesto de URLs a recolectar de sitemaps
+    this.maxSitemapFiles = 50; // Máximo archivos de sitemap a descargar (índices + hijos)
+    this.maxSitemapDepth = 3; // Profundidad máxima de sitemap indexes anidados
     this.timeout = 10000; // Timeout para requests
+    this.maxSitemapBytes = 50 * 1024 * 1024; // Límite del protocolo sitemap: 50MB descomprimido
+    this.auth = null;
+    this.now = options.now || Date.now; // Reloj de la auditoría: antigüedad de lastmod
   }
 
   async discoverPages(baseUrl, options = {}) {
     console.log(`🔍 Iniciando descubrimiento de páginas para: ${baseUrl}`);
 
     const discoveredPages = new Set();
+    this.auth = options.auth || null; // AuthSession de auditorías autenticadas (sitemaps y páginas privadas)
+    const mode = options.mode || 'sitemap'; // 'sitemap' (sitemap + homepage + por defecto) | 'crawl' (sitemap + BFS)
+    // robots.txt se respeta salvo opt-out explícito (respectRobots: false)
+    const robots = options.robots || new RobotsPolicy({ enabled: options.respectRobots !== false, timeout: this.timeout });
 
     try {
       // Método 1: Sitemap.xml (más confiable)
       console.log('📄 Buscando sitemap.xml...');
-      const sitemapPages = await this.discoverFromSitemap(baseUrl);
+      const allSitemapEntries = await this.discoverFromSitemap(baseUrl, robots);
+      const allowedSitemapUrls = new Set(await robots.filterAllowed(allSitemapEntries.map(entry => entry.url)));
+      const sitemapEntries = allSitemapEntries.filter(entry => allowedSitemapUrls.has(entry.url));
+      const sitemapPages = sitemapEntries.map(entry => entry.url);
+      const sitemapMetadata = new Map(sitemapEntries.map(entry => [entry.url, entry]));
       sitemapPages.forEach(page => discoveredPages.add(page));
       console.log(`✅ Encontradas ${sitemapPages.length} páginas en sitemap`);
 
+      if (mode === 'crawl') {
+        return await this.discoverByCrawling(baseUrl, sitemapEntries, options.crawl || {}, robots);
+      }
+
       // Método 2: Enlaces internos de homepage (si no hay suficientes del sitemap)
       if (discoveredPages.size < 10) {
         console.log('🏠 Analizando enlaces internos de homepage...');
-        const homepageLinks = await this.discoverFromHomepage(baseUrl);
+        const homepageLinks = await robots.filterAllowed(await this.discoverFromHomepage(baseUrl));
         homepageLinks.forEach(page => discoveredPages.add(page));
         console.log(`✅ Encontrados ${homepageLinks.length} enlaces internos`);
       }
 
-      // Método 3: Páginas por defecto importantes (siempre incluir)
-      const defaultPages = this.getDefaultImportantPages(baseUrl);
+      // Método 3: Páginas por defecto importantes (solo las que existen de verdad)
+      const guessedPages = (await robots.filterAllowed(this.getDefaultImportantPages(baseUrl)))
+        .filter(page => !discoveredPages.has(page));
+      const verification = await this.verifyGuessedPages(baseUrl, guessedPages, robots);
+      const defaultPages = verification.filter(result => result.verified).map(result => result.url);
       defaultPages.forEach(page => discoveredPages.add(page));
 
+      const robotsSummary = await robots.getSummary(baseUrl);
+      if (robotsSummary.blockedUrls.length > 0) {
+        console.log(`🤖 ${robotsSummary.blockedUrls.length} URLs excluidas por robots.txt`);
+      }
+      if (robotsSummary.warning) {
+        console.warn(`⚠️ ${robotsSummary.warning}`);
+      }
+
       // Convertir a array y priorizar
       const pagesArray = Array.from(discoveredPages);
-      const prioritizedPages = this.prioritizePages(pagesArray);
+      const verificationMetadata = new Map(verification.map(result => [result.url, result]));
+      const prioritizedPages = this.prioritizePages(pagesArray, sitemapMetadata, new Map(), verificationMetadata);
 
       console.log(`✅ Total páginas descubiertas: ${pagesArray.length}, priorizadas: ${prioritizedPages.length}`);
 
       return {
         allPages: pagesArray,
         prioritizedPages: prioritizedPages.slice(0, this.maxPages),
+        robots: robotsSummary,
+        verification: verification.filter(result => !result.verified),
         metadata: {
           sitemapPages: sitemapPages.length,
           homepageLinks: discoveredPages.size - sitemapPages.length - defaultPages.length,
           defaultPages: defaultPages.length,
+          guessedPages: guessedPages.length,
+          rejectedGuessedPages: guessedPages.length - defaultPages.length,
+          soft404Pages: verification.filter(result => result.reason === 'soft-404').length,
+          blockedByRobots: robotsSummary.blockedUrls.length,
+          warnings: robotsSummary.warning ? [robotsSummary.warning] : [],
           totalDiscovered: discoveredPages.size,
-          coverage: this.calculateCoverage(prioritizedPages.length)
+          coverage: this.calculateCoverage(Math.min(prioritizedPages.length, this.maxPages), discoveredPages.size)
         }
       };
 
     } catch (error) {
       console.error('❌ Error en descubrimiento de páginas:', error);
 
-      // Fallback: solo homepage + páginas por defecto
-      const fallbackPages = this.getDefaultImportantPages(baseUrl);
+      // Fallback: solo la homepage (no se auditan páginas adivinadas sin verificar)
+      const fallbackPages = [`${baseUrl}/`];
       return {
         allPages: fallbackPages,
-        prioritizedPages: fallbackPages,
+        prioritizedPages: this.prioritizePages(fallbackPages),
         metadata: {
           sitemapPages: 0,
           homepageLinks: 0,
-          defaultPages: fallbackPages.length,
+          defaultPages: 0,
           totalDiscovered: fallbackPages.length,
-          coverage: this.calculateCoverage(fallbackPages.length),
+          coverage: this.calculateCoverage(fallbackPages.length, fallbackPages.length),
           error: error.message
         }
       };
     }
   }
 
-  async discoverFromSitemap(baseUrl) {
+  async discoverByCrawling(baseUrl, sitemapEntries, crawlOptions = {}, robots = null) {
+    // Método 2 (modo crawl): BFS real sobre enlaces internos en lugar de homepage + páginas adivinadas
+    const crawler = new SiteCrawler({
+      timeout: this.timeout,
+      maxPages: this.maxPages * 2,
+      isFileUrl: (url) => this.isFileUrl(url),
+      robots,
+      auth: this.auth,
+      ...crawlOptions
+    });
+    const crawlResult = await crawler.crawl(baseUrl);
+    const robotsSummary = robots ? await robots.getSummary(baseUrl) : null;
+    if (robotsSummary?.warning) {
+      console.warn(`⚠️ ${robotsSummary.warning}`);
+    }
+
+    // Normalizar las URLs del sitemap con las mismas reglas para no duplicar /blog y /blog/
+    const sitemapMetadata = new Map();
+    sitemapEntries.forEach(entry => {
+      try {
+        sitemapMetadata.set(crawler.normalizeUrl(entry.url), entry);
+      } catch (error) {
+        // URL de sitemap inválida: se ignora
+      }
+    });
+
+    const crawlMetadata = new Map(crawlResult.pages.map(page => [page.url, page]));
+    const reachablePages = crawlResult.pages
+      .filter(page => page.status && page.status < 400)
+      .map(page => page.url);
+
+    const pagesArray = [...new Set([...sitemapMetadata.keys(), ...reachablePages])];
+    const prioritizedPages = this.prioritizePages(pagesArray, sitemapMetadata, crawlMetadata);
+
+    console.log(`✅ Total páginas descubiertas: ${pagesArray.length}, priorizadas: ${prioritizedPages.length}`);
+
+    return {
+      allPages: pagesArray,
+      prioritizedPages: prioritizedPages.slice(0, this.maxPages),
+      linkGraph: crawlResult.linkGraph,
+      crawl: {
+        startUrl: crawlResult.startUrl,
+        pages: crawlResult.pages,
+        complete: crawlResult.complete
+      },
+      robots: robotsSummary,
+      metadata: {
+        mode: 'crawl',
+        sitemapPages: sitemapMetadata.size,
+        crawledPages: crawlResult.pages.length,
+        brokenCrawledPages: crawlResult.pages.filter(page => !page.status || page.status >= 400).length,
+        blockedByRobots: robotsSummary?.blockedUrls.length || 0,
+        warnings: robotsSummary?.warning ? [robotsSummary.warning] : [],
+        internalLinks: crawlResult.linkGraph.edgeCount,
+        homepageLinks: 0,
+        defaultPages: 0,
+        totalDiscovered: pagesArray.length,
+        coverage: this.calculateCoverage(Math.min(prioritizedPages.length, this.maxPages), pagesArray.length)
+      }
+    };
+  }
+
+  async verifyGuessedPages(baseUrl, urls, robots) {
+    if (urls.length === 0) return [];
+
+    console.log(`🔎 Verificando ${urls.length} páginas por defecto...`);
+    const verifier = new PageVerifier({ timeout: this.timeout, robots, auth: this.auth });
+    return verifier.verifyPages(baseUrl, urls);
+  }
+
+  async discoverFromSitemap(baseUrl, robots = new RobotsPolicy({ timeout: this.timeout })) {
+    // Los sitemaps declarados en robots.txt tienen prioridad sobre las rutas convencionales
+    const robotsSitemaps = await this.discoverSitemapsFromRobots(baseUrl, robots);
+
     const sitemapUrls = [
+      ...robotsSitemaps,
       `${baseUrl}/sitemap.xml`,
       `${baseUrl}/sitemap_index.xml`,
+      `${baseUrl}/sitemap.xml.gz`,
       `${baseUrl}/wp-sitemap.xml`, // WordPress
       `${baseUrl}/sitemap.php`, // Algunos CMS
       `${baseUrl}/sitemap/`, // Directorio
     ];
 
-    const discoveredPages = new Set();
+    const discoveredPages = new Map();
+    const visitedSitemaps = new Set();
+    const queue = sitemapUrls.map(url => ({ url, depth: 0 }));
+
+    while (queue.length > 0 &&
+           visitedSitemaps.size < this.maxSitemapFiles &&
+           discoveredPages.size < this.maxSitemapPages) {
+      const { url: sitemapUrl, depth } = queue.shift();
+      if (visitedSitemaps.has(sitemapUrl)) continue;
+      visitedSitemaps.add(sitemapUrl);
 
-    for (const sitemapUrl of sitemapUrls) {
       try {
         console.log(`🔍 Intentando sitemap: ${sitemapUrl}`);
-        const response = await axios.get(sitemapUrl, {
-          timeout: this.timeout,
-          headers: {
-            'User-Agent': 'Web-Audit-Disconnect/1.0 (Page Discovery)'
+        const xmlData = await this.fetchSitemap(sitemapUrl);
+        const { pages, sitemaps } = this.parseSitemap(xmlData);
+
+        for (const page of pages) {
+          if (discoveredPages.size >= this.maxSitemapPages) break;
+          if (!discoveredPages.has(page.url)) {
+            discoveredPages.set(page.url, page);
           }
-        });
+        }
 
-        const pages = this.parseSitemap(response.data);
-        pages.forEach(page => discoveredPages.add(page));
+        if (sitemaps.length > 0) {
+          if (depth < this.maxSitemapDepth) {
+            console.log(`📄 Sitemap index: ${sitemaps.length} sitemaps anidados`);
+            // Los hijos van al frente de la cola para agotar un índice antes de probar otras rutas
+            queue.unshift(...sitemaps.map(url => ({ url, depth: depth + 1 })));
+          } else {
+            console.log(`⚠️ Profundidad máxima de sitemaps alcanzada en ${sitemapUrl}`);
+          }
+        }
 
         if (pages.length > 0) {
           console.log(`✅ Sitemap encontrado: ${pages.length} páginas`);
-          break; // Usar el primer sitemap que funcione
         }
 
       } catch (error) {
-        console.log(`⚠️ Sitemap no encontrado: ${sitemapUrl}`);
+        console.log(error.response || error.code === 'ENOTFOUND'
+          ? `⚠️ Sitemap no encontrado: ${sitemapUrl}`
+          : `⚠️ Error descargando sitemap ${sitemapUrl}: ${error.message}`);
         continue;
       }
     }
 
-    return Array.from(discoveredPages).slice(0, this.maxSitemapPages);
+    return Array.from(discoveredPages.values());
+  }
+
+  async discoverSitemapsFromRobots(baseUrl, robots) {
+    try {
+      const robotsTxt = await robots.getRobots(baseUrl);
+      return robotsTxt.sitemaps.filter(url => this.isValidUrl(url));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async fetchSitemap(sitemapUrl) {
+    const response = await axios.get(sitemapUrl, {
+      timeout: this.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: this.maxSitemapBytes,
+      headers: {
+        'User-Agent': 'Web-Audit-Disconnect/1.0 (Page Discovery)',
+        'Accept-Encoding': 'gzip, deflate',
+        ...this.auth?.headersFor(sitemapUrl)
+      }
+    });
+
+    let buffer = Buffer.from(response.data);
+
+    // .xml.gz se sirve como application/x-gzip (axios no lo descomprime): detectar por magic bytes
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        // El límite también aplica al descomprimir: un .gz pequeño puede expandirse a GBs
+        buffer = gunzipSync(buffer, { maxOutputLength: this.maxSitemapBytes });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`Sitemap descomprimido supera ${this.maxSitemapBytes} bytes`);
+        }
+        throw error;
+      }
+    }
+
+    return buffer.toString('utf8');
   }
 
   parseSitemap(xmlData) {
     try {
       const $ = cheerio.load(xmlData, { xmlMode: true });
       const pages = [];
+      const sitemaps = [];
 
       // Sitemap estándar
-      $('url > loc').each((i, el) => {
-        const url = $(el).text().trim();
+      $('url').each((i, el) => {
+        const $entry = $(el);
+        const url = $entry.children('loc').first().text().trim();
         if (url && this.isValidUrl(url)) {
-          pages.push(url);
+          const priority = parseFloat($entry.children('priority').first().text());
+          pages.push({
+            url,
+            lastmod: $entry.children('lastmod').first().text().trim() || null,
+            changefreq: $entry.children('changefreq').first().text().trim().toLowerCase() || null,
+            priority: isNaN(priority) ? null : priority
+          });
         }
       });
 
       // Sitemap index (contiene otros sitemaps)
       $('sitemap > loc').each((i, el) => {
         const sitemapUrl = $(el).text().trim();
-        // TODO: En el futuro, podríamos procesar sitemaps anidados
-        console.log(`📄 Sitemap anidado encontrado: ${sitemapUrl}`);
+        if (sitemapUrl && this.isValidUrl(sitemapUrl)) {
+          sitemaps.push(sitemapUrl);
+        }
       });
 
-      return pages;
+      return { pages, sitemaps };
     } catch (error) {
       console.error('❌ Error parseando sitemap XML:', error);
-      return [];
+      return { pages: [], sitemaps: [] };
     }
   }
 
@@ -142,7 +324,8 @@ export class PageDiscoveryEngine {
       const response = await axios.get(baseUrl, {
         timeout: this.timeout * 1.5, // Más tiempo para homepage
         headers: {
-          'User-Agent': 'Web-Audit-Disconnect/1.0 (Page Discovery)'
+          'User-Agent': 'Web-Audit-Disconnect/1.0 (Page Discovery)',
+          ...this.auth?.headersFor(baseUrl)
         }
       });
 
@@ -315,14 +498,26 @@ export class PageDiscoveryEngine {
     return uniquePages;
   }
 
-  prioritizePages(pages) {
+  prioritizePages(pages, sitemapMetadata = new Map(), crawlMetadata = new Map(), verificationMetadata = new Map()) {
     return pages
-      .map(page => ({
-        url: page,
-        priority: this.calculatePriority(page),
-        type: this.classifyPageType(page),
-        depth: this.calculateUrlDepth(page)
-      }))
+      .map(page => {
+        const sitemapEntry = sitemapMetadata.get(page);
+        const crawlEntry = crawlMetadata.get(page);
+        const verificationEntry = verificationMetadata.get(page);
+        return {
+          url: page,
+          // verified: existencia confirmada con un request real (crawl o verificación de páginas adivinadas)
+          verified: crawlEntry ? Boolean(crawlEntry.status && crawlEntry.status < 400) : Boolean(verificationEntry?.verified),
+          source: crawlEntry ? 'crawl' : sitemapEntry ? 'sitemap' : verificationEntry ? 'default' : 'homepage',
+          priority: this.calculatePriority(page, sitemapEntry) + this.calculateLinkBoost(crawlEntry),
+          type: this.classifyPageType(page),
+          depth: this.calculateUrlDepth(page),
+          lastmod: sitemapEntry?.lastmod || null,
+          changefreq: sitemapEntry?.changefreq || null,
+          sitemapPriority: sitemapEntry?.priority ?? null,
+          ...(crawlEntry && { inlinks: crawlEntry.inlinks, crawlDepth: crawlEntry.depth })
+        };
+      })
       .sort((a, b) => {
         // Primero por prioridad
         if (a.priority !== b.priority) {
@@ -333,7 +528,7 @@ export class PageDiscoveryEngine {
       });
   }
 
-  calculatePriority(url) {
+  calculatePriority(url, sitemapEntry = null) {
     let priority = 0;
     const urlLower = url.toLowerCase();
 
@@ -379,9 +574,42 @@ export class PageDiscoveryEngine {
       priority -= 5;
     }
 
+    // Señales del propio sitemap: prioridad declarada, frescura y frecuencia de cambio
+    if (sitemapEntry) {
+      priority += this.calculateSitemapBoost(sitemapEntry);
+    }
+
     return Math.max(0, priority);
   }
 
+  calculateLinkBoost(crawlEntry) {
+    // Páginas muy enlazadas internamente (menú, footer) suelen ser las más importantes del sitio
+    if (!crawlEntry?.inlinks) return 0;
+    return Math.min(5, Math.floor(Math.log2(crawlEntry.inlinks + 1)));
+  }
+
+  calculateSitemapBoost(sitemapEntry) {
+    let boost = 0;
+
+    if (typeof sitemapEntry.priority === 'number') {
+      boost += Math.round(sitemapEntry.priority * 5); // 0.0-1.0 → 0-5 puntos
+    }
+
+    if (sitemapEntry.lastmod) {
+      const lastmod = new Date(sitemapEntry.lastmod);
+      if (!isNaN(lastmod.getTime())) {
+        const ageDays = (this.now() - lastmod.getTime()) / (1000 * 60 * 60 * 24);
+        if (ageDays <= 30) boost += 3;
+        else if (ageDays <= 180) boost += 1;
+      }
+    }
+
+    const changefreqBoost = { always: 2, hourly: 2, daily: 2, weekly: 1 };
+    boost += changefreqBoost[sitemapEntry.changefreq] || 0;
+
+    return boost;
+  }
+
   classifyPageType(url) {
     const urlLower = url.toLowerCase();
 
@@ -415,14 +643,11 @@ export class PageDiscoveryEngine {
     }
   }
 
-  calculateCoverage(prioritizedCount) {
-    // Estimación más realista: con páginas por defecto ampliadas + sitemaps
-    // Sitios web típicos tienen entre 20-500 páginas
-    // Con 75+ páginas por defecto, podemos lograr 75%+ cobertura
-    const estimatedTotalPages = Math.max(20, prioritizedCount * 1.5); // Estimar total basado en encontradas
-    const coverage = Math.min(100, Math.round((prioritizedCount / estimatedTotalPages) * 100));
-
-    return Math.max(coverage, prioritizedCount > 40 ? 75 : coverage); // Mínimo 75% si tenemos 40+ páginas
+  calculateCoverage(selectedCount, knownPagesCount) {
+    // Cobertura real: páginas seleccionadas sobre páginas que sabemos que existen
+    // (sitemap + enlaces + páginas verificadas), sin estimaciones ni mínimos artificiales
+    if (!knownPagesCount) return 0;
+    return Math.min(100, Math.round((selectedCount / knownPagesCount) * 100));
   }
 
   isInternalLink(href, baseUrl) {
@@ -0,0 +1,173 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { createHash, randomBytes } from 'crypto';
+import { HostRateLimiter } from '../utils/host-rate-limiter.js';
+import { AUDIT_USER_AGENT } from './robots-txt.js';
+
+// Verifica que las páginas "adivinadas" existan de verdad antes de auditarlas.
+// Soft-404: muchos sitios responden 200 (o redirigen a la home) para cualquier ruta;
+// se compara cada respuesta con la huella de una ruta aleatoria que seguro no existe.
+export class PageVerifier {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.delayMs = options.delayMs ?? 100;
+    this.limiter = options.limiter || new HostRateLimiter({ concurrency: options.concurrency || 2, delayMs: this.delayMs });
+    this.robots = options.robots || null;
+    this.userAgent = options.userAgent || `${AUDIT_USER_AGENT} (Page Discovery)`;
+    this.auth = options.auth || null;
+    this.maxContentLength = 2 * 1024 * 1024;
+  }
+
+  async verifyPages(baseUrl, urls) {
+    const fingerprint = await this.getNotFoundFingerprint(baseUrl);
+    if (this.robots) {
+      await this.robots.applyCrawlDelay(this.limiter, baseUrl, this.delayMs);
+    }
+
+    const results = await Promise.all(urls.map(url =>
+      this.limiter.schedule(url, () => this.verifyPage(url, fingerprint))
+    ));
+
+    // Varias rutas adivinadas suelen redirigir a la misma página (/about → /about-us/)
+    const seenFinalUrls = new Set();
+    results.forEach(result => {
+      if (!result.verified) return;
+      const key = this.normalizeForComparison(result.finalUrl || result.url);
+      if (seenFinalUrls.has(key)) {
+        result.verified = false;
+        result.reason = 'duplicate';
+      }
+      seenFinalUrls.add(key);
+    });
+
+    const verifiedCount = results.filter(r => r.verified).length;
+    console.log(`🔎 Páginas verificadas: ${verifiedCount}/${urls.length} existen (soft-404: ${results.filter(r => r.reason === 'soft-404').length})`);
+
+    return results;
+  }
+
+  async getNotFoundFingerprint(baseUrl) {
+    const probePath = `/${randomBytes(8).toString('hex')}-web-audit-404-probe`;
+    const probeUrl = new URL(probePath, baseUrl).href;
+
+    try {
+      const response = await this.request('get', probeUrl);
+      return this.buildFingerprint(response, probeUrl);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async verifyPage(url, fingerprint) {
+    // Si el sitio devuelve 404 reales basta con HEAD; si no, hace falta el HTML para comparar
+    const needsBody = !fingerprint || fingerprint.status < 400;
+
+    try {
+      let response = await this.request(needsBody ? 'get' : 'head', url);
+      if (!needsBody && (response.status === 405 || response.status === 501)) {
+        response = await this.request('get', url);
+      }
+
+      const finalUrl = response.request?.res?.responseUrl || url;
+      const result = {
+        url,
+        verified: false,
+        status: response.status,
+        finalUrl: finalUrl !== url ? finalUrl : null,
+        reason: null
+      };
+
+      if (response.status >= 400) {
+        result.reason = `http-${response.status}`;
+      } else if (this.isSoft404(response, url, fingerprint)) {
+        result.reason = 'soft-404';
+      } else {
+        result.verified = true;
+      }
+
+      return result;
+    } catch (error) {
+      return { url, verified: false, status: null, finalUrl: null, reason: error.code || 'error' };
+    }
+  }
+
+  isSoft404(response, url, fingerprint) {
+    const finalUrl = response.request?.res?.responseUrl || url;
+    const homepage = this.normalizeForComparison(`${new URL(url).origin}/`);
+
+    // La homepage existe por definición (y suele ser el destino de los soft-404)
+    if (this.normalizeForComparison(url) === homepage) {
+      return false;
+    }
+
+    // Redirige al mismo destino que la ruta aleatoria, o a la home
+    if (finalUrl !== url) {
+      const target = this.normalizeForComparison(finalUrl);
+      if (target === homepage || (fingerprint?.finalUrl && target === this.normalizeForComparison(fingerprint.finalUrl))) {
+        return true;
+      }
+    }
+
+    // Con 404 reales (o sin huella) no hay plantilla con la que comparar el contenido
+    if (!fingerprint || fingerprint.status >= 400 || typeof response.data !== 'string') {
+      return false;
+    }
+
+    const candidate = this.buildFingerprint(response, url);
+    if (candidate.textHash === fingerprint.textHash) {
+      return true;
+    }
+
+    // Mismo título y tamaño casi idéntico: plantilla de "página no encontrada"
+    const sizeRatio = Math.min(candidate.length, fingerprint.length) / Math.max(candidate.length, fingerprint.length, 1);
+    return Boolean(candidate.title) && candidate.title === fingerprint.title && sizeRatio > 0.9;
+  }
+
+  buildFingerprint(response, url) {
+    const finalUrl = response.request?.res?.responseUrl || url;
+    const html = typeof response.data === 'string' ? response.data : '';
+    const $ = cheerio.load(html);
+
+    // Las páginas 404 suelen repetir la ruta pedida: se elimina para que no altere la huella
+    const path = new URL(url).pathname;
+    const text = $('body').text()
+      .split(path).join('')
+      .split(decodeURIComponent(path).replace(/^\//, '')).join('')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+
+    return {
+      status: response.status,
+      finalUrl: finalUrl !== url ? finalUrl : null,
+      title: $('title').first().text().trim().toLowerCase(),
+      length: text.length,
+      textHash: createHash('md5').update(text).digest('hex')
+    };
+  }
+
+  normalizeForComparison(url) {
+    try {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      return `${urlObj.origin}${urlObj.pathname.replace(/\/+$/, '')}${urlObj.search}`.toLowerCase();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  request(method, url) {
+    return axios.request({
+      method,
+      url,
+      timeout: this.timeout,
+      maxRedirects: 5,
+      maxContentLength: this.maxContentLength,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': this.userAgent, ...this.auth?.headersFor(url) }
+    });
+  }
+}
+
+export default PageVerifier;
@@ -0,0 +1,85 @@
+import { RobotsTxt, AUDIT_USER_AGENT } from './robots-txt.js';
+
+// Caché de robots.txt por origen + decisión de qué URLs podemos pedir.
+// Con enabled=false (opt-out) todo está permitido, pero el robots.txt se sigue
+// descargando para poder reportarlo como hallazgo SEO.
+export class RobotsPolicy {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.userAgent = options.userAgent || AUDIT_USER_AGENT;
+    this.timeout = options.timeout || 10000;
+    this.maxCrawlDelayMs = options.maxCrawlDelayMs ?? 10000; // Crawl-delay mayores se recortan para no eternizar la auditoría
+    this.cache = new Map(); // origin → Promise<RobotsTxt>
+    this.blocked = new Map(); // url → regla que la bloqueó
+  }
+
+  getRobots(url) {
+    const origin = new URL(url).origin;
+    if (!this.cache.has(origin)) {
+      this.cache.set(origin, RobotsTxt.fetch(origin, { timeout: this.timeout, userAgent: this.userAgent }));
+    }
+    return this.cache.get(origin);
+  }
+
+  async isAllowed(url) {
+    if (!this.enabled) return true;
+
+    let robots;
+    try {
+      robots = await this.getRobots(url);
+    } catch (error) {
+      return false; // URL inválida
+    }
+
+    if (robots.isAllowed(url, this.userAgent)) return true;
+
+    const rule = robots.getMatchingRule(url, this.userAgent);
+    this.blocked.set(url, `${rule.type}: ${rule.path}`);
+    return false;
+  }
+
+  async filterAllowed(urls) {
+    const allowed = [];
+    for (const url of urls) {
+      if (await this.isAllowed(url)) allowed.push(url);
+    }
+    return allowed;
+  }
+
+  async getCrawlDelayMs(url) {
+    if (!this.enabled) return 0;
+
+    const robots = await this.getRobots(url);
+    const delay = robots.getCrawlDelay(this.userAgent);
+    return delay === null ? 0 : Math.min(delay * 1000, this.maxCrawlDelayMs);
+  }
+
+  // Ajusta el HostRateLimiter al Crawl-delay del host (nunca por debajo del delay base)
+  async applyCrawlDelay(limiter, url, baseDelayMs = 0) {
+    const crawlDelayMs = await this.getCrawlDelayMs(url);
+    if (crawlDelayMs > baseDelayMs) {
+      limiter.setHostDelay(url, crawlDelayMs);
+    }
+    return Math.max(crawlDelayMs, baseDelayMs);
+  }
+
+  getBlockedUrls() {
+    return Array.from(this.blocked.entries()).map(([url, rule]) => ({ url, rule }));
+  }
+
+  async getSummary(url) {
+    const robots = await this.getRobots(url);
+    return {
+      ...robots.toJSON(),
+      respected: this.enabled,
+      userAgent: this.userAgent,
+      crawlDelay: robots.getCrawlDelay(this.userAgent),
+      blockedUrls: this.getBlockedUrls(),
+      // Sin robots.txt legible se audita igual: las exclusiones que pudiera tener no se aplicaron
+      warning: this.enabled && robots.unreachable ?
+        `robots.txt inaccesible (${robots.status ? `HTTP ${robots.status}` : robots.error}): no se aplicó ninguna exclusión` : null
+    };
+  }
+}
+
+export default RobotsPolicy;
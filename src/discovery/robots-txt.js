@@ -0,0 +1,185 @@
+import axios from 'axios';
+
+export const AUDIT_USER_AGENT = 'Web-Audit-Disconnect/1.0';
+
+const MAX_ROBOTS_SIZE = 500 * 1024; // RFC 9309: al menos 500 KiB deben procesarse
+
+// Parser y matcher de robots.txt según RFC 9309 (mismas reglas que Googlebot):
+// grupo más específico para el user agent, regla más larga gana y Allow gana en empate.
+export class RobotsTxt {
+  constructor(content = '', options = {}) {
+    this.url = options.url || null;
+    this.status = options.status ?? null;
+    this.found = options.found ?? content.length > 0;
+    this.unreachable = options.unreachable || false; // 5xx / error de red: se reporta, pero no bloquea nada
+    this.error = options.error || null;
+    this.groups = [];
+    this.sitemaps = [];
+
+    this.parse(content.slice(0, MAX_ROBOTS_SIZE));
+  }
+
+  static async fetch(baseUrl, options = {}) {
+    const robotsUrl = new URL('/robots.txt', baseUrl).href;
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: options.timeout || 10000,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { 'User-Agent': options.userAgent || AUDIT_USER_AGENT }
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsTxt(String(response.data ?? ''), { url: robotsUrl, status: response.status, found: true });
+      }
+
+      // 4xx: no hay robots.txt utilizable. 5xx: servidor caído (hallazgo SEO). En ambos casos no hay reglas
+      return new RobotsTxt('', {
+        url: robotsUrl,
+        status: response.status,
+        found: false,
+        unreachable: response.status >= 500
+      });
+    } catch (error) {
+      return new RobotsTxt('', {
+        url: robotsUrl,
+        found: false,
+        unreachable: true,
+        error: error.code || error.message
+      });
+    }
+  }
+
+  parse(content) {
+    let current = null;
+    let lastWasUserAgent = false;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+      if (!match) return;
+
+      const key = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (key === 'user-agent') {
+        // Varias líneas User-agent seguidas comparten el mismo grupo
+        if (!current || !lastWasUserAgent) {
+          current = { userAgents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        current.userAgents.push(value.toLowerCase());
+        lastWasUserAgent = true;
+        return;
+      }
+
+      lastWasUserAgent = false;
+
+      if (key === 'sitemap') {
+        if (/^https?:\/\//i.test(value)) this.sitemaps.push(value);
+        return;
+      }
+
+      if (!current) return; // Reglas fuera de un grupo se ignoran
+
+      if (key === 'allow' || key === 'disallow') {
+        if (value) {
+          current.rules.push({ type: key, path: value, pattern: this.compilePattern(value) });
+        }
+      } else if (key === 'crawl-delay' || key === 'crawldelay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0 && current.crawlDelay === null) {
+          current.crawlDelay = delay;
+        }
+      }
+    });
+  }
+
+  compilePattern(path) {
+    const anchored = path.endsWith('$');
+    const body = this.normalizePath(anchored ? path.slice(0, -1) : path)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  normalizePath(path) {
+    try {
+      return encodeURI(decodeURI(path));
+    } catch (error) {
+      return path;
+    }
+  }
+
+  // Token de producto: "Web-Audit-Disconnect/1.0 (Crawler)" → "web-audit-disconnect"
+  getProductToken(userAgent) {
+    return userAgent.split('/')[0].trim().toLowerCase();
+  }
+
+  getGroupsFor(userAgent = AUDIT_USER_AGENT) {
+    const token = this.getProductToken(userAgent);
+    const specific = this.groups.filter(group => group.userAgents.some(ua => ua !== '*' && this.getProductToken(ua) === token));
+    if (specific.length > 0) return specific;
+    return this.groups.filter(group => group.userAgents.includes('*'));
+  }
+
+  getMatchingRule(url, userAgent = AUDIT_USER_AGENT) {
+    let path;
+    try {
+      const urlObj = new URL(url);
+      path = this.normalizePath(urlObj.pathname + urlObj.search);
+    } catch (error) {
+      return null;
+    }
+
+    let best = null;
+    this.getGroupsFor(userAgent).forEach(group => {
+      group.rules.forEach(rule => {
+        if (!rule.pattern.test(path)) return;
+        const longer = !best || rule.path.length > best.path.length;
+        const allowWinsTie = best && rule.path.length === best.path.length && rule.type === 'allow';
+        if (longer || allowWinsTie) best = rule;
+      });
+    });
+
+    return best;
+  }
+
+  // Solo un Disallow explícito bloquea: sin robots.txt legible (host caído, 5xx) no hay reglas que respetar
+  isAllowed(url, userAgent = AUDIT_USER_AGENT) {
+    try {
+      if (new URL(url).pathname === '/robots.txt') return true;
+    } catch (error) {
+      return false;
+    }
+
+    const rule = this.getMatchingRule(url, userAgent);
+    return !rule || rule.type === 'allow';
+  }
+
+  getCrawlDelay(userAgent = AUDIT_USER_AGENT) {
+    const group = this.getGroupsFor(userAgent).find(g => g.crawlDelay !== null);
+    return group ? group.crawlDelay : null;
+  }
+
+  toJSON() {
+    return {
+      url: this.url,
+      status: this.status,
+      found: this.found,
+      unreachable: this.unreachable,
+      error: this.error,
+      sitemaps: this.sitemaps,
+      groups: this.groups.map(group => ({
+        userAgents: group.userAgents,
+        rules: group.rules.map(({ type, path }) => ({ type, path })),
+        crawlDelay: group.crawlDelay
+      }))
+    };
+  }
+}
+
+export default RobotsTxt;
@@ -0,0 +1,240 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { HostRateLimiter } from '../utils/host-rate-limiter.js';
+
+// Parámetros de tracking/sesión que nunca identifican contenido distinto
+const DEFAULT_STRIPPED_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^msclkid$/i, /^mc_(cid|eid)$/i,
+  /^_ga$/i, /^_gl$/i, /^ref$/i, /^sessionid$/i, /^phpsessid$/i, /^jsessionid$/i, /^sid$/i
+];
+
+export class SiteCrawler {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 3;
+    this.maxPages = options.maxPages ?? 100;
+    this.concurrency = options.concurrency ?? 2; // Requests simultáneos por host
+    this.delayMs = options.delayMs ?? 500; // Pausa mínima entre requests al mismo host
+    this.timeout = options.timeout ?? 10000;
+    this.trailingSlash = options.trailingSlash ?? 'strip'; // 'strip' | 'add' | 'keep'
+    this.stripAllQueryParams = options.stripAllQueryParams ?? false;
+    this.strippedParams = [...DEFAULT_STRIPPED_PARAMS, ...(options.stripParams || []).map(p => p instanceof RegExp ? p : new RegExp(`^${p}$`, 'i'))];
+    this.followCanonical = options.followCanonical ?? true;
+    this.userAgent = options.userAgent || 'Web-Audit-Disconnect/1.0 (Site Crawler)';
+    this.auth = options.auth || null;
+    this.limiter = options.limiter || new HostRateLimiter({ concurrency: this.concurrency, delayMs: this.delayMs });
+    this.isFileUrl = options.isFileUrl || (() => false);
+    this.robots = options.robots || null; // RobotsPolicy: Disallow/Allow + Crawl-delay
+  }
+
+  async crawl(startUrl) {
+    const start = this.normalizeUrl(startUrl);
+    // Hosts del sitio sin www. (como AuthSession): example.com → www.example.com es el mismo sitio
+    const siteHosts = new Set([this.siteHost(start)]);
+    const isSameSite = url => siteHosts.has(this.siteHost(url));
+
+    const pages = new Map(); // url normalizada → info de la página
+    const outlinks = new Map(); // url → Set de urls enlazadas
+    const queued = new Set([start]);
+    const blockedByRobots = new Set();
+    let frontier = [start];
+    // Quedaron enlaces sin visitar por maxDepth/maxPages: el grafo no cubre todo el sitio
+    let budgetReached = false;
+
+    console.log(`🕷️ Crawling BFS desde ${start} (profundidad ${this.maxDepth}, máx ${this.maxPages} páginas)`);
+
+    if (this.robots) {
+      const effectiveDelay = await this.robots.applyCrawlDelay(this.limiter, start, this.delayMs);
+      if (effectiveDelay > this.delayMs) {
+        console.log(`🤖 Respetando Crawl-delay de robots.txt: ${effectiveDelay}ms entre requests`);
+      }
+    }
+
+    for (let depth = 0; depth <= this.maxDepth && frontier.length > 0 && pages.size < this.maxPages; depth++) {
+      const level = await this.filterByRobots(frontier, start, blockedByRobots);
+      if (level.splice(this.maxPages - pages.size).length > 0) budgetReached = true;
+      const nextFrontier = [];
+
+      await Promise.all(level.map(url => this.limiter.schedule(url, async () => {
+        const page = await this.fetchPage(url);
+        page.depth = depth;
+        // La URL de inicio puede redirigir a otro host (http://example.com → https://shop.example.com)
+        if (url === start && page.finalUrl) siteHosts.add(this.siteHost(page.finalUrl));
+
+        // Si la página declara otra URL canónica del mismo sitio, esa es la identidad del nodo
+        const nodeUrl = page.canonical && isSameSite(page.canonical) ? page.canonical : url;
+        if (pages.has(nodeUrl)) {
+          // Duplicado por canonical: el alias se conserva en el grafo
+          pages.get(nodeUrl).aliases.push(url);
+          return;
+        }
+        pages.set(nodeUrl, { ...page, url: nodeUrl, aliases: nodeUrl !== url ? [url] : [] });
+
+        const links = new Set();
+        page.links.forEach(link => {
+          if (!isSameSite(link) || this.isFileUrl(link)) return;
+          links.add(link);
+          if (queued.has(link)) return;
+          if (depth < this.maxDepth) {
+            queued.add(link);
+            nextFrontier.push(link);
+          } else {
+            budgetReached = true;
+          }
+        });
+        outlinks.set(nodeUrl, links);
+      })));
+
+      frontier = nextFrontier;
+    }
+    if (frontier.length > 0) budgetReached = true;
+
+    const linkGraph = this.buildLinkGraph(pages, outlinks);
+    const crawledPages = Array.from(pages.values()).map(({ links, ...page }) => ({
+      ...page,
+      inlinks: linkGraph.inlinks[page.url]?.length || 0,
+      outlinks: linkGraph.outlinks[page.url]?.length || 0
+    }));
+
+    console.log(`✅ Crawl completado: ${crawledPages.length} páginas, ${linkGraph.edgeCount} enlaces internos`);
+    if (blockedByRobots.size > 0) {
+      console.log(`🤖 ${blockedByRobots.size} URLs omitidas por robots.txt`);
+    }
+
+    return {
+      startUrl: start,
+      pages: crawledPages,
+      linkGraph,
+      complete: !budgetReached,
+      blockedByRobots: Array.from(blockedByRobots)
+    };
+  }
+
+  siteHost(url) {
+    return new URL(url).host.toLowerCase().replace(/^www\./, '');
+  }
+
+  async filterByRobots(urls, startUrl, blockedByRobots) {
+    if (!this.robots) return [...urls];
+
+    const allowed = [];
+    for (const url of urls) {
+      // La URL de inicio la pidió el usuario explícitamente; el resto se filtra por robots.txt
+      if (url === startUrl || await this.robots.isAllowed(url)) {
+        allowed.push(url);
+      } else {
+        blockedByRobots.add(url);
+      }
+    }
+    return allowed;
+  }
+
+  async fetchPage(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: { 'User-Agent': this.userAgent, ...this.auth?.headersFor(url) }
+      });
+
+      const contentType = response.headers['content-type'] || '';
+      const finalUrl = response.request?.res?.responseUrl || url;
+      const page = {
+        status: response.status,
+        contentType,
+        finalUrl: finalUrl !== url ? finalUrl : null,
+        canonical: null,
+        links: []
+      };
+
+      if (response.status >= 400 || !contentType.includes('html')) {
+        return page;
+      }
+
+      const $ = cheerio.load(response.data);
+      const canonicalHref = $('link[rel="canonical"]').attr('href');
+      if (canonicalHref && this.followCanonical) {
+        page.canonical = this.resolve(canonicalHref, finalUrl);
+      }
+
+      const links = new Set();
+      $('a[href]').each((i, el) => {
+        const rel = ($(el).attr('rel') || '').toLowerCase();
+        if (rel.includes('nofollow')) return;
+
+        const resolved = this.resolve($(el).attr('href'), finalUrl);
+        if (resolved) links.add(resolved);
+      });
+      page.links = Array.from(links);
+
+      return page;
+    } catch (error) {
+      return { status: null, error: error.code || error.message, contentType: null, finalUrl: null, canonical: null, links: [] };
+    }
+  }
+
+  resolve(href, baseUrl) {
+    if (!href) return null;
+    const trimmed = href.trim();
+    if (/^(mailto:|tel:|javascript:|data:|#)/i.test(trimmed)) return null;
+
+    try {
+      return this.normalizeUrl(new URL(trimmed, baseUrl).href);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalizeUrl(url) {
+    const urlObj = new URL(url);
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      throw new Error(`Protocolo no soportado: ${urlObj.protocol}`);
+    }
+
+    urlObj.hash = '';
+    urlObj.hostname = urlObj.hostname.toLowerCase();
+
+    // Filtrar parámetros de tracking y ordenar el resto para que el orden no genere duplicados
+    const params = Array.from(urlObj.searchParams.entries())
+      .filter(([key]) => !this.stripAllQueryParams && !this.strippedParams.some(pattern => pattern.test(key)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    urlObj.search = new URLSearchParams(params).toString();
+
+    if (urlObj.pathname !== '/') {
+      const lastSegment = urlObj.pathname.split('/').pop();
+      if (this.trailingSlash === 'strip') {
+        urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+      } else if (this.trailingSlash === 'add' && !lastSegment.includes('.')) {
+        urlObj.pathname = urlObj.pathname.replace(/\/*$/, '/');
+      }
+    }
+
+    return urlObj.href;
+  }
+
+  buildLinkGraph(pages, outlinks) {
+    const outlinkMap = {};
+    const inlinkMap = {};
+    let edgeCount = 0;
+
+    // Los enlaces a alias (URL no canónica) se cuentan contra la página canónica
+    const aliasToCanonical = new Map();
+    pages.forEach(page => page.aliases.forEach(alias => aliasToCanonical.set(alias, page.url)));
+
+    outlinks.forEach((targets, source) => {
+      const resolvedTargets = [...new Set(Array.from(targets).map(target => aliasToCanonical.get(target) || target))]
+        .filter(target => target !== source);
+
+      outlinkMap[source] = resolvedTargets;
+      resolvedTargets.forEach(target => {
+        (inlinkMap[target] = inlinkMap[target] || []).push(source);
+        edgeCount++;
+      });
+    });
+
+    return { outlinks: outlinkMap, inlinks: inlinkMap, edgeCount };
+  }
+}
+
+export default SiteCrawler;
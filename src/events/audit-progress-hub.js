@@ -0,0 +1,91 @@
+// Buffer en memoria de eventos de progreso por auditoría + clientes SSE suscritos.
+// Los clientes que se conectan tarde (o reconectan con Last-Event-ID) reciben lo que se perdieron.
+export class AuditProgressHub {
+  constructor(options = {}) {
+    this.maxEventsPerAudit = options.maxEventsPerAudit || 500;
+    this.retentionMs = options.retentionMs || 10 * 60 * 1000; // Conservar eventos 10 min después de terminar
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.streams = new Map();
+  }
+
+  getStream(auditId) {
+    if (!this.streams.has(auditId)) {
+      this.streams.set(auditId, { events: [], clients: new Set(), nextId: 1, finished: false, cleanupTimer: null });
+    }
+    return this.streams.get(auditId);
+  }
+
+  hasStream(auditId) {
+    return this.streams.has(auditId);
+  }
+
+  publish(auditId, type, data = {}) {
+    const stream = this.getStream(auditId);
+    const event = { id: stream.nextId++, type, data };
+
+    stream.events.push(event);
+    if (stream.events.length > this.maxEventsPerAudit) {
+      stream.events.shift();
+    }
+
+    stream.clients.forEach(res => this.write(res, event));
+    return event;
+  }
+
+  // Evento terminal: se envía a todos los clientes, se cierran las conexiones y se programa la limpieza
+  finish(auditId, type, data = {}) {
+    this.publish(auditId, type, data);
+
+    const stream = this.getStream(auditId);
+    stream.finished = true;
+    stream.clients.forEach(res => res.end());
+    stream.clients.clear();
+
+    clearTimeout(stream.cleanupTimer);
+    stream.cleanupTimer = setTimeout(() => this.streams.delete(auditId), this.retentionMs);
+    stream.cleanupTimer.unref?.();
+  }
+
+  subscribe(auditId, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const stream = this.getStream(auditId);
+    const lastEventId = parseInt(req.headers['last-event-id'], 10) || 0;
+    stream.events
+      .filter(event => event.id > lastEventId)
+      .forEach(event => this.write(res, event));
+
+    if (stream.finished) {
+      res.end();
+      return;
+    }
+
+    stream.clients.add(res);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.clients.delete(res);
+    });
+  }
+
+  write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  close() {
+    this.streams.forEach(stream => {
+      clearTimeout(stream.cleanupTimer);
+      stream.clients.forEach(res => res.end());
+    });
+    this.streams.clear();
+  }
+}
+
+export default AuditProgressHub;
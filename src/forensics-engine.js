@@ -1,3 +1,5 @@
+import { HarConverter } from './rendering/har-converter.js';
+
 export class ForensicsEngine {
   constructor() {
     this.bottlenecks = {
@@ -9,6 +11,10 @@ export class ForensicsEngine {
   }
 
   analyzeBottlenecks(html, networkRequests = [], lighthouseResults = {}) {
+    // También acepta un HAR 1.2 (p. ej. exportado desde DevTools) como log de red
+    if (networkRequests?.log?.entries) {
+      networkRequests = new HarConverter().toNetworkRequests(networkRequests);
+    }
     const issues = {
       critical: [],
       high: [],
@@ -40,10 +46,55 @@ export class ForensicsEngine {
     return {
       issues,
       summary: this.generateSummary(issues),
-      recommendations: this.generateForensicsRecommendations(issues)
+      recommendations: this.generateForensicsRecommendations(issues),
+      waterfall: this.buildWaterfall(networkRequests)
     };
   }
 
+  // Resumen del log de red (Chrome) para el gráfico de cascada del reporte
+  buildWaterfall(networkRequests = [], maxRequests = 150) {
+    if (networkRequests.length === 0) return null;
+
+    const byType = {};
+    networkRequests.forEach(req => {
+      const type = req.resourceType || 'Other';
+      byType[type] = byType[type] || { requests: 0, transferSize: 0 };
+      byType[type].requests++;
+      byType[type].transferSize += req.transferSize || 0;
+    });
+
+    return {
+      totalRequests: networkRequests.length,
+      totalTransferSize: networkRequests.reduce((sum, req) => sum + (req.transferSize || 0), 0),
+      totalSize: networkRequests.reduce((sum, req) => sum + (req.size || 0), 0),
+      duration: Math.max(...networkRequests.map(req => req.endTime || 0)),
+      failedRequests: networkRequests.filter(req => req.failed).length,
+      cachedRequests: networkRequests.filter(req => req.fromCache).length,
+      byType,
+      requests: networkRequests.slice(0, maxRequests).map(req => ({
+        url: req.url,
+        resourceType: req.resourceType,
+        mimeType: req.mimeType,
+        status: req.status,
+        protocol: req.protocol,
+        initiator: req.initiator,
+        fromCache: req.fromCache,
+        startTime: req.startTime,
+        endTime: req.endTime,
+        duration: req.duration,
+        timing: req.timing,
+        transferSize: req.transferSize,
+        size: req.size,
+        contentEncoding: req.contentEncoding,
+        failed: req.failed
+      }))
+    };
+  }
+
+  isCompressible(mimeType = '') {
+    return /^text\/|javascript|json|xml|svg|font\/(ttf|otf)|application\/vnd\.ms-fontobject/i.test(mimeType || '');
+  }
+
   analyzeRenderingBottlenecks(html, lighthouseResults) {
     const issues = { critical: [], high: [], medium: [] };
 
@@ -161,14 +212,16 @@ export class ForensicsEngine {
         title: 'Requests de red lentos',
         description: `${slowRequests.length} requests toman más de 2 segundos`,
         impact: 'Aumenta tiempo total de carga de la página',
-        evidence: `${slowRequests.length} slow requests`,
+        evidence: slowRequests.slice(0, 5).map(req => `${req.url} (${Math.round(req.duration)}ms)`).join(', '),
         solution: 'Optimizar imágenes, usar CDN, implementar caching agresivo'
       });
     }
 
-    // Check for uncompressed resources
+    // Check for uncompressed resources (texto grande servido sin gzip/brotli; el log de Chrome trae content-encoding)
     const uncompressedResources = networkRequests.filter(req =>
-      req.size > 100000 && !req.encodedSize
+      req.size > 100000 && !req.fromCache && (req.contentEncoding !== undefined ?
+        !req.contentEncoding && this.isCompressible(req.mimeType) :
+        !req.encodedSize)
     );
     if (uncompressedResources.length > 0) {
       issues.medium.push({
@@ -177,7 +230,7 @@ export class ForensicsEngine {
         title: 'Recursos sin comprimir',
         description: `${uncompressedResources.length} recursos grandes sin compresión`,
         impact: 'Aumenta tamaño de transferencia de datos',
-        evidence: `${uncompressedResources.length} uncompressed resources`,
+        evidence: uncompressedResources.slice(0, 5).map(req => `${req.url} (${Math.round(req.size / 1024)} KB)`).join(', '),
         solution: 'Habilitar gzip/brotli compression en el servidor'
       });
     }
@@ -1,58 +1,137 @@
-import lighthouse from 'lighthouse';
+import lighthouse, { desktopConfig } from 'lighthouse';
 import * as chromeLauncher from 'chrome-launcher';
+import puppeteerCore from 'puppeteer-core';
+import { writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// Perfiles de red/CPU (mismos valores que los presets de Lighthouse). 'none' no limita nada.
+export const THROTTLING_PROFILES = {
+  'slow-4g': {
+    throttlingMethod: 'simulate',
+    throttling: { rttMs: 150, throughputKbps: 1638.4, requestLatencyMs: 562.5, downloadThroughputKbps: 1474.56, uploadThroughputKbps: 675, cpuSlowdownMultiplier: 4 }
+  },
+  '3g': {
+    throttlingMethod: 'simulate',
+    throttling: { rttMs: 300, throughputKbps: 700, requestLatencyMs: 1125, downloadThroughputKbps: 630, uploadThroughputKbps: 630, cpuSlowdownMultiplier: 4 }
+  },
+  cable: {
+    throttlingMethod: 'simulate',
+    throttling: { rttMs: 40, throughputKbps: 10240, requestLatencyMs: 0, downloadThroughputKbps: 0, uploadThroughputKbps: 0, cpuSlowdownMultiplier: 1 }
+  },
+  none: {
+    throttlingMethod: 'provided',
+    throttling: { rttMs: 0, throughputKbps: 0, requestLatencyMs: 0, downloadThroughputKbps: 0, uploadThroughputKbps: 0, cpuSlowdownMultiplier: 1 }
+  }
+};
+
+const FORM_FACTORS = {
+  mobile: {
+    formFactor: 'mobile',
+    screenEmulation: { mobile: true, width: 412, height: 823, deviceScaleFactor: 1.75, disabled: false },
+    defaultThrottling: 'slow-4g'
+  },
+  desktop: {
+    formFactor: 'desktop',
+    screenEmulation: desktopConfig.settings.screenEmulation,
+    emulatedUserAgent: desktopConfig.settings.emulatedUserAgent,
+    defaultThrottling: 'cable'
+  }
+};
+
+const VARIANCE_METRICS = {
+  performance: lhr => Math.round((lhr.categories.performance?.score || 0) * 100),
+  fcp: lhr => lhr.audits['first-contentful-paint']?.numericValue,
+  lcp: lhr => lhr.audits['largest-contentful-paint']?.numericValue,
+  tbt: lhr => lhr.audits['total-blocking-time']?.numericValue,
+  cls: lhr => lhr.audits['cumulative-layout-shift']?.numericValue,
+  si: lhr => lhr.audits['speed-index']?.numericValue,
+  tti: lhr => lhr.audits['interactive']?.numericValue
+};
+
+const MAX_RUNS = 9;
 
 export class LighthouseService {
-  constructor() {
+  constructor(options = {}) {
+    const { pool, ...defaults } = options;
     this.chrome = null;
+    this.pool = pool || null; // ChromePool compartido; sin pool, un Chrome propio por llamada
+    this.defaults = {
+      runs: Number(process.env.LIGHTHOUSE_RUNS) || 3,
+      formFactor: process.env.LIGHTHOUSE_FORM_FACTOR || 'mobile',
+      throttling: process.env.LIGHTHOUSE_THROTTLING || null, // null = el del form factor
+      lhrDir: process.env.LIGHTHOUSE_LHR_DIR || './data/lighthouse',
+      saveLhr: process.env.LIGHTHOUSE_SAVE_LHR !== 'false',
+      ...defaults
+    };
   }
 
+  // Configuración efectiva de una ejecución: form factor, perfil de throttling y número de runs
+  resolveSettings(options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const formFactor = FORM_FACTORS[settings.formFactor] ? settings.formFactor : 'mobile';
+    const throttling = THROTTLING_PROFILES[settings.throttling] ? settings.throttling : FORM_FACTORS[formFactor].defaultThrottling;
+
+    return {
+      formFactor,
+      throttling,
+      runs: Math.min(MAX_RUNS, Math.max(1, parseInt(settings.runs, 10) || 1)),
+      lhrDir: settings.lhrDir,
+      saveLhr: settings.saveLhr !== false
+    };
+  }
+
+  buildFlags(settings) {
+    const { defaultThrottling, ...emulation } = FORM_FACTORS[settings.formFactor];
+    return { ...emulation, ...THROTTLING_PROFILES[settings.throttling] };
+  }
+
+  // N runs sobre el mismo Chrome; el resultado es el del run mediano (por performance) con la dispersión de todos
   async runLighthouse(url, options = {}) {
-    try {
-      console.log('🚀 Iniciando Lighthouse analysis...');
-
-      // Launch Chrome
-      this.chrome = await chromeLauncher.launch({
-        chromeFlags: ['--headless', '--no-sandbox', '--disable-gpu']
-      });
-
-      const defaultOptions = {
-        logLevel: 'info',
-        output: 'json',
-        onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
-        port: this.chrome.port
-      };
+    const { auth, runs, formFactor, throttling, lhrDir, saveLhr, ...flags } = options;
+    const settings = this.resolveSettings({ runs, formFactor, throttling, lhrDir, saveLhr });
 
-      const lighthouseOptions = { ...defaultOptions, ...options };
+    try {
+      console.log(`🚀 Iniciando Lighthouse analysis (${settings.formFactor}, ${settings.throttling}, ${settings.runs} runs)...`);
 
-      console.log(`📊 Analizando: ${url}`);
+      let runResults;
+      let runErrors;
+      if (this.pool) {
+        ({ runResults, runErrors } = await this.pool.withInstance(instance => this.executeRuns(url, instance.port, settings, flags, auth)));
+      } else {
+        // Launch Chrome
+        this.chrome = await chromeLauncher.launch({
+          chromeFlags: ['--headless', '--no-sandbox', '--disable-gpu']
+        });
+        ({ runResults, runErrors } = await this.executeRuns(url, this.chrome.port, settings, flags, auth));
 
-      // Run Lighthouse
-      const runnerResult = await lighthouse(url, lighthouseOptions);
+        // Kill Chrome
+        await this.chrome.kill();
+        this.chrome = null;
+      }
 
-      // Kill Chrome
-      await this.chrome.kill();
-      this.chrome = null;
+      if (runResults.length === 0) {
+        throw new Error(runErrors[0] || 'Ningún run de Lighthouse completado');
+      }
 
-      // Extract relevant metrics
+      const medianRun = this.selectMedianRun(runResults);
       const result = {
-        performance: Math.round(runnerResult.lhr.categories.performance.score * 100),
-        accessibility: Math.round(runnerResult.lhr.categories.accessibility.score * 100),
-        bestPractices: Math.round(runnerResult.lhr.categories['best-practices'].score * 100),
-        seo: Math.round(runnerResult.lhr.categories.seo.score * 100),
-        coreWebVitals: {
-          lcp: this.extractMetric(runnerResult.lhr.audits['largest-contentful-paint']),
-          fid: this.extractMetric(runnerResult.lhr.audits['max-potential-fid']),
-          cls: this.extractMetric(runnerResult.lhr.audits['cumulative-layout-shift'])
-        },
-        additionalMetrics: {
-          fcp: this.extractMetric(runnerResult.lhr.audits['first-contentful-paint']),
-          si: this.extractMetric(runnerResult.lhr.audits['speed-index']),
-          tbt: this.extractMetric(runnerResult.lhr.audits['total-blocking-time']),
-          tti: this.extractMetric(runnerResult.lhr.audits['interactive'])
-        }
+        ...this.summarizeLhr(medianRun.lhr),
+        settings: { formFactor: settings.formFactor, throttling: settings.throttling, runs: settings.runs },
+        medianRun: medianRun.run,
+        runs: runResults.map(({ run, lhr, lhrPath }) => ({
+          run,
+          performance: VARIANCE_METRICS.performance(lhr),
+          lcp: VARIANCE_METRICS.lcp(lhr) ?? null,
+          tbt: VARIANCE_METRICS.tbt(lhr) ?? null,
+          cls: VARIANCE_METRICS.cls(lhr) ?? null,
+          lhrPath
+        })),
+        runErrors,
+        variance: this.calculateVariance(runResults.map(run => run.lhr))
       };
 
-      console.log(`✅ Lighthouse completado - Performance: ${result.performance}/100`);
+      const perf = result.variance.performance;
+      console.log(`✅ Lighthouse completado - Performance: ${result.performance}/100 (mediana de ${runResults.length} runs, rango ${perf.min}-${perf.max}, σ ${perf.stdDev})`);
       return result;
 
     } catch (error) {
@@ -85,11 +164,122 @@ export class LighthouseService {
           tbt: { score: 0, displayValue: 'Error' },
           tti: { score: 0, displayValue: 'Error' }
         },
+        settings: { formFactor: settings.formFactor, throttling: settings.throttling, runs: settings.runs },
+        runs: [],
+        variance: null,
         error: error.message
       };
     }
   }
 
+  async executeRuns(url, port, settings, flags, auth) {
+    const defaultOptions = {
+      logLevel: 'info',
+      output: 'json',
+      onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
+      port
+    };
+
+    const lighthouseOptions = { ...defaultOptions, ...this.buildFlags(settings), ...flags };
+
+    // Auditoría autenticada: Lighthouse corre en una pestaña con la sesión aplicada. No se usan
+    // extraHeaders: Lighthouse los manda a todos los requests, también a CDNs y terceros
+    const browser = auth?.enabled ? await puppeteerCore.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null }) : null;
+    const page = browser ? await browser.newPage() : undefined;
+
+    console.log(`📊 Analizando: ${url}`);
+
+    const runResults = [];
+    const runErrors = [];
+    try {
+      if (page) await auth.applyToPage(page);
+
+      for (let i = 0; i < settings.runs; i++) {
+        try {
+          const runnerResult = await lighthouse(url, lighthouseOptions, undefined, page);
+          const lhr = auth?.enabled ? auth.redact(runnerResult.lhr) : runnerResult.lhr;
+          runResults.push({
+            run: i + 1,
+            lhr,
+            lhrPath: settings.saveLhr ? this.saveLhr(lhr, url, settings, i + 1) : null
+          });
+        } catch (runError) {
+          console.warn(`⚠️ Lighthouse run ${i + 1}/${settings.runs} falló: ${runError.message}`);
+          runErrors.push(runError.message);
+          // Chrome caído: que el pool lo reemplace en lugar de seguir fallando runs
+          if (/ECONNREFUSED|Target closed|Session closed|WebSocket/i.test(runError.message)) throw runError;
+        }
+      }
+    } finally {
+      await page?.close().catch(() => {});
+      browser?.disconnect();
+    }
+
+    return { runResults, runErrors };
+  }
+
+  summarizeLhr(lhr) {
+    const score = category => Math.round((lhr.categories[category]?.score || 0) * 100);
+
+    return {
+      performance: score('performance'),
+      accessibility: score('accessibility'),
+      bestPractices: score('best-practices'),
+      seo: score('seo'),
+      coreWebVitals: {
+        lcp: this.extractMetric(lhr.audits['largest-contentful-paint']),
+        fid: this.extractMetric(lhr.audits['max-potential-fid']),
+        cls: this.extractMetric(lhr.audits['cumulative-layout-shift'])
+      },
+      additionalMetrics: {
+        fcp: this.extractMetric(lhr.audits['first-contentful-paint']),
+        si: this.extractMetric(lhr.audits['speed-index']),
+        tbt: this.extractMetric(lhr.audits['total-blocking-time']),
+        tti: this.extractMetric(lhr.audits['interactive'])
+      }
+    };
+  }
+
+  // Run mediano por performance score; con N par se queda con el peor de los dos centrales (conservador)
+  selectMedianRun(runResults) {
+    const sorted = [...runResults].sort((a, b) => VARIANCE_METRICS.performance(a.lhr) - VARIANCE_METRICS.performance(b.lhr));
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+  }
+
+  calculateVariance(lhrs) {
+    return Object.fromEntries(Object.entries(VARIANCE_METRICS).map(([metric, extract]) => {
+      const values = lhrs.map(extract).filter(value => typeof value === 'number');
+      if (values.length === 0) return [metric, null];
+
+      const sorted = [...values].sort((a, b) => a - b);
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+      const round = value => (metric === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value * 10) / 10);
+
+      return [metric, {
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        median: round(sorted[Math.floor((sorted.length - 1) / 2)]),
+        stdDev: round(stdDev),
+        range: round(sorted[sorted.length - 1] - sorted[0])
+      }];
+    }));
+  }
+
+  // LHR completo de cada run en disco (reabrible en el Lighthouse Viewer)
+  saveLhr(lhr, url, settings, run) {
+    try {
+      const slug = url.replace(/^https?:\/\//, '').replace(/[^\w.-]+/g, '_').slice(0, 80);
+      const path = join(settings.lhrDir, `${slug}-${settings.formFactor}-${Date.now()}-run${run}.json`);
+      mkdirSync(settings.lhrDir, { recursive: true });
+      writeFileSync(path, JSON.stringify(lhr));
+      return path;
+    } catch (error) {
+      console.warn(`⚠️ No se pudo guardar el LHR: ${error.message}`);
+      return null;
+    }
+  }
+
   extractMetric(audit) {
     if (!audit) return { score: 0, displayValue: 'N/A' };
 
@@ -0,0 +1,251 @@
+import { startFlow, generateReport } from 'lighthouse';
+import puppeteerCore from 'puppeteer-core';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { LighthouseService } from './lighthouse-service.js';
+import { ChromePool } from './rendering/chrome-pool.js';
+
+const NAVIGATION_STEPS = ['navigate', 'snapshot', 'timespan'];
+const INTERACTION_STEPS = ['click', 'type', 'wait'];
+
+// User flows de Lighthouse: un recorrido de varios pasos (home → categoría → producto → carrito)
+// descrito en JSON. Cada `navigate` es un paso de navegación, cada `snapshot` un snapshot y las
+// interacciones consecutivas (click/type/wait) se agrupan en un timespan, donde se miden INP y CLS.
+//
+// { "name": "Compra", "steps": [
+//   { "type": "navigate", "url": "/", "name": "Home" },
+//   { "type": "click", "selector": "a.category", "navigation": true, "name": "Categoría" },
+//   { "type": "timespan", "name": "Añadir al carrito" },
+//   { "type": "click", "selector": "button.add-to-cart" },
+//   { "type": "wait", "selector": ".cart-count" },
+//   { "type": "snapshot", "name": "Carrito" }
+// ] }
+export class LighthouseUserFlow {
+  constructor(options = {}) {
+    const { pool, ...settings } = options;
+    this.ownsPool = !pool;
+    this.pool = pool || new ChromePool({ size: 1 });
+    this.lighthouseService = new LighthouseService({ ...settings, pool: this.pool });
+  }
+
+  // Acepta una ruta a un .json o el objeto ya parseado
+  load(source) {
+    return typeof source === 'string' ? JSON.parse(readFileSync(source, 'utf8')) : source;
+  }
+
+  // Valida los pasos y resuelve URLs relativas contra la URL auditada
+  static normalize(definition, baseUrl) {
+    if (!Array.isArray(definition?.steps) || definition.steps.length === 0) {
+      throw new Error('User flow inválido: falta steps');
+    }
+    const siteHost = LighthouseUserFlow.stripWww(new URL(baseUrl).hostname);
+
+    const steps = definition.steps.map((step, index) => {
+      if (![...NAVIGATION_STEPS, ...INTERACTION_STEPS].includes(step.type)) {
+        throw new Error(`User flow inválido: paso ${index + 1} de tipo desconocido "${step.type}"`);
+      }
+      if (['click', 'type'].includes(step.type) && !step.selector) {
+        throw new Error(`User flow inválido: el paso ${index + 1} (${step.type}) necesita selector`);
+      }
+      if (step.type === 'wait' && !step.selector && !step.ms) {
+        throw new Error(`User flow inválido: el paso ${index + 1} (wait) necesita selector o ms`);
+      }
+      if (step.type !== 'navigate') return { ...step };
+
+      // Chrome navega con la sesión de la auditoría: solo http(s) y dentro del sitio auditado
+      let url;
+      try {
+        url = new URL(step.url || '/', baseUrl);
+      } catch (error) {
+        throw new Error(`User flow inválido: el paso ${index + 1} (navigate) tiene una URL inválida`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`User flow inválido: el paso ${index + 1} (navigate) solo admite URLs http o https`);
+      }
+      if (LighthouseUserFlow.stripWww(url.hostname) !== siteHost) {
+        throw new Error(`User flow inválido: el paso ${index + 1} (navigate) sale del sitio auditado (${url.hostname})`);
+      }
+      return { ...step, url: url.href };
+    });
+
+    // Un recorrido siempre arranca con una navegación
+    if (steps[0].type !== 'navigate') {
+      steps.unshift({ type: 'navigate', url: baseUrl, name: 'Inicio' });
+    }
+
+    return { name: definition.name || 'User flow', steps };
+  }
+
+  static stripWww(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  // Copia de la definición sin el texto de los pasos `type` marcados como secret (para guardarla)
+  static redact(definition) {
+    return {
+      ...definition,
+      steps: (definition.steps || []).map(step => (step.secret ? { ...step, text: '[REDACTED]', value: undefined } : step))
+    };
+  }
+
+  async run(source, options = {}) {
+    const { auth, baseUrl, reportDir, saveReport = true, ...settingsOptions } = options;
+    const definition = LighthouseUserFlow.normalize(this.load(source), baseUrl);
+    const settings = this.lighthouseService.resolveSettings(settingsOptions);
+    const startTime = Date.now();
+
+    console.log(`🧭 Ejecutando user flow "${definition.name}" (${definition.steps.length} pasos, ${settings.formFactor}, ${settings.throttling})...`);
+
+    try {
+      const flowResult = await this.pool.withInstance(instance =>
+        this.executeFlow(definition, instance.port, this.lighthouseService.buildFlags(settings), auth));
+      const redacted = this.redactSecrets(auth?.enabled ? auth.redact(flowResult) : flowResult, definition);
+
+      const result = {
+        name: definition.name,
+        settings: { formFactor: settings.formFactor, throttling: settings.throttling },
+        steps: redacted.steps.map((step, index) => this.summarizeStep(step, index)),
+        reportPath: saveReport ? this.saveReport(redacted, reportDir || settings.lhrDir, definition.name) : null,
+        duration: Date.now() - startTime
+      };
+
+      console.log(`✅ User flow completado: ${result.steps.length} pasos en ${(result.duration / 1000).toFixed(1)}s`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error en user flow:', error.message);
+      return { name: definition.name, settings: { formFactor: settings.formFactor, throttling: settings.throttling }, steps: [], error: error.message };
+    } finally {
+      if (this.ownsPool) await this.pool.close();
+    }
+  }
+
+  async executeFlow(definition, port, flags, auth) {
+    const browser = await puppeteerCore.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null });
+    const page = await browser.newPage();
+
+    try {
+      // Sesión autenticada en la pestaña del recorrido (credenciales solo hacia el sitio auditado)
+      if (auth?.enabled) await auth.applyToPage(page);
+      const flow = await startFlow(page, { name: definition.name, flags });
+
+      let timespanOpen = false;
+      const closeTimespan = async () => {
+        if (timespanOpen) {
+          await flow.endTimespan();
+          timespanOpen = false;
+        }
+      };
+
+      for (const [index, step] of definition.steps.entries()) {
+        const name = step.name || `Paso ${index + 1}`;
+
+        if (step.type === 'navigate') {
+          await closeTimespan();
+          await flow.navigate(step.url, { name });
+        } else if (step.type === 'snapshot') {
+          await closeTimespan();
+          await flow.snapshot({ name });
+        } else if (step.type === 'timespan') {
+          await closeTimespan();
+          await flow.startTimespan({ name });
+          timespanOpen = true;
+        } else if (step.type === 'click' && step.navigation) {
+          // Click que cambia de página: se mide como navegación
+          await closeTimespan();
+          await flow.navigate(async () => {
+            await page.waitForSelector(step.selector, { timeout: step.timeout || 30000 });
+            await page.click(step.selector);
+          }, { name });
+        } else {
+          if (!timespanOpen) {
+            await flow.startTimespan({ name });
+            timespanOpen = true;
+          }
+          await this.runInteraction(page, step);
+        }
+      }
+      await closeTimespan();
+
+      return await flow.createFlowResult();
+    } finally {
+      await page.close().catch(() => {});
+      browser.disconnect();
+    }
+  }
+
+  async runInteraction(page, step) {
+    const timeout = step.timeout || 30000;
+
+    if (step.type === 'click') {
+      await page.waitForSelector(step.selector, { timeout });
+      await page.click(step.selector);
+    } else if (step.type === 'type') {
+      await page.waitForSelector(step.selector, { timeout });
+      await page.type(step.selector, String(step.text ?? step.value ?? ''));
+    } else if (step.selector) {
+      await page.waitForSelector(step.selector, { timeout });
+    } else {
+      await new Promise(resolve => setTimeout(resolve, step.ms));
+    }
+  }
+
+  // Lo escrito en pasos `type` con secret (contraseñas, tarjetas) no debe quedar en los LHR guardados
+  redactSecrets(flowResult, definition) {
+    const secrets = definition.steps
+      .filter(step => step.type === 'type' && step.secret && String(step.text ?? step.value ?? '').length > 0)
+      .map(step => JSON.stringify(String(step.text ?? step.value)).slice(1, -1));
+    if (secrets.length === 0) return flowResult;
+
+    const json = secrets.reduce((text, secret) => text.split(secret).join('[REDACTED]'), JSON.stringify(flowResult));
+    return JSON.parse(json);
+  }
+
+  // Métricas según el modo: navegación (carga completa), timespan (INP/CLS/TBT de la interacción), snapshot (estado del DOM)
+  summarizeStep(step, index) {
+    const { lhr } = step;
+    const metric = id => lhr.audits[id]?.numericValue ?? null;
+    const score = category => (lhr.categories[category]?.score !== null && lhr.categories[category]?.score !== undefined ?
+      Math.round(lhr.categories[category].score * 100) : null);
+    const failedAudits = Object.values(lhr.audits)
+      .filter(audit => audit.score !== null && audit.score < 0.9 && ['binary', 'numeric', 'metricSavings'].includes(audit.scoreDisplayMode))
+      .map(audit => ({ id: audit.id, title: audit.title, displayValue: audit.displayValue || null }));
+
+    return {
+      index: index + 1,
+      name: step.name,
+      mode: lhr.gatherMode,
+      url: lhr.finalDisplayedUrl || lhr.mainDocumentUrl || null,
+      scores: {
+        performance: score('performance'),
+        accessibility: score('accessibility'),
+        bestPractices: score('best-practices'),
+        seo: score('seo')
+      },
+      metrics: {
+        fcp: metric('first-contentful-paint'),
+        lcp: metric('largest-contentful-paint'),
+        tbt: metric('total-blocking-time'),
+        cls: metric('cumulative-layout-shift'),
+        inp: metric('interaction-to-next-paint') ?? metric('experimental-interaction-to-next-paint')
+      },
+      failedAudits: failedAudits.slice(0, 10),
+      failedAuditsCount: failedAudits.length
+    };
+  }
+
+  // Reporte de flow oficial de Lighthouse (HTML) junto a los LHR
+  saveReport(flowResult, directory, name) {
+    try {
+      const slug = name.replace(/[^\w.-]+/g, '_').slice(0, 60);
+      const path = join(directory, `flow-${slug}-${Date.now()}.html`);
+      mkdirSync(directory, { recursive: true });
+      writeFileSync(path, generateReport(flowResult, 'html'));
+      return path;
+    } catch (error) {
+      console.warn(`⚠️ No se pudo guardar el reporte del user flow: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default LighthouseUserFlow;
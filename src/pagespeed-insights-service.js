@@ -1,10 +1,47 @@
 import axios from 'axios';
+import { PsiCache } from './storage/psi-cache.js';
+import { WindowRateLimiter } from './utils/window-rate-limiter.js';
+import { MetricsHelper } from './utils/metrics-helper.js';
+
+const DEFAULT_BASE_URL = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Métricas de campo (CrUX) que PSI devuelve en loadingExperience, con su clave en la API
+const FIELD_METRICS = {
+  lcp: 'LARGEST_CONTENTFUL_PAINT_MS',
+  inp: 'INTERACTION_TO_NEXT_PAINT',
+  cls: 'CUMULATIVE_LAYOUT_SHIFT_SCORE',
+  fcp: 'FIRST_CONTENTFUL_PAINT_MS',
+  ttfb: 'EXPERIMENTAL_TIME_TO_FIRST_BYTE'
+};
+const FIELD_CATEGORIES = { FAST: 'good', AVERAGE: 'needs-improvement', SLOW: 'poor' };
+const CORE_WEB_VITALS = ['lcp', 'inp', 'cls'];
+
+// La cuota de la API es por proyecto (API key), no por auditoría: un limitador compartido por endpoint
+const sharedLimiters = new Map();
+
+function getSharedLimiter(baseUrl) {
+  if (!sharedLimiters.has(baseUrl)) {
+    sharedLimiters.set(baseUrl, new WindowRateLimiter({
+      maxRequests: Number(process.env.PSI_RATE_LIMIT) || 240, // Cuota por defecto de PSI: 240 queries/minuto
+      windowMs: 60 * 1000
+    }));
+  }
+  return sharedLimiters.get(baseUrl);
+}
 
 export class PageSpeedInsightsService {
-  constructor(apiKey = null) {
+  constructor(apiKey = null, options = {}) {
     this.apiKey = apiKey || process.env.PSI_API_KEY;
-    this.baseUrl = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
-    this.useMockData = !this.apiKey;
+    // PSI_BASE_URL permite apuntar a un PSI local de pruebas (sin API key)
+    this.baseUrl = options.baseUrl || process.env.PSI_BASE_URL || DEFAULT_BASE_URL;
+    this.useMockData = !this.apiKey && this.baseUrl === DEFAULT_BASE_URL;
+    this.timeout = options.timeout || 60000; // 60 seconds timeout for PSI
+    this.maxRetries = options.maxRetries ?? (Number(process.env.PSI_MAX_RETRIES) || 3);
+    this.retryDelay = options.retryDelay ?? 2000; // Backoff base (2s, 4s, 8s...)
+    this.cache = options.cache || new PsiCache(options.cacheOptions);
+    this.now = options.now || Date.now; // Reloj de la auditoría: timestamps de los resultados
+    this.limiter = options.limiter || getSharedLimiter(this.baseUrl);
   }
 
   async runPSI(url, strategy = 'mobile', options = {}) {
@@ -14,57 +51,114 @@ export class PageSpeedInsightsService {
       return this.getUnavailableData(url, strategy);
     }
 
+    const cacheKey = this.cache.buildKey(url, strategy, options.category);
+    const cached = options.refresh ? null : this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`💾 PSI ${strategy} desde cache (${cached.cachedAt}) - Score: ${cached.result.score}/100`);
+      // Entradas guardadas antes de parsear CrUX: se derivan de los blobs crudos
+      const fieldData = cached.result.fieldData || this.extractFieldData(cached.result);
+      return { ...cached.result, fieldData, source: 'cache', cachedAt: cached.cachedAt };
+    }
+
     try {
       console.log(`🔍 Ejecutando PageSpeed Insights para ${strategy}: ${url}`);
 
       const params = new URLSearchParams({
         url: url,
-        strategy: strategy,
-        key: this.apiKey
+        strategy: strategy
       });
+      if (this.apiKey) {
+        params.append('key', this.apiKey);
+      }
 
       // Add additional options
       if (options.category) {
         options.category.forEach(cat => params.append('category', cat));
       }
 
-      const response = await axios.get(`${this.baseUrl}?${params}`, {
-        timeout: 60000, // 60 seconds timeout for PSI
-        headers: {
-          'User-Agent': 'Web-Audit-Disconnect/1.0'
-        }
-      });
-
-      const data = response.data;
+      const data = await this.fetchWithRetry(`${this.baseUrl}?${params}`, strategy);
 
       // Extract and structure the results
       const result = {
         strategy,
         url,
-        timestamp: new Date().toISOString(),
+        timestamp: new Date(this.now()).toISOString(),
         score: Math.round(data.lighthouseResult.categories.performance.score * 100),
         categories: this.extractCategories(data),
         coreWebVitals: this.extractCoreWebVitals(data),
         detailedMetrics: this.extractDetailedMetrics(data),
         loadingExperience: data.loadingExperience || null,
         originLoadingExperience: data.originLoadingExperience || null,
+        fieldData: this.extractFieldData(data),
         lighthouseVersion: data.lighthouseResult.lighthouseVersion,
         screenshot: await this.captureScreenshot(data),
         audits: this.extractKeyAudits(data)
       };
 
+      this.cache.set(cacheKey, result);
       console.log(`✅ PSI ${strategy} completado - Score: ${result.score}/100`);
-      return result;
+      return { ...result, source: 'live' };
 
     } catch (error) {
       console.error(`❌ Error en PSI ${strategy}:`, error.message);
 
       // Don't fallback to mock data - return unavailable
       console.log(`⚠️ Datos no disponibles para ${strategy} - API error`);
-      return this.getUnavailableData(url, strategy);
+      return this.getUnavailableData(url, strategy, this.describeError(error));
+    }
+  }
+
+  // GET con límite de cuota y reintentos con backoff exponencial en 429/5xx y errores de red.
+  // Retry-After (si la API lo envía) manda sobre el backoff
+  async fetchWithRetry(requestUrl, strategy) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.limiter.schedule(() => axios.get(requestUrl, {
+          timeout: this.timeout,
+          headers: {
+            'User-Agent': 'Web-Audit-Disconnect/1.0'
+          }
+        }));
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        // Cuota diaria agotada: reintentar solo gasta tiempo hasta el reset
+        if (!this.isRetryable(error) || this.isDailyQuotaError(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']) * 1000;
+        const delay = retryAfter > 0 ? retryAfter : this.retryDelay * Math.pow(2, attempt);
+        if (status === 429) {
+          this.limiter.pause(delay);
+        }
+
+        console.warn(`⚠️ PSI ${strategy} ${status || error.code} - reintento ${attempt + 1}/${this.maxRetries} en ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   }
 
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || (status >= 500 && status < 600);
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  isDailyQuotaError(error) {
+    return error.response?.status === 429 && /per day|dailyLimitExceeded/i.test(JSON.stringify(error.response.data || ''));
+  }
+
+  describeError(error) {
+    const status = error.response?.status;
+    const apiMessage = error.response?.data?.error?.message;
+
+    if (this.isDailyQuotaError(error)) return 'Cuota diaria de PageSpeed Insights agotada';
+    if (status === 429) return 'Límite de requests de PageSpeed Insights excedido (429)';
+    if (status) return `PageSpeed Insights respondió ${status}${apiMessage ? `: ${apiMessage}` : ''}`;
+    return `Error de red consultando PageSpeed Insights: ${error.message}`;
+  }
+
   getMockData(url, strategy) {
     // Generate realistic mock data based on Havanna's previous results
     const isMobile = strategy === 'mobile';
@@ -78,7 +172,7 @@ export class PageSpeedInsightsService {
     const mockData = {
       strategy,
       url,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.now()).toISOString(),
       score: finalScore,
       categories: {
         performance: { score: finalScore, title: 'Performance', description: 'Performance category' },
@@ -241,12 +335,12 @@ export class PageSpeedInsightsService {
     return mockData;
   }
 
-  getUnavailableData(url, strategy) {
+  getUnavailableData(url, strategy, reason = null) {
     // Return unavailable data structure with "n/d" values
     const unavailableData = {
       strategy,
       url,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.now()).toISOString(),
       score: 'n/d',
       categories: {
         performance: { score: 'n/d', title: 'Performance', description: 'Performance category' },
@@ -387,10 +481,11 @@ export class PageSpeedInsightsService {
         }
       },
       dataAvailable: false,
-      reason: 'API key no configurada - obtener en https://developers.google.com/speed/docs/insights/v5/get-started'
+      source: 'unavailable',
+      reason: reason || 'API key no configurada - obtener en https://developers.google.com/speed/docs/insights/v5/get-started'
     };
 
-    console.log(`⚠️ Datos no disponibles para ${strategy} - API key requerida`);
+    console.log(`⚠️ Datos no disponibles para ${strategy} - ${reason || 'API key requerida'}`);
     return unavailableData;
   }
 
@@ -415,6 +510,59 @@ export class PageSpeedInsightsService {
     return categories;
   }
 
+  // Datos de campo (usuarios reales, CrUX, últimos 28 días) a nivel URL y origen
+  extractFieldData(data) {
+    const url = data.loadingExperience?.origin_fallback ? null : this.parseLoadingExperience(data.loadingExperience);
+    const origin = this.parseLoadingExperience(data.originLoadingExperience);
+    if (!url && !origin) return null;
+
+    return { url, origin };
+  }
+
+  parseLoadingExperience(experience) {
+    if (!experience?.metrics || Object.keys(experience.metrics).length === 0) return null;
+
+    const metrics = {};
+    Object.entries(FIELD_METRICS).forEach(([metric, key]) => {
+      const fieldMetric = experience.metrics[key];
+      if (!fieldMetric || typeof fieldMetric.percentile !== 'number') return;
+
+      // CrUX expresa el CLS multiplicado por 100
+      const p75 = metric === 'cls' ? fieldMetric.percentile / 100 : fieldMetric.percentile;
+      const [good, needsImprovement, poor] = (fieldMetric.distributions || []).map(bucket => bucket.proportion || 0);
+      metrics[metric] = {
+        p75,
+        category: FIELD_CATEGORIES[fieldMetric.category] || this.categorizeFieldValue(metric, p75),
+        distribution: {
+          good: Math.round((good || 0) * 1000) / 10,
+          needsImprovement: Math.round((needsImprovement || 0) * 1000) / 10,
+          poor: Math.round((poor || 0) * 1000) / 10
+        }
+      };
+    });
+
+    // Core Web Vitals en campo: se aprueban con LCP, INP y CLS "good" en el p75
+    const vitals = CORE_WEB_VITALS.filter(metric => metrics[metric]);
+    let coreWebVitals = 'insufficient-data';
+    if (vitals.some(metric => metrics[metric].category !== 'good')) coreWebVitals = 'failed';
+    else if (vitals.length === CORE_WEB_VITALS.length) coreWebVitals = 'passed';
+
+    return {
+      id: experience.id || null,
+      overallCategory: FIELD_CATEGORIES[experience.overall_category] || null,
+      coreWebVitals,
+      failingMetrics: vitals.filter(metric => metrics[metric].category !== 'good'),
+      metrics
+    };
+  }
+
+  categorizeFieldValue(metric, value) {
+    const { good, poor } = MetricsHelper.getMetricDefinition(metric);
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+  }
+
   extractCoreWebVitals(data) {
     const audits = data.lighthouseResult?.audits || {};
 
@@ -527,9 +675,10 @@ export class PageSpeedInsightsService {
 
     return {
       url,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.now()).toISOString(),
       mobile: mobileResults,
       desktop: desktopResults,
+      sources: { mobile: mobileResults.source, desktop: desktopResults.source },
       comparison,
       summary: this.generateSummary(mobileResults, desktopResults)
     };
@@ -0,0 +1,79 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+// Driver de persistencia para la cola: journal append-only en formato JSON Lines.
+// Cada operación (add/update/remove) se escribe de forma síncrona antes de continuar,
+// así un reinicio del servidor puede reconstruir el estado reproduciendo el archivo.
+export class FileJournalDriver {
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    this.jobs = new Map();
+  }
+
+  async load() {
+    mkdirSync(dirname(this.journalPath), { recursive: true });
+
+    if (existsSync(this.journalPath)) {
+      const lines = readFileSync(this.journalPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // Última línea truncada por un crash: se descarta
+          continue;
+        }
+
+        if (entry.op === 'add') {
+          this.jobs.set(entry.job.id, entry.job);
+        } else if (entry.op === 'update' && this.jobs.has(entry.id)) {
+          this.jobs.set(entry.id, { ...this.jobs.get(entry.id), ...entry.changes });
+        } else if (entry.op === 'remove') {
+          this.jobs.delete(entry.id);
+        }
+      }
+    }
+
+    this.compact();
+    return Array.from(this.jobs.values());
+  }
+
+  async add(job) {
+    this.jobs.set(job.id, job);
+    this.append({ op: 'add', job });
+  }
+
+  async update(id, changes) {
+    if (!this.jobs.has(id)) return;
+    this.jobs.set(id, { ...this.jobs.get(id), ...changes });
+    this.append({ op: 'update', id, changes });
+  }
+
+  async remove(id) {
+    if (!this.jobs.delete(id)) return;
+    this.append({ op: 'remove', id });
+  }
+
+  async close() {
+    this.compact();
+  }
+
+  append(entry) {
+    appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+  }
+
+  // Reescribe el journal con solo los jobs vivos para que no crezca indefinidamente
+  compact() {
+    const tmpPath = `${this.journalPath}.tmp`;
+    const content = Array.from(this.jobs.values())
+      .map(job => JSON.stringify({ op: 'add', job }) + '\n')
+      .join('');
+    writeFileSync(tmpPath, content);
+    renameSync(tmpPath, this.journalPath);
+  }
+}
+
+export default FileJournalDriver;
@@ -0,0 +1,245 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { WebAudit } from '../audit.js';
+import { FileJournalDriver } from './file-journal-driver.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'JOB_TIMEOUT'
+]);
+
+const TIMED_OUT = Symbol('timed-out');
+
+export class QueueManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...config.queue, ...options };
+    this.driver = options.driver || this.createDriver();
+    this.processor = options.processor || ((job, signal) => this.runAudit(job, signal));
+
+    this.waiting = [];
+    this.active = new Map();
+    this.controllers = new Map(); // jobId → AbortController de la ejecución en curso
+    this.retryTimers = new Map();
+    // auditId → opciones con credenciales (auth, user flow con pasos secretos): solo en memoria, nunca en el journal
+    this.credentials = new Map();
+    this.closing = false;
+
+    this.ready = this.initialize();
+  }
+
+  createDriver() {
+    if (this.options.redisUrl) {
+      // Punto de extensión: un RedisQueueDriver con la misma interfaz (load/add/update/remove/close)
+      logger.warn('Queue: Redis driver not available yet, using on-disk journal');
+    }
+    return new FileJournalDriver(this.options.journalPath);
+  }
+
+  async initialize() {
+    const jobs = await this.driver.load();
+
+    for (const job of jobs) {
+      // Jobs que estaban corriendo cuando se cayó el servidor vuelven a la cola
+      if (job.status === 'active') {
+        await this.driver.update(job.id, { status: 'waiting', runAt: Date.now() });
+        job.status = 'waiting';
+        job.runAt = Date.now();
+      }
+      this.schedule(job);
+    }
+
+    if (jobs.length > 0) {
+      logger.info(`Queue: recovered ${jobs.length} pending job(s) from journal`);
+    }
+  }
+
+  async addAuditJob(data) {
+    await this.ready;
+
+    if (this.closing) {
+      throw new Error('Queue is shutting down');
+    }
+
+    const { options: jobOptions, credentials } = this.splitCredentials(data.options);
+    if (credentials) this.credentials.set(data.auditId, credentials);
+
+    const job = {
+      id: randomUUID(),
+      data: credentials ? { ...data, options: jobOptions, hasCredentials: true } : data,
+      status: 'waiting',
+      attempts: 0,
+      maxAttempts: this.options.maxRetries + 1,
+      createdAt: new Date().toISOString(),
+      runAt: Date.now()
+    };
+
+    await this.driver.add(job);
+    this.schedule(job);
+    return job;
+  }
+
+  splitCredentials(options = {}) {
+    const { auth, userFlow, ...rest } = options;
+    const credentials = {};
+    if (auth) credentials.auth = auth;
+    if (userFlow?.steps?.some(step => step.secret)) {
+      credentials.userFlow = userFlow;
+    } else if (userFlow) {
+      rest.userFlow = userFlow;
+    }
+    return { options: rest, credentials: Object.keys(credentials).length > 0 ? credentials : null };
+  }
+
+  schedule(job) {
+    const delay = Math.max(0, (job.runAt || 0) - Date.now());
+
+    if (delay === 0) {
+      this.waiting.push(job);
+      this.processNext();
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      this.waiting.push(job);
+      this.processNext();
+    }, delay);
+    this.retryTimers.set(job.id, timer);
+  }
+
+  processNext() {
+    while (!this.closing && this.active.size < this.options.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      const execution = this.runJob(job).finally(() => {
+        this.active.delete(job.id);
+        this.processNext();
+      });
+      this.active.set(job.id, execution);
+    }
+  }
+
+  async runJob(job) {
+    job.status = 'active';
+    job.attempts += 1;
+    await this.driver.update(job.id, { status: 'active', attempts: job.attempts, startedAt: new Date().toISOString() });
+
+    const { auditId, userId, url } = job.data;
+    logger.info(`Queue: running audit ${auditId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    try {
+      const results = await this.withTimeout(this.processor(job, controller.signal), this.options.timeout, controller);
+
+      await this.driver.remove(job.id);
+      this.credentials.delete(auditId);
+      this.emit('auditCompleted', { auditId, userId, url, results, attempts: job.attempts });
+    } catch (error) {
+      if (this.closing) {
+        // El servidor se está apagando: el job queda 'active' en el journal y se recupera al reiniciar
+        return;
+      }
+
+      if (this.isTransientError(error) && job.attempts < job.maxAttempts) {
+        const delay = this.options.retryDelay * Math.pow(2, job.attempts - 1);
+        job.status = 'waiting';
+        job.runAt = Date.now() + delay;
+        job.lastError = error.message;
+        await this.driver.update(job.id, { status: 'waiting', runAt: job.runAt, lastError: job.lastError });
+
+        logger.warn(`Queue: audit ${auditId} failed (${error.message}), retrying in ${delay}ms`);
+        this.emit('auditRetrying', { auditId, userId, url, error: error.message, attempts: job.attempts, retryIn: delay });
+        this.schedule(job);
+        return;
+      }
+
+      await this.driver.remove(job.id);
+      this.credentials.delete(auditId);
+      this.emit('auditFailed', { auditId, userId, url, error: error.message, attempts: job.attempts });
+    } finally {
+      this.controllers.delete(job.id);
+    }
+  }
+
+  async runAudit(job, signal) {
+    const { auditId, userId, url, clientName, hasCredentials } = job.data;
+    // Tras un reinicio las credenciales ya no están: auditar sin ellas daría los resultados del sitio público
+    if (hasCredentials && !this.credentials.has(auditId)) {
+      throw new Error('Audit credentials are not persisted across restarts; submit the audit again');
+    }
+    const options = { ...job.data.options, ...this.credentials.get(auditId) };
+    // Los artefactos (HAR) se guardan con el auditId para poder servirlos después
+    const audit = new WebAudit(url, clientName, { ...options, artifactId: auditId, signal });
+
+    audit.on('progress', (event) => {
+      this.emit('auditProgress', { auditId, userId, attempt: job.attempts, ...event });
+    });
+
+    if (options.type === 'site-wide' || options.siteWide) {
+      // El checkpoint por auditId permite que un reintento o un reinicio retome las páginas ya analizadas
+      // (el id lo decide el servidor: con el de otra auditoría se mezclarían sus páginas)
+      return audit.runSiteWideAudit({ ...options, checkpointId: auditId });
+    }
+    return audit.runFullAudit();
+  }
+
+  // Al vencer el timeout se aborta la auditoría y se espera a que pare: el reintento no debe arrancar
+  // (ni liberarse el hueco de concurrencia) mientras la ejecución anterior sigue usando Chrome y red
+  async withTimeout(promise, timeoutMs, controller) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([promise, timeout]);
+      if (result !== TIMED_OUT) return result;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const error = new Error(`Audit timed out after ${timeoutMs}ms`);
+    error.code = 'JOB_TIMEOUT';
+    controller?.abort(error);
+    await promise.catch(() => {});
+    throw error;
+  }
+
+  isTransientError(error) {
+    if (!error) return false;
+    if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+
+    const status = error.response?.status;
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  getStats() {
+    return {
+      waiting: this.waiting.length,
+      delayed: this.retryTimers.size,
+      active: this.active.size,
+      concurrency: this.options.concurrency
+    };
+  }
+
+  async close() {
+    this.closing = true;
+    await this.ready;
+
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+
+    // Las auditorías en curso se abortan y se esperan: después se cierran Chrome y el storage, y runJob
+    // todavía escribe en el journal
+    const error = new Error('Queue is shutting down');
+    error.code = 'QUEUE_CLOSING';
+    this.controllers.forEach(controller => controller.abort(error));
+    await Promise.allSettled(this.active.values());
+
+    await this.driver.close();
+  }
+}
+
+export default QueueManager;
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { WebAudit } from './audit.js';
+import { WarcReader } from './storage/warc-reader.js';
+import { TechnologyDetector } from './technology-detector.js';
+
+// Re-analiza la evidencia WARC de una auditoría pasada con los analizadores actuales:
+// mismas páginas, mismo HTML y mismos headers que vio la auditoría original, sin tocar la red
+export async function reanalyzeWarc(path) {
+  const reader = WarcReader.open(path);
+  const { info } = reader;
+  const corrupted = reader.verify();
+  if (corrupted.length > 0) {
+    console.warn(`⚠️ ${corrupted.length} registros del WARC no coinciden con su digest`);
+  }
+
+  const audit = new WebAudit(info['audit-url'] || reader.pages()[0]?.url, info['audit-client'] || 'Default', { waterfall: false });
+  const technologyDetector = new TechnologyDetector();
+  const rendered = reader.audit?.renderMode === 'headless';
+
+  const pages = [];
+  for (const page of reader.pages()) {
+    const snapshot = reader.getPageSnapshot(page.url);
+    if (!snapshot) {
+      pages.push({ url: page.url, success: false, error: 'Sin respuesta en el WARC' });
+      continue;
+    }
+
+    // El DOM renderizado solo si la auditoría original analizó en modo render
+    const html = rendered && snapshot.renderedHtml ? snapshot.renderedHtml : snapshot.html;
+    pages.push({
+      url: page.url,
+      finalUrl: snapshot.finalUrl,
+      status: snapshot.status,
+      capturedAt: snapshot.capturedAt,
+      seo: await audit.checkSEOForPage(page.url, html),
+      mixedContent: audit.mixedContentAnalyzer.analyzePage(snapshot.finalUrl, html),
+      technologies: technologyDetector.detect(html, snapshot.headers) || [],
+      responseHeaders: snapshot.headers,
+      success: true
+    });
+  }
+
+  return {
+    source: path,
+    url: audit.url,
+    clientName: audit.clientName,
+    auditStarted: info['audit-started'] || null,
+    reanalyzedAt: new Date().toISOString(),
+    integrity: { records: reader.records.length, corrupted },
+    pages
+  };
+}
+
+async function main() {
+  const [path, ...args] = process.argv.slice(2);
+  const outputIndex = args.indexOf('--output');
+  const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+
+  if (!path) {
+    console.error('\x1b[31m❌ Error: Debes proporcionar un archivo WARC');
+    console.log('\x1b[33m💡 Uso: node src/reanalyze-warc.js <auditoria.warc.gz> [--output <ruta.json>]\x1b[0m');
+    process.exit(1);
+  }
+
+  console.log(`\x1b[36m🗄️ Re-analizando evidencia WARC: ${path}\x1b[0m`);
+  const result = await reanalyzeWarc(path);
+
+  const json = JSON.stringify(result, null, 2);
+  if (outputPath) {
+    writeFileSync(outputPath, json);
+    console.log(`\x1b[32m✅ ${result.pages.length} páginas re-analizadas: ${outputPath}\x1b[0m`);
+  } else {
+    console.log(json);
+  }
+}
+
+// Ejecutar si se llama directamente
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('\x1b[31m❌ Error re-analizando el WARC:', error.message, '\x1b[0m');
+    process.exit(1);
+  });
+}
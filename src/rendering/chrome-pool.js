@@ -0,0 +1,206 @@
+import http from 'http';
+import os from 'os';
+import * as chromeLauncher from 'chrome-launcher';
+
+const CHROME_FLAGS = ['--headless', '--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'];
+const activePools = new Set();
+let exitHandlersInstalled = false;
+
+// Si el proceso termina (exit, Ctrl+C, SIGTERM) no deben quedar Chromes huérfanos
+function installExitHandlers() {
+  if (exitHandlersInstalled) return;
+  exitHandlersInstalled = true;
+
+  process.once('exit', () => activePools.forEach(pool => pool.killSync()));
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    const onSignal = () => {
+      activePools.forEach(pool => pool.killSync());
+      process.removeListener(signal, onSignal);
+      process.kill(process.pid, signal); // Re-emitir con el comportamiento por defecto
+    };
+    process.on(signal, onSignal);
+  });
+}
+
+// Pool de instancias de Chrome (chrome-launcher) para Lighthouse: se lanzan a demanda hasta `size`,
+// se reutilizan entre URLs, se verifican antes de prestarse y se reemplazan si se caen.
+// Lighthouse recomienda ~2 núcleos por run concurrente: más instancias distorsionan las métricas.
+export class ChromePool {
+  constructor(options = {}) {
+    // Nunca más instancias que núcleos: cada Chrome con Lighthouse satura al menos uno
+    const requested = options.size || Number(process.env.LIGHTHOUSE_CHROME_INSTANCES) || Math.floor(os.cpus().length / 2);
+    this.size = Math.max(1, Math.min(requested, os.cpus().length));
+    this.chromeFlags = options.chromeFlags || CHROME_FLAGS;
+    this.maxUses = options.maxUses ?? 25; // Reciclar cada N runs (fugas de memoria del navegador)
+    this.healthCheckTimeout = options.healthCheckTimeout || 5000;
+    this.acquireTimeout = options.acquireTimeout || 5 * 60 * 1000;
+    this.instances = new Set();
+    this.idle = [];
+    this.waiters = [];
+    this.launching = 0;
+    this.nextId = 1;
+    this.closing = false;
+
+    installExitHandlers();
+  }
+
+  // Presta una instancia, ejecuta `task(instance)` y la devuelve; si Chrome murió durante la tarea
+  // se reemplaza y la tarea se reintenta una vez en una instancia nueva
+  async withInstance(task) {
+    for (let attempt = 1; ; attempt++) {
+      const instance = await this.acquire();
+      try {
+        const result = await task(instance);
+        this.release(instance);
+        return result;
+      } catch (error) {
+        const healthy = !instance.crashed && await this.isHealthy(instance);
+        if (healthy) {
+          this.release(instance);
+          throw error;
+        }
+
+        console.warn(`⚠️ Chrome #${instance.id} dejó de responder (${error.message}), reemplazando instancia`);
+        await this.destroy(instance);
+        if (attempt >= 2) throw error;
+      }
+    }
+  }
+
+  async acquire() {
+    if (this.closing) throw new Error('ChromePool cerrándose');
+    activePools.add(this);
+
+    while (this.idle.length > 0) {
+      const instance = this.idle.shift();
+      if (await this.isHealthy(instance)) {
+        instance.uses++;
+        return instance;
+      }
+      console.warn(`⚠️ Chrome #${instance.id} no pasó el health check, descartando`);
+      await this.destroy(instance);
+    }
+
+    if (this.instances.size + this.launching < this.size) {
+      const instance = await this.launchInstance();
+      instance.uses++;
+      return instance;
+    }
+
+    // Todas ocupadas: esperar a que se libere una (o a que haya hueco para lanzar otra)
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        reject(new Error(`Timeout esperando una instancia de Chrome (${this.acquireTimeout}ms)`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  release(instance) {
+    if (!this.instances.has(instance)) return;
+
+    if (this.closing || instance.uses >= this.maxUses) {
+      this.destroy(instance);
+      return;
+    }
+    this.idle.push(instance);
+    this.wakeWaiter();
+  }
+
+  // Hay una instancia libre o un hueco en el pool: el primer waiter la toma
+  wakeWaiter() {
+    const waiter = this.waiters.shift();
+    if (!waiter) return;
+    clearTimeout(waiter.timer);
+    this.acquire().then(waiter.resolve, waiter.reject);
+  }
+
+  async launchInstance() {
+    this.launching++;
+    try {
+      const chrome = await chromeLauncher.launch({ chromeFlags: this.chromeFlags, handleSIGINT: false });
+      const instance = { id: this.nextId++, chrome, port: chrome.port, uses: 0, crashed: false, startedAt: Date.now() };
+
+      // Crash del proceso: se saca del pool y su lugar queda libre para una instancia nueva
+      chrome.process?.once('exit', () => {
+        instance.crashed = true;
+        if (this.instances.has(instance)) {
+          this.instances.delete(instance);
+          this.idle = this.idle.filter(entry => entry !== instance);
+          this.wakeWaiter();
+        }
+      });
+
+      this.instances.add(instance);
+      return instance;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  // El endpoint /json/version del DevTools protocol responde mientras el navegador está vivo
+  isHealthy(instance) {
+    if (instance.crashed) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+      const req = http.get({ host: '127.0.0.1', port: instance.port, path: '/json/version', timeout: this.healthCheckTimeout }, res => {
+        res.resume();
+        resolve(res.statusCode === 200);
+      });
+      req.once('timeout', () => req.destroy());
+      req.once('error', () => resolve(false));
+    });
+  }
+
+  async destroy(instance) {
+    this.instances.delete(instance);
+    this.idle = this.idle.filter(entry => entry !== instance);
+    try {
+      await instance.chrome.kill();
+    } catch (error) {
+      // Ya muerto
+    }
+    this.wakeWaiter();
+  }
+
+  // Cierra todas las instancias; el pool puede volver a usarse (relanza a demanda)
+  async close() {
+    this.closing = true;
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('ChromePool cerrado'));
+    });
+    await Promise.all([...this.instances].map(instance => this.destroy(instance)));
+    activePools.delete(this);
+    this.closing = false;
+  }
+
+  // Solo operaciones síncronas: se usa desde el handler de 'exit'
+  killSync() {
+    this.instances.forEach(instance => {
+      try {
+        instance.chrome.process?.kill('SIGKILL');
+      } catch (error) {
+        // Ya muerto
+      }
+    });
+    this.instances.clear();
+  }
+
+  static async closeAll() {
+    await Promise.all([...activePools].map(pool => pool.close()));
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      instances: this.instances.size,
+      idle: this.idle.length,
+      waiting: this.waiters.length
+    };
+  }
+}
+
+export default ChromePool;
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import { REDACTED, SENSITIVE_HEADERS } from '../utils/auth-session.js';
+
+// Traduce entre el registro de red interno (NetworkRecorder) y HAR 1.2, en ambos sentidos:
+// importar un HAR exportado desde DevTools/WebPageTest y exportar lo capturado por la auditoría.
+const RESOURCE_TYPES = {
+  document: 'Document', stylesheet: 'Stylesheet', image: 'Image', media: 'Media', font: 'Font',
+  script: 'Script', texttrack: 'TextTrack', xhr: 'XHR', fetch: 'Fetch', eventsource: 'EventSource',
+  websocket: 'WebSocket', manifest: 'Manifest', ping: 'Ping', preflight: 'Preflight', other: 'Other'
+};
+
+export class HarConverter {
+  constructor(options = {}) {
+    this.now = options.now || Date.now; // Reloj de la auditoría: inicio de páginas sin startedDateTime
+  }
+
+  // Acepta una ruta a un .har o el objeto ya parseado
+  load(source) {
+    const har = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new Error('HAR inválido: falta log.entries');
+    }
+    return har;
+  }
+
+  // Una página por log.pages (o una sola si el HAR no las declara), con sus entradas ya convertidas
+  toPages(har) {
+    const declared = har.log.pages?.length > 0 ? har.log.pages : [{ id: null }];
+
+    return declared.map(page => {
+      const entries = har.log.entries.filter(entry => !page.id || !entry.pageref || entry.pageref === page.id);
+      const networkRequests = this.toNetworkRequests(entries, page.startedDateTime);
+      const document = networkRequests.find(request => request.resourceType === 'Document');
+      return {
+        url: document?.url || page.title || networkRequests[0]?.url || null,
+        title: page.title || null,
+        startedDateTime: page.startedDateTime || networkRequests[0]?.startedDateTime || null,
+        networkRequests
+      };
+    }).filter(page => page.networkRequests.length > 0);
+  }
+
+  // Subconjunto del HAR con las páginas de una URL (el título de cada página es la URL auditada)
+  filterPage(har, url) {
+    const pages = (har.log.pages || []).filter(page => this.pageKey(page.title) === this.pageKey(url));
+    const ids = new Set(pages.map(page => page.id));
+    return { log: { ...har.log, pages, entries: har.log.entries.filter(entry => ids.has(entry.pageref)) } };
+  }
+
+  // Misma página con o sin barra final / fragmento
+  pageKey(url) {
+    return (url || '').replace(/#.*$/, '').replace(/\/$/, '');
+  }
+
+  // Entradas HAR → formato de NetworkRecorder (tiempos en ms relativos al primer request)
+  toNetworkRequests(harOrEntries, pageStartedDateTime = null) {
+    const entries = Array.isArray(harOrEntries) ? harOrEntries : harOrEntries.log.entries;
+    const starts = entries.map(entry => Date.parse(entry.startedDateTime));
+    const origin = Date.parse(pageStartedDateTime) || Math.min(...starts.filter(Number.isFinite));
+
+    return entries
+      .filter(entry => !entry.request?.url?.startsWith('data:'))
+      .map(entry => {
+        const response = entry.response || {};
+        const responseHeaders = this.headersToObject(response.headers);
+        const header = name => responseHeaders[Object.keys(responseHeaders).find(key => key.toLowerCase() === name)] ?? null;
+        const startTime = Math.max(0, Math.round((Date.parse(entry.startedDateTime) || origin) - origin));
+        const duration = Math.max(0, Math.round(entry.time || 0));
+        const headersSize = Math.max(0, response.headersSize || 0);
+        const bodySize = Math.max(0, response.bodySize || 0);
+        const transferSize = response._transferSize ?? headersSize + bodySize;
+        const status = response.status || 0;
+
+        return {
+          url: entry.request.url,
+          method: entry.request.method || 'GET',
+          resourceType: RESOURCE_TYPES[(entry._resourceType || '').toLowerCase()] || this.guessResourceType(response.content?.mimeType),
+          initiator: { type: entry._initiator?.type || 'other', url: entry._initiator?.url || null },
+          requestHeaders: this.headersToObject(entry.request.headers),
+          responseHeaders,
+          status: status || null,
+          mimeType: response.content?.mimeType?.split(';')[0].trim() || null,
+          protocol: response.httpVersion || null,
+          contentEncoding: header('content-encoding'),
+          cacheControl: header('cache-control'),
+          fromCache: entry._fromCache || (entry.cache?.beforeRequest || entry.cache?.afterRequest ? 'disk' : null),
+          size: Math.max(0, response.content?.size || 0),
+          startedDateTime: entry.startedDateTime,
+          startTime,
+          endTime: startTime + duration,
+          duration,
+          timing: this.fromHarTimings(entry.timings),
+          transferSize,
+          encodedSize: bodySize || Math.max(0, transferSize - headersSize),
+          failed: status === 0 || Boolean(response._error),
+          errorText: response._error || null
+        };
+      })
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // pages: [{ url, title?, networkRequests }] → documento HAR 1.2
+  toHar(pages, creatorVersion = '1.0.0') {
+    const harPages = [];
+    const harEntries = [];
+
+    pages.filter(page => page.networkRequests?.length > 0).forEach((page, index) => {
+      const id = `page_${index + 1}`;
+      const requests = page.networkRequests;
+      const startedDateTime = page.startedDateTime || requests[0].startedDateTime || new Date(this.now()).toISOString();
+
+      harPages.push({
+        startedDateTime,
+        id,
+        title: page.title || page.url,
+        pageTimings: {
+          onContentLoad: -1,
+          onLoad: Math.max(...requests.map(request => request.endTime || 0)) || -1
+        }
+      });
+      requests.forEach(request => harEntries.push(this.toHarEntry(request, id, startedDateTime)));
+    });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'Web-Audit-Disconnect', version: creatorVersion },
+        pages: harPages,
+        entries: harEntries
+      }
+    };
+  }
+
+  toHarEntry(request, pageref, pageStartedDateTime) {
+    const startedDateTime = request.startedDateTime ||
+      new Date(Date.parse(pageStartedDateTime) + (request.startTime || 0)).toISOString();
+    const location = Object.entries(request.responseHeaders || {}).find(([name]) => name.toLowerCase() === 'location');
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(request.url).searchParams, ([name, value]) => ({ name, value }));
+    } catch (error) {
+      // URL no parseable: sin queryString
+    }
+
+    const entry = {
+      pageref,
+      startedDateTime,
+      time: request.duration || 0,
+      request: {
+        method: request.method || 'GET',
+        url: request.url,
+        httpVersion: request.protocol || '',
+        cookies: [],
+        headers: this.headersToArray(request.requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: request.method === 'GET' ? 0 : -1
+      },
+      response: {
+        status: request.status || 0,
+        statusText: '',
+        httpVersion: request.protocol || '',
+        cookies: [],
+        headers: this.headersToArray(request.responseHeaders),
+        content: {
+          size: request.size || 0,
+          mimeType: request.mimeType || ''
+        },
+        redirectURL: location ? location[1] : '',
+        headersSize: -1,
+        bodySize: request.failed ? -1 : request.encodedSize || 0,
+        _transferSize: request.transferSize || 0
+      },
+      cache: {},
+      timings: this.toHarTimings(request),
+      _resourceType: (request.resourceType || 'Other').toLowerCase(),
+      _initiator: request.initiator || { type: 'other', url: null }
+    };
+
+    if (request.fromCache) entry._fromCache = request.fromCache;
+    if (request.failed) entry.response._error = request.errorText || 'failed';
+    const compression = (request.size || 0) - (request.encodedSize || 0);
+    if (compression > 0) entry.response.content.compression = compression;
+
+    return entry;
+  }
+
+  // HAR: -1 = fase que no aplica (conexión reutilizada); send/wait/receive son obligatorias
+  toHarTimings(request) {
+    const timing = request.timing;
+    if (!timing) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: request.duration || 0, receive: 0 };
+    }
+
+    return {
+      blocked: timing.blocked || -1,
+      dns: timing.dns || -1,
+      // En HAR connect incluye el handshake TLS, igual que en CDP
+      connect: timing.connect || -1,
+      ssl: timing.ssl || -1,
+      send: timing.send || 0,
+      wait: timing.wait || 0,
+      receive: timing.receive || 0
+    };
+  }
+
+  fromHarTimings(timings) {
+    if (!timings) return null;
+    const phase = value => Math.max(0, Math.round(value || 0));
+
+    return {
+      blocked: phase(timings.blocked),
+      dns: phase(timings.dns),
+      connect: phase(timings.connect),
+      ssl: phase(timings.ssl),
+      send: phase(timings.send),
+      wait: phase(timings.wait),
+      receive: phase(timings.receive)
+    };
+  }
+
+  guessResourceType(mimeType = '') {
+    if (mimeType.includes('html')) return 'Document';
+    if (mimeType.includes('css')) return 'Stylesheet';
+    if (mimeType.includes('javascript') || mimeType.includes('ecmascript')) return 'Script';
+    if (mimeType.startsWith('image/')) return 'Image';
+    if (mimeType.startsWith('font/') || mimeType.includes('woff')) return 'Font';
+    if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'Media';
+    return 'Other';
+  }
+
+  headersToObject(headers = []) {
+    return Object.fromEntries((headers || []).map(({ name, value }) => [name, value]));
+  }
+
+  // Cookies y tokens nunca salen en el HAR exportado, haya o no sesión de auditoría: un HAR importado
+  // del cliente trae los suyos en los headers
+  headersToArray(headers = {}) {
+    return Object.entries(headers || {}).map(([name, value]) => ({
+      name,
+      value: SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : String(value)
+    }));
+  }
+}
+
+export default HarConverter;
@@ -0,0 +1,80 @@
+import puppeteerCore from 'puppeteer-core';
+import { addExtra } from 'puppeteer-extra';
+import { Launcher } from 'chrome-launcher';
+import { AUDIT_USER_AGENT } from '../discovery/robots-txt.js';
+import { NetworkRecorder } from './network-recorder.js';
+
+// Renderiza páginas en Chrome headless para que los análisis vean el DOM final
+// (sitios React/Vue/Next renderizados en el cliente). Un solo navegador, una pestaña por página.
+export class HeadlessRenderer {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30000;
+    this.waitUntil = options.waitUntil || 'networkidle0';
+    this.userAgent = options.userAgent || AUDIT_USER_AGENT;
+    this.chromePath = options.chromePath || process.env.CHROME_PATH || null;
+    this.captureNetwork = options.captureNetwork ?? true;
+    this.auth = options.auth || null; // AuthSession: cookies/basic auth/headers en cada pestaña
+    this.browser = null;
+    this.launching = null;
+  }
+
+  async getBrowser() {
+    if (this.browser) return this.browser;
+
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => { this.launching = null; });
+    }
+    return this.launching;
+  }
+
+  async launch() {
+    // Mismo Chrome que usa Lighthouse vía chrome-launcher
+    const executablePath = this.chromePath || Launcher.getFirstInstallation();
+    if (!executablePath) {
+      throw new Error('No se encontró Chrome/Chromium (definir CHROME_PATH)');
+    }
+
+    const puppeteer = addExtra(puppeteerCore);
+    this.browser = await puppeteer.launch({
+      executablePath,
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage']
+    });
+    return this.browser;
+  }
+
+  async render(url) {
+    const startRender = Date.now();
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      await page.setUserAgent(this.userAgent);
+      await this.auth?.applyToPage(page);
+      const recorder = this.captureNetwork ? new NetworkRecorder() : null;
+      await recorder?.attach(page);
+      const response = await page.goto(url, { waitUntil: this.waitUntil, timeout: this.timeout });
+
+      return {
+        url,
+        finalUrl: page.url(),
+        status: response?.status() ?? null,
+        html: await page.content(),
+        networkRequests: recorder ? recorder.getEntries() : [],
+        renderTime: Date.now() - startRender
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async close() {
+    const browser = this.browser || await this.launching?.catch(() => null);
+    this.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+export default HeadlessRenderer;
@@ -0,0 +1,151 @@
+// Registro de red de una pestaña vía Chrome DevTools Protocol: una entrada por request
+// (las redirecciones generan una entrada por salto) con tiempos, tamaños, tipo, iniciador y caché.
+export class NetworkRecorder {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 500;
+    this.entries = [];
+    this.active = new Map(); // requestId → entrada en curso
+    this.firstTimestamp = null;
+    this.firstWallTime = null; // Reloj de pared del primer request (para startedDateTime del HAR)
+  }
+
+  async attach(page) {
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+
+    client.on('Network.requestWillBeSent', event => this.onRequest(event));
+    client.on('Network.requestServedFromCache', ({ requestId }) => {
+      const entry = this.active.get(requestId);
+      if (entry) entry.fromCache = 'memory';
+    });
+    client.on('Network.responseReceived', event => this.onResponse(event));
+    client.on('Network.dataReceived', ({ requestId, dataLength }) => {
+      const entry = this.active.get(requestId);
+      if (entry) entry.size += dataLength;
+    });
+    client.on('Network.loadingFinished', ({ requestId, timestamp, encodedDataLength }) => {
+      this.finish(requestId, timestamp, { transferSize: encodedDataLength });
+    });
+    client.on('Network.loadingFailed', ({ requestId, timestamp, errorText, canceled }) => {
+      this.finish(requestId, timestamp, { failed: true, errorText: canceled ? 'canceled' : errorText });
+    });
+
+    return client;
+  }
+
+  onRequest(event) {
+    if (event.request.url.startsWith('data:')) return;
+    if (this.firstTimestamp === null) {
+      this.firstTimestamp = event.timestamp;
+      this.firstWallTime = event.wallTime ?? Date.now() / 1000;
+    }
+
+    // Mismo requestId con redirectResponse: el salto anterior termina aquí
+    if (event.redirectResponse && this.active.has(event.requestId)) {
+      this.applyResponse(this.active.get(event.requestId), event.redirectResponse);
+      this.finish(event.requestId, event.timestamp, { transferSize: event.redirectResponse.encodedDataLength || 0 });
+    }
+
+    if (this.entries.length + this.active.size >= this.maxEntries) return;
+
+    const initiatorUrl = event.initiator?.url || event.initiator?.stack?.callFrames?.[0]?.url || null;
+    this.active.set(event.requestId, {
+      url: event.request.url,
+      method: event.request.method,
+      resourceType: event.type || 'Other',
+      initiator: { type: event.initiator?.type || 'other', url: initiatorUrl },
+      requestHeaders: event.request.headers || {},
+      responseHeaders: {},
+      timestamp: event.timestamp,
+      status: null,
+      mimeType: null,
+      protocol: null,
+      contentEncoding: null,
+      cacheControl: null,
+      fromCache: null,
+      size: 0,
+      headersSize: 0,
+      timing: null
+    });
+  }
+
+  onResponse({ requestId, type, response }) {
+    const entry = this.active.get(requestId);
+    if (!entry) return;
+    if (type) entry.resourceType = type;
+    this.applyResponse(entry, response);
+  }
+
+  applyResponse(entry, response) {
+    const header = (name) => {
+      const key = Object.keys(response.headers || {}).find(k => k.toLowerCase() === name);
+      return key ? response.headers[key] : null;
+    };
+
+    entry.status = response.status;
+    entry.responseHeaders = response.headers || {};
+    entry.mimeType = response.mimeType || null;
+    entry.protocol = response.protocol || null;
+    entry.contentEncoding = header('content-encoding');
+    entry.cacheControl = header('cache-control');
+    entry.headersSize = response.encodedDataLength || 0;
+    if (response.fromDiskCache) entry.fromCache = 'disk';
+    else if (response.fromServiceWorker) entry.fromCache = 'service-worker';
+    else if (response.fromPrefetchCache) entry.fromCache = 'prefetch';
+    entry.timing = response.timing || null;
+  }
+
+  finish(requestId, timestamp, outcome) {
+    const entry = this.active.get(requestId);
+    if (!entry) return;
+    this.active.delete(requestId);
+    this.entries.push(this.buildEntry(entry, timestamp, outcome));
+  }
+
+  // Tiempos en ms relativos al primer request; `size` = cuerpo decodificado, `encodedSize` = cuerpo transferido
+  buildEntry(entry, endTimestamp, outcome) {
+    const toMs = (seconds) => Math.round(seconds * 1000);
+    const startTime = toMs(entry.timestamp - this.firstTimestamp);
+    const duration = Math.max(0, toMs(endTimestamp - entry.timestamp));
+    const transferSize = outcome.transferSize || 0;
+    const { timestamp, headersSize, timing, ...fields } = entry;
+
+    return {
+      ...fields,
+      startedDateTime: new Date(this.firstWallTime * 1000 + startTime).toISOString(),
+      startTime,
+      endTime: startTime + duration,
+      duration,
+      timing: this.buildPhases(timing, endTimestamp),
+      transferSize,
+      encodedSize: Math.max(0, transferSize - headersSize),
+      failed: Boolean(outcome.failed),
+      errorText: outcome.errorText || null
+    };
+  }
+
+  // ResourceTiming de CDP: offsets en ms desde requestTime; -1 = fase inexistente (conexión reutilizada)
+  buildPhases(timing, endTimestamp) {
+    if (!timing) return null;
+    const span = (start, end) => (timing[start] >= 0 && timing[end] >= 0 ? Math.round(timing[end] - timing[start]) : 0);
+    const firstOffset = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+    const headersEnd = timing.receiveHeadersEnd ?? timing.sendEnd;
+
+    return {
+      blocked: Math.round(firstOffset),
+      dns: span('dnsStart', 'dnsEnd'),
+      connect: span('connectStart', 'connectEnd'),
+      ssl: span('sslStart', 'sslEnd'),
+      send: span('sendStart', 'sendEnd'),
+      wait: Math.max(0, Math.round(headersEnd - timing.sendEnd)),
+      receive: Math.max(0, Math.round((endTimestamp - timing.requestTime) * 1000 - headersEnd))
+    };
+  }
+
+  // Solo requests terminados: los que siguen abiertos al cerrar la pestaña (streaming, long-polling) se descartan
+  getEntries() {
+    return [...this.entries].sort((a, b) => a.startTime - b.startTime);
+  }
+}
+
+export default NetworkRecorder;
@@ -19,17 +19,27 @@ export class ReportGenerator {
     return url.replace(/^https?:\/\//, '').replace(/[^a-zA-Z0-9-_]/g, '_');
   }
 
+  _getSSLIssueSummary() {
+    // Hallazgos concretos de la inspección TLS (expiración, cadena, protocolos...) si existen
+    const issues = (this.results.ssl?.issues || []).filter(issue => issue.severity !== 'low');
+    if (issues.length > 0) {
+      return issues.map(issue => issue.message).join('; ');
+    }
+    return this.results.ssl?.protocol === 'HTTP' ? 'El sitio no usa HTTPS' : 'Certificado SSL no válido o expirado';
+  }
+
   generateActionableRecommendationsWithImpacts() {
     const recommendations = [];
     const isSiteWide = this.results.auditType === 'site-wide';
 
     // SSL/HTTPS Recommendations
     if (this.results.ssl?.status !== 'valid') {
+      const sslWarningOnly = this.results.ssl?.status === 'warning' && this.results.ssl?.protocol === 'HTTPS';
       recommendations.push({
-        priority: 'CRITICAL',
-        severity: '🔴',
+        priority: sslWarningOnly ? 'HIGH' : 'CRITICAL',
+        severity: sslWarningOnly ? '🟠' : '🔴',
         category: 'SSL/HTTPS',
-        issue: 'Certificado SSL no válido o expirado',
+        issue: this._getSSLIssueSummary(),
         impact: 'Afecta la confianza de usuarios y ranking SEO',
         specificActions: [
           'Renovar certificado SSL inmediatamente',
@@ -42,6 +52,29 @@ export class ReportGenerator {
       });
     }
 
+    // Mixed content recommendations
+    const mixedContent = this.results.mixedContent;
+    if (mixedContent?.affectedPages > 0) {
+      const hasActive = mixedContent.activeCount > 0;
+      recommendations.push({
+        priority: hasActive ? 'HIGH' : 'MEDIUM',
+        severity: hasActive ? '🟠' : '🟡',
+        category: 'SSL/HTTPS',
+        issue: `Contenido mixto en ${mixedContent.affectedPages} páginas HTTPS (${mixedContent.activeCount} recursos activos, ${mixedContent.passiveCount} pasivos)`,
+        impact: hasActive ?
+          'El navegador bloquea scripts/CSS cargados por HTTP: funcionalidades rotas sin error visible' :
+          'El navegador muestra advertencia de sitio no seguro',
+        specificActions: [
+          'Cambiar las URLs http:// de recursos a https:// (o a rutas relativas)',
+          'Agregar la cabecera Content-Security-Policy: upgrade-insecure-requests',
+          'Verificar que los proveedores externos sirvan sus recursos por HTTPS'
+        ],
+        expectedImprovement: 'Páginas HTTPS completamente seguras',
+        effort: '1-3 días',
+        businessImpact: 'Evita pérdida de conversiones por funcionalidades bloqueadas'
+      });
+    }
+
     // Performance recommendations based on audit type
     if (isSiteWide && this.results.pageAnalyses && this.results.pageAnalyses.length > 0) {
       const pageAnalyses = this.results.pageAnalyses;
@@ -288,13 +321,23 @@ export class ReportGenerator {
     // SSL/HTTPS Recommendations
     if (this.results.ssl?.status !== 'valid') {
       recommendations.push({
-        priority: 'CRITICAL',
+        priority: this.results.ssl?.status === 'warning' && this.results.ssl?.protocol === 'HTTPS' ? 'HIGH' : 'CRITICAL',
         category: 'SSL/HTTPS',
-        issue: 'Certificado SSL no válido o expirado',
+        issue: this._getSSLIssueSummary(),
         action: 'Renovar certificado SSL inmediatamente para evitar errores HTTPS'
       });
     }
 
+    // Mixed content Recommendations
+    if (this.results.mixedContent?.affectedPages > 0) {
+      recommendations.push({
+        priority: this.results.mixedContent.activeCount > 0 ? 'HIGH' : 'MEDIUM',
+        category: 'SSL/HTTPS',
+        issue: `Contenido mixto: ${this.results.mixedContent.activeCount} recursos activos y ${this.results.mixedContent.passiveCount} pasivos cargados por HTTP`,
+        action: 'Servir todos los recursos por HTTPS o usar Content-Security-Policy: upgrade-insecure-requests'
+      });
+    }
+
     // Performance Recommendations
     const loadTime = parseInt(this.results.performance?.pageLoadTime?.replace('ms', '') || 0);
     if (loadTime > 3000) {
@@ -617,6 +660,14 @@ export class ReportGenerator {
             return typeof value === 'string' || typeof value === 'number' ? value : 'N/A';
         };
 
+        // live = consulta en esta auditoría, cache = resultado guardado de una consulta anterior
+        const describeSource = (data) => {
+            if (!data?.source) return 'N/A';
+            if (data.source === 'cache') return `Cache (${new Date(data.cachedAt).toLocaleString('es-ES')})`;
+            if (data.source === 'unavailable') return `No disponible${data.reason ? ` - ${data.reason}` : ''}`;
+            return 'PageSpeed Insights (en vivo)';
+        };
+
         return `
             <h4>Métricas de Core Web Vitals y Performance</h4>
             <div class="table-responsive">
@@ -635,12 +686,115 @@ export class ReportGenerator {
                         ${createMetricRow('Cumulative Layout Shift (CLS)', getMetricValue(psi.mobile, 'coreWebVitals.cls.displayValue'), getMetricValue(psi.desktop, 'coreWebVitals.cls.displayValue'))}
                         ${createMetricRow('Interaction to Next Paint (INP)', getMetricValue(psi.mobile, 'detailedMetrics.inp.displayValue'), getMetricValue(psi.desktop, 'detailedMetrics.inp.displayValue'))}
                         ${createMetricRow('Time to First Byte (TTFB)', getMetricValue(psi.mobile, 'detailedMetrics.ttfb.displayValue'), getMetricValue(psi.desktop, 'detailedMetrics.ttfb.displayValue'))}
+                        ${createMetricRow('Origen de los datos', describeSource(psi.mobile), describeSource(psi.desktop))}
                     </tbody>
                 </table>
             </div>
         `;
     }
 
+    _generateFieldDataSection() {
+        const categoryIcons = { good: '🟢', 'needs-improvement': '🟠', poor: '🔴' };
+        const metricNames = { lcp: 'LCP', inp: 'INP', cls: 'CLS', fcp: 'FCP', ttfb: 'TTFB' };
+        const cwvStatus = (field) => {
+            if (field.coreWebVitals === 'passed') return '✅ Aprueba';
+            if (field.coreWebVitals === 'failed') return `❌ No aprueba (${field.failingMetrics.map(metric => metricNames[metric]).join(', ')})`;
+            return '❓ Datos insuficientes';
+        };
+        const distribution = (dist) => `🟢 ${dist.good}% · 🟠 ${dist.needsImprovement}% · 🔴 ${dist.poor}%`;
+
+        // Site-wide: estado de Core Web Vitals en campo por página (datos móviles, los que usa Google)
+        if (this.results.auditType === 'site-wide') {
+            const pages = (this.results.pageAnalyses || []).filter(p => p.pagespeedInsights?.mobile?.fieldData);
+            if (pages.length === 0) {
+                return '';
+            }
+            const failing = pages.filter(p => (p.pagespeedInsights.mobile.fieldData.url || p.pagespeedInsights.mobile.fieldData.origin).coreWebVitals === 'failed');
+
+            return `
+                <h4>👥 Datos de Campo (CrUX) por Página</h4>
+                <p>${failing.length} de ${pages.length} páginas con datos de usuarios reales no aprueban Core Web Vitals (p75, móvil).</p>
+                <div class="table-responsive">
+                    <table class="detailed-table">
+                        <thead>
+                            <tr>
+                                <th>Página</th>
+                                <th>Nivel</th>
+                                <th>LCP (p75)</th>
+                                <th>INP (p75)</th>
+                                <th>CLS (p75)</th>
+                                <th>Core Web Vitals</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pages.map(p => {
+                                const fieldData = p.pagespeedInsights.mobile.fieldData;
+                                const field = fieldData.url || fieldData.origin;
+                                const cell = (metric, unit) => {
+                                    const value = field.metrics[metric];
+                                    return value ? `${categoryIcons[value.category]} ${MetricsHelper.formatMetricValue(value.p75, unit, metric)}` : 'N/A';
+                                };
+                                return `
+                                    <tr class="${field.coreWebVitals === 'failed' ? 'severity-high' : ''}">
+                                        <td>${p.url}</td>
+                                        <td>${fieldData.url ? 'URL' : 'Origen'}</td>
+                                        <td>${cell('lcp', 'ms')}</td>
+                                        <td>${cell('inp', 'ms')}</td>
+                                        <td>${cell('cls', 'score')}</td>
+                                        <td>${cwvStatus(field)}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        const psi = this.results.pagespeedInsights;
+        const strategies = [['mobile', '📱 Móvil'], ['desktop', '🖥️ Desktop']].filter(([strategy]) => psi?.[strategy]?.fieldData);
+        if (strategies.length === 0) {
+            return '';
+        }
+
+        return `
+            <h4>👥 Laboratorio vs Campo (usuarios reales, CrUX)</h4>
+            ${strategies.map(([strategy, label]) => {
+                const fieldData = psi[strategy].fieldData;
+                const field = fieldData.url || fieldData.origin;
+                const rows = MetricsHelper.createLabFieldComparison(psi[strategy]);
+
+                return `
+                    <p><strong>${label}</strong> · Core Web Vitals en campo: ${cwvStatus(field)}
+                    ${fieldData.url ? '' : '<em>(sin datos suficientes para la URL: se muestran los del origen)</em>'}
+                    ${fieldData.url && fieldData.origin ? ` · Origen: ${cwvStatus(fieldData.origin)}` : ''}</p>
+                    <div class="table-responsive">
+                        <table class="detailed-table">
+                            <thead>
+                                <tr>
+                                    <th>Métrica</th>
+                                    <th>Laboratorio</th>
+                                    <th>Campo (p75)</th>
+                                    <th>Distribución (bueno · mejorable · pobre)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map(row => `
+                                    <tr>
+                                        <td>${row.metric}</td>
+                                        <td>${row.lab.display}</td>
+                                        <td>${row.field ? `${categoryIcons[row.field.category]} ${row.field.display}` : 'N/A'}</td>
+                                        <td>${row.field ? distribution(row.field.distribution) : 'N/A'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
     _generateVulnerabilityTable() {
         const vulnerabilityAnalysis = this.results.vulnerabilityAnalysis || {};
         const vulns = vulnerabilityAnalysis.detected || [];
@@ -775,6 +929,61 @@ export class ReportGenerator {
         `;
     }
 
+    _generateMixedContentSection() {
+        const mixedContent = this.results.mixedContent;
+        if (!mixedContent || mixedContent.pagesAnalyzed === 0) {
+            return '<p>No se analizó contenido mixto (el sitio no se sirve por HTTPS).</p>';
+        }
+
+        if (mixedContent.affectedPages === 0) {
+            return `<p>✅ Ninguna de las ${mixedContent.pagesAnalyzed} páginas HTTPS analizadas carga recursos por HTTP.</p>`;
+        }
+
+        const renderFindings = (findings) => findings.length === 0 ? '-' :
+            findings.map(finding => `<code>${finding.url}</code> <small>(${finding.type})</small>`).join('<br>');
+
+        return `
+            <div class="mixed-content-section">
+                <p>Páginas HTTPS que cargan recursos por <code>http://</code>. El contenido <strong>activo</strong> (scripts, CSS, iframes, fuentes) lo bloquea el navegador y puede romper la página; el <strong>pasivo</strong> (imágenes, audio, video) se muestra con advertencia de sitio no seguro.</p>
+                <div class="vulnerability-stats">
+                    <div class="stat-card critical">
+                        <div class="stat-number">${mixedContent.activeCount}</div>
+                        <div class="stat-label">Recursos activos</div>
+                    </div>
+                    <div class="stat-card medium">
+                        <div class="stat-number">${mixedContent.passiveCount}</div>
+                        <div class="stat-label">Recursos pasivos</div>
+                    </div>
+                    <div class="stat-card high">
+                        <div class="stat-number">${mixedContent.affectedPages}/${mixedContent.pagesAnalyzed}</div>
+                        <div class="stat-label">Páginas afectadas</div>
+                    </div>
+                </div>
+
+                <div class="table-responsive">
+                    <table class="detailed-table">
+                        <thead>
+                            <tr>
+                                <th>Página</th>
+                                <th>Activo (bloqueado)</th>
+                                <th>Pasivo (advertencia)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${mixedContent.pages.map(page => `
+                                <tr class="${this._getSeverityClass(page.activeCount > 0 ? 'CRITICAL' : 'MEDIUM')}">
+                                    <td><strong>${page.url}</strong></td>
+                                    <td>${renderFindings(page.active)}</td>
+                                    <td>${renderFindings(page.passive)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
     _generateTechnologyTable() {
         const technologies = this.results.technologies || {};
 
@@ -965,6 +1174,125 @@ export class ReportGenerator {
         `;
     }
 
+    _generateNetworkWaterfall() {
+        // Single-page: forensics de la URL; site-wide: primera página con análisis forense (la más prioritaria)
+        const waterfall = this.results.forensics?.waterfall ||
+            (this.results.pageAnalyses || []).find(p => p.forensics?.waterfall)?.forensics.waterfall;
+
+        if (!waterfall) {
+            return '';
+        }
+
+        const formatBytes = (bytes) => {
+            if (!bytes) return '0 B';
+            if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+            if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${bytes} B`;
+        };
+        const totalMs = Math.max(waterfall.duration, 1);
+        const percent = (ms) => `${((ms / totalMs) * 100).toFixed(2)}%`;
+
+        // Conexión (DNS+TCP+TLS), espera del servidor y descarga; sin timing de Chrome la barra es de un solo tramo
+        const renderBar = (req) => {
+            const timing = req.timing;
+            const segments = timing ? [
+                ['wf-connect', timing.dns + timing.connect],
+                ['wf-wait', timing.send + timing.wait],
+                ['wf-receive', timing.receive]
+            ] : [['wf-other', req.duration]];
+            const segmentsTotal = Math.max(segments.reduce((sum, [, ms]) => sum + ms, 0), 1);
+
+            return `
+                <div class="waterfall-bar" style="left: ${percent(req.startTime)}; width: ${percent(Math.max(req.duration, 1))}" title="${req.duration}ms">
+                    ${segments.filter(([, ms]) => ms > 0).map(([cls, ms]) => `<span class="${cls}" style="width: ${((ms / segmentsTotal) * 100).toFixed(1)}%"></span>`).join('')}
+                </div>
+            `;
+        };
+
+        return `
+            <h4>🌊 Cascada de Red (Waterfall)</h4>
+            <p>${waterfall.totalRequests} requests, ${formatBytes(waterfall.totalTransferSize)} transferidos (${formatBytes(waterfall.totalSize)} descomprimidos) en ${(waterfall.duration / 1000).toFixed(2)}s.
+            ${waterfall.failedRequests > 0 ? `<strong>${waterfall.failedRequests} requests fallidos.</strong>` : ''}
+            ${waterfall.cachedRequests > 0 ? `${waterfall.cachedRequests} servidos desde caché.` : ''}</p>
+            <div class="waterfall-legend">
+                <span><i class="wf-connect"></i>Conexión (DNS/TCP/TLS)</span>
+                <span><i class="wf-wait"></i>Espera del servidor (TTFB)</span>
+                <span><i class="wf-receive"></i>Descarga</span>
+            </div>
+            <div class="waterfall">
+                ${waterfall.requests.map(req => `
+                    <div class="waterfall-row ${req.failed || req.status >= 400 ? 'failed' : ''}">
+                        <div class="url-cell" title="${req.url}">${req.url.replace(/^https?:\/\/[^/]+/, '') || '/'}</div>
+                        <div>${req.status || (req.failed ? 'Error' : '-')} ${req.protocol || ''}</div>
+                        <div>${req.fromCache ? 'caché' : formatBytes(req.transferSize)}</div>
+                        <div class="waterfall-track">${renderBar(req)}</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${waterfall.requests.length < waterfall.totalRequests ? `<p><em>Se muestran los primeros ${waterfall.requests.length} requests.</em></p>` : ''}
+        `;
+    }
+
+    _generateUserFlowSection() {
+        const flow = this.results.userFlow;
+        if (!flow) {
+            return '';
+        }
+        if (flow.steps.length === 0) {
+            return `<h4>🧭 User Flow${flow.name ? `: ${flow.name}` : ''}</h4><p>No se pudo ejecutar el recorrido: ${flow.error || 'sin pasos'}.</p>`;
+        }
+
+        const modes = { navigation: 'Navegación', timespan: 'Interacción', snapshot: 'Snapshot' };
+        const ms = (value) => (typeof value === 'number' ? `${Math.round(value)} ms` : '-');
+        const cls = (value) => (typeof value === 'number' ? value.toFixed(3) : '-');
+        const score = (value) => (typeof value === 'number' ? `${value}/100` : '-');
+
+        // INP y CLS de las interacciones: umbrales de Core Web Vitals (200 ms / 0.1)
+        const interactions = flow.steps.filter(step => step.mode === 'timespan');
+        const slowInteractions = interactions.filter(step => step.metrics.inp > 200 || step.metrics.cls > 0.1);
+
+        return `
+            <h4>🧭 User Flow: ${flow.name}</h4>
+            <p>${flow.steps.length} pasos (${flow.settings.formFactor}, ${flow.settings.throttling}) en ${(flow.duration / 1000).toFixed(1)}s.
+            ${interactions.length > 0 ? `${slowInteractions.length} de ${interactions.length} interacciones superan INP 200 ms o CLS 0.1.` : ''}
+            ${flow.reportPath ? `Reporte completo de Lighthouse: <code>${flow.reportPath}</code>` : ''}</p>
+            <div class="table-responsive">
+                <table class="detailed-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Paso</th>
+                            <th>Modo</th>
+                            <th>Performance</th>
+                            <th>LCP</th>
+                            <th>TBT</th>
+                            <th>CLS</th>
+                            <th>INP</th>
+                            <th>Accesibilidad</th>
+                            <th>Problemas</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${flow.steps.map(step => `
+                            <tr>
+                                <td>${step.index}</td>
+                                <td title="${step.url || ''}">${step.name}</td>
+                                <td>${modes[step.mode] || step.mode}</td>
+                                <td>${score(step.scores.performance)}</td>
+                                <td>${ms(step.metrics.lcp)}</td>
+                                <td>${ms(step.metrics.tbt)}</td>
+                                <td>${cls(step.metrics.cls)}</td>
+                                <td>${ms(step.metrics.inp)}</td>
+                                <td>${score(step.scores.accessibility)}</td>
+                                <td>${step.failedAuditsCount > 0 ? step.failedAudits.slice(0, 3).map(audit => audit.title).join(', ') + (step.failedAuditsCount > 3 ? ` (+${step.failedAuditsCount - 3})` : '') : 'Ninguno'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     _extractBlockingResourcesFromIssues(issues) {
         // Extract resource URLs from forensics issues evidence
         const resources = [];
@@ -1039,6 +1367,82 @@ export class ReportGenerator {
         `;
     }
 
+    _generateAuthenticationNote() {
+        const auth = this.results.authentication;
+        if (!auth) {
+            return '';
+        }
+
+        const methods = [
+            auth.login ? `login en ${auth.login.url}` : null,
+            auth.basicAuth ? `HTTP basic (${auth.basicAuth.username})` : null,
+            auth.cookies.length > 0 ? `${auth.cookies.length} cookies` : null,
+            auth.headers.length > 0 ? `headers ${auth.headers.join(', ')}` : null
+        ].filter(Boolean);
+
+        return `<p><strong>Acceso autenticado:</strong> <span class="highlight">${methods.join(' · ')}</span> (credenciales omitidas del informe)</p>`;
+    }
+
+    _generateRenderingDiff() {
+        const renderedPages = this.results.auditType === 'site-wide' ?
+            (this.results.pageAnalyses || []).filter(p => p.rendering?.comparison).map(p => ({ url: p.url, ...p.rendering })) :
+            (this.results.rendering?.comparison ? [{ url: this.results.url, ...this.results.rendering }] : []);
+
+        if (renderedPages.length === 0) {
+            return '';
+        }
+
+        const labels = {
+            title: 'Title',
+            metaDescription: 'Meta description',
+            h1: 'H1',
+            canonical: 'Canonical',
+            metaRobots: 'Meta robots',
+            links: 'Enlaces',
+            wordCount: 'Palabras',
+            structuredData: 'JSON-LD'
+        };
+        const formatValue = (value) => {
+            if (value === null || value === undefined) return '<em>ausente</em>';
+            if (Array.isArray(value)) return value.length > 0 ? value.join(' | ') : '<em>ausente</em>';
+            return String(value);
+        };
+
+        return `
+            <h4>🧩 HTML crudo vs DOM renderizado (JavaScript)</h4>
+            <p>Elementos SEO críticos tal como los ve un crawler sin JavaScript frente a la página renderizada en Chrome. Lo que solo aparece tras ejecutar JS puede indexarse tarde o no indexarse.</p>
+            ${renderedPages.map(page => {
+                const changed = page.comparison.elements.filter(entry => entry.changed);
+                return `
+                <div class="table-responsive">
+                    <h5>${page.url} ${page.comparison.status === 'good' ? '✅' : page.comparison.status === 'warning' ? '⚠️' : '❌'}
+                        <small>(render ${(page.renderTime / 1000).toFixed(1)}s${page.comparison.contentDependsOnJS ? ', contenido dependiente de JS' : ''})</small></h5>
+                    ${changed.length === 0 ? '<p>Sin diferencias entre el HTML crudo y el renderizado.</p>' : `
+                    <table class="detailed-table">
+                        <thead>
+                            <tr>
+                                <th>Elemento</th>
+                                <th>HTML crudo</th>
+                                <th>Renderizado</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${changed.map(entry => `
+                                <tr class="${entry.missingInRaw ? 'severity-high' : ''}">
+                                    <td>${labels[entry.element] || entry.element}</td>
+                                    <td>${formatValue(entry.raw)}</td>
+                                    <td>${formatValue(entry.rendered)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    `}
+                </div>
+            `;
+            }).join('')}
+        `;
+    }
+
     _generateUnusedBundlesAnalysis() {
         // Get Lighthouse audit data for unused JavaScript and CSS
         let unusedJsData = null;
@@ -2209,6 +2613,16 @@ export class ReportGenerator {
 
     .highlight { background: #e2e8f0; padding: 0.2rem 0.5rem; border-radius: 5px; font-weight: bold; }
     .url-cell { word-break: break-all; }
+    .waterfall { font-size: 0.8rem; border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; }
+    .waterfall-row { display: grid; grid-template-columns: 34% 8% 8% 50%; align-items: center; border-bottom: 1px solid #f1f5f9; }
+    .waterfall-row > div { padding: 2px 6px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .waterfall-row.failed { background: #fef2f2; }
+    .waterfall-track { position: relative; height: 14px; }
+    .waterfall-bar { position: absolute; top: 2px; height: 10px; display: flex; min-width: 2px; }
+    .waterfall-bar span { height: 100%; }
+    .wf-connect { background: #f59e0b; } .wf-wait { background: #10b981; } .wf-receive { background: #3b82f6; } .wf-other { background: #cbd5e1; }
+    .waterfall-legend span { display: inline-block; margin-right: 12px; }
+    .waterfall-legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; vertical-align: middle; }
 
     .table-responsive { overflow-x: auto; }
     .detailed-table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
@@ -2569,6 +2983,7 @@ export class ReportGenerator {
         <div style="background: #f8f9fa; border-radius: 8px; padding: 2rem; margin-bottom: 2rem;">
             <p><strong>Sitio auditado:</strong> <a href="${this.results.url}" target="_blank" class="highlight">${this.results.url}</a></p>
             <p><strong>Fecha de auditoría:</strong> <span class="highlight">${new Date(this.results.timestamp).toLocaleDateString('es-ES')}</span></p>
+            ${this._generateAuthenticationNote()}
             <p><strong>Puntuación general:</strong> <span class="highlight">${averageScore}/100</span></p>
             <p><strong>Páginas con problemas críticos:</strong> <span class="highlight">${criticalPages}</span></p>
             <p><strong>Impacto de negocio estimado:</strong> <span class="highlight">$${monthlyImpact.toLocaleString()} de ingresos adicionales mensuales</span></p>
@@ -2623,6 +3038,8 @@ export class ReportGenerator {
         <h3>Performance y Core Web Vitals</h3>
         ${this._generateDetailedPerformanceMetrics()}
 
+        ${this._generateFieldDataSection()}
+
         ${this._generateCalculatedImpacts()}
 
         ${this._generateUnusedBundlesAnalysis()}
@@ -2632,14 +3049,23 @@ export class ReportGenerator {
         <h3>Análisis Forense</h3>
         ${this._generateForensicsDetails()}
 
+        ${this._generateNetworkWaterfall()}
+
+        ${this._generateUserFlowSection()}
+
         <h3>Análisis de SEO Técnico</h3>
         ${this._generateSeoDetails()}
+
+        ${this._generateRenderingDiff()}
     </div>
 
     <!-- Seguridad -->
     <div id="seguridad" class="tab-content section">
         <h2>Auditoría de Seguridad</h2>
         ${this._generateVulnerabilityTable()}
+
+        <h3>Contenido Mixto (HTTP en páginas HTTPS)</h3>
+        ${this._generateMixedContentSection()}
     </div>
 
 
@@ -11,14 +11,16 @@ const logger = {
 };
 
 async function runSiteAudit() {
-  const url = process.argv[2];
-  const client = process.argv[3] || 'Default';
-  const maxPages = parseInt(process.argv[4]) || 15;
-  const mode = process.argv[5] || 'gradual';
+  // --warc: evidencia WARC de todas las respuestas junto a los artefactos
+  const warc = process.argv.includes('--warc');
+  const [url, clientArg, maxPagesArg, modeArg] = process.argv.slice(2).filter(arg => arg !== '--warc');
+  const client = clientArg || 'Default';
+  const maxPages = parseInt(maxPagesArg) || 15;
+  const mode = modeArg || 'gradual';
 
   if (!url) {
     console.error('\x1b[31m❌ Error: Debes proporcionar una URL');
-    console.log('\x1b[33m💡 Uso: node src/run-site-audit.js <url> [cliente] [max-pages] [mode]');
+    console.log('\x1b[33m💡 Uso: node src/run-site-audit.js <url> [cliente] [max-pages] [mode] [--warc]');
     console.log('\x1b[36m📖 Ejemplo: node src/run-site-audit.js https://example.com "MiCliente" 20 gradual');
     console.log('\x1b[36m📖 Modos: gradual (recomendado), full, standard, light\x1b[0m');
     process.exit(1);
@@ -36,7 +38,8 @@ async function runSiteAudit() {
     // Ejecutar auditoría site-wide
     await audit.runSiteWideAudit({
       maxPages: maxPages,
-      mode: mode
+      mode: mode,
+      warc
     });
 
     // Generar reportes
@@ -45,6 +48,9 @@ async function runSiteAudit() {
     console.log('\n\x1b[32m✅ Auditoría completada exitosamente!');
     console.log(`📄 Reporte HTML: ${reportPath.html}`);
     console.log(`📋 Reporte JSON: ${reportPath.json}\x1b[0m`);
+    if (audit.results.artifacts?.warc) {
+      console.log(`\x1b[36m🗄️ Evidencia WARC: ${audit.results.artifacts.warc.path}\x1b[0m`);
+    }
 
     // Mostrar resumen
     if (audit.results.siteSummary) {
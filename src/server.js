@@ -4,10 +4,17 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
+import { existsSync, readFileSync, unlinkSync } from 'fs';
+import { resolve } from 'path';
 import { WebAudit } from './audit.js';
 import { AuditStorage } from './storage/audit-storage.js';
 import { QueueManager } from './queue/queue-manager.js';
 import { WebhookManager } from './webhooks/webhook-manager.js';
+import { AuditProgressHub } from './events/audit-progress-hub.js';
+import { HarConverter } from './rendering/har-converter.js';
+import { AuthSession } from './utils/auth-session.js';
+import { LighthouseUserFlow } from './lighthouse-user-flow.js';
+import { ChromePool } from './rendering/chrome-pool.js';
 import { logger } from './utils/logger.js';
 import { config } from './config/index.js';
 
@@ -16,7 +23,8 @@ export class AuditServer {
     this.app = express();
     this.auditStorage = new AuditStorage();
     this.queueManager = new QueueManager();
-    this.webhookManager = new WebhookManager();
+    this.webhookManager = new WebhookManager(this.auditStorage);
+    this.progressHub = new AuditProgressHub();
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -231,8 +239,7 @@ export class AuditServer {
   auditRoutes() {
     const router = express.Router();
 
-    // Middleware to authenticate and check plan limits
-    const authenticateAndCheckLimits = async (req, res, next) => {
+    const authenticate = (req, res, next) => {
       const authHeader = req.headers['authorization'];
       const token = authHeader && authHeader.split(' ')[1];
 
@@ -240,25 +247,37 @@ export class AuditServer {
         return res.status(401).json({ error: 'Access token required' });
       }
 
+      jwt.verify(token, config.jwtSecret, (err, user) => {
+        if (err) {
+          return res.status(403).json({ error: 'Invalid token' });
+        }
+        req.user = user;
+        next();
+      });
+    };
+
+    // Plan limits only gate new audits: reading, streaming and deleting existing ones stays available
+    const checkMonthlyLimit = async (req, res, next) => {
       try {
-        const decoded = jwt.verify(token, config.jwtSecret);
-        req.user = decoded;
+        const user = await this.auditStorage.getUserById(req.user.userId);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
 
-        // Check plan limits
-        const user = await this.auditStorage.getUserById(decoded.userId);
         const planLimits = config.plans[user.plan] || config.plans.free;
-
-        if (user.auditCount >= planLimits.monthlyAudits) {
+        const monthlyAudits = await this.auditStorage.countUserAuditsThisMonth(user.id);
+        if (monthlyAudits >= planLimits.monthlyAudits) {
           return res.status(429).json({
             error: 'Monthly audit limit reached',
             limit: planLimits.monthlyAudits,
-            used: user.auditCount
+            used: monthlyAudits
           });
         }
 
         next();
       } catch (err) {
-        return res.status(403).json({ error: 'Invalid token' });
+        logger.error('Plan limit check error:', err);
+        res.status(500).json({ error: 'Failed to check plan limits' });
       }
     };
 
@@ -285,14 +304,53 @@ export class AuditServer {
     };
 
     // Create audit (async - queue)
-    router.post('/', authenticateAndCheckLimits, async (req, res) => {
+    router.post('/', authenticate, checkMonthlyLimit, async (req, res) => {
       try {
-        const { url, clientName, options } = req.body;
+        const { url, clientName } = req.body;
+        // Artefactos y checkpoints los ubica el servidor, no el cliente; el replay lee archivos locales (solo CLI)
+        const { artifactsDir, artifactId, replay, checkpoint, checkpointDir, checkpointId, ...options } = req.body.options || {};
 
         if (!url) {
           return res.status(400).json({ error: 'URL is required' });
         }
 
+        // El HAR solo se acepta como JSON en el body: una ruta permitiría leer archivos del servidor
+        if (options.har !== undefined && !Array.isArray(options.har?.log?.entries)) {
+          return res.status(400).json({ error: 'options.har must be a HAR object with log.entries' });
+        }
+
+        // La grabación se guarda junto a los artefactos: solo se acepta activarla, no elegir la ruta
+        if (options.record !== undefined && typeof options.record !== 'boolean') {
+          return res.status(400).json({ error: 'options.record must be a boolean' });
+        }
+
+        // Igual que la grabación: el WARC va junto a los artefactos, el cliente no elige la ruta
+        if (options.warc !== undefined && typeof options.warc !== 'boolean') {
+          return res.status(400).json({ error: 'options.warc must be a boolean' });
+        }
+
+        // Igual que el HAR: el user flow va en el body, nunca como ruta
+        if (options.userFlow !== undefined) {
+          if (typeof options.userFlow !== 'object' || options.userFlow === null) {
+            return res.status(400).json({ error: 'options.userFlow must be an object with steps' });
+          }
+          try {
+            LighthouseUserFlow.normalize(options.userFlow, url.startsWith('http') ? url : `https://${url}`);
+          } catch (err) {
+            return res.status(400).json({ error: err.message });
+          }
+        }
+
+        // Las credenciales viajan solo en el job; el registro guarda un resumen sin secretos
+        let authSummary;
+        if (options.auth) {
+          try {
+            authSummary = new AuthSession(options.auth, url.startsWith('http') ? url : `https://${url}`).describe();
+          } catch (err) {
+            return res.status(400).json({ error: `Invalid auth options: ${err.message}` });
+          }
+        }
+
         // Create audit record
         const auditRecord = await this.auditStorage.createAudit({
           userId: req.user.userId,
@@ -300,7 +358,12 @@ export class AuditServer {
           clientName: clientName || 'Default',
           status: 'queued',
           createdAt: new Date(),
-          options: options || {}
+          options: {
+            ...options,
+            har: options.har ? 'imported' : undefined,
+            auth: authSummary,
+            userFlow: options.userFlow ? LighthouseUserFlow.redact(options.userFlow) : undefined
+          }
         });
 
         // Add to queue
@@ -309,9 +372,11 @@ export class AuditServer {
           userId: req.user.userId,
           url,
           clientName: clientName || 'Default',
-          options: options || {}
+          options
         });
 
+        this.progressHub.publish(auditRecord.id, 'audit.queued', { auditId: auditRecord.id, url });
+
         res.status(202).json({
           message: 'Audit queued successfully',
           auditId: auditRecord.id,
@@ -324,8 +389,44 @@ export class AuditServer {
       }
     });
 
+    // EventSource no permite enviar headers: aceptar el token también como query param
+    const tokenFromQuery = (req, res, next) => {
+      if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+      }
+      next();
+    };
+
+    // Stream audit progress (Server-Sent Events)
+    router.get('/:auditId/events', tokenFromQuery, authenticate, async (req, res) => {
+      try {
+        const { auditId } = req.params;
+
+        // Verify ownership
+        const audit = await this.auditStorage.getAuditById(auditId);
+        if (!audit || audit.userId !== req.user.userId) {
+          return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        // Auditoría ya terminada (p. ej. tras un reinicio): emitir solo el evento final
+        if (!this.progressHub.hasStream(auditId) && (audit.status === 'completed' || audit.status === 'failed')) {
+          this.progressHub.finish(auditId, `audit.${audit.status}`, {
+            auditId,
+            status: audit.status,
+            completedAt: audit.completedAt,
+            error: audit.error
+          });
+        }
+
+        this.progressHub.subscribe(auditId, req, res);
+      } catch (err) {
+        logger.error('Audit events stream error:', err);
+        res.status(500).json({ error: 'Failed to stream audit events' });
+      }
+    });
+
     // Get audit status/results
-    router.get('/:auditId', authenticateAndCheckLimits, async (req, res) => {
+    router.get('/:auditId', authenticate, async (req, res) => {
       try {
         const { auditId } = req.params;
 
@@ -351,13 +452,93 @@ export class AuditServer {
       }
     });
 
+    // Download the audit network log as HAR 1.2 (?url= narrows it to one page)
+    router.get('/:auditId/artifacts/har', authenticate, async (req, res) => {
+      try {
+        const { auditId } = req.params;
+
+        // Verify ownership
+        const audit = await this.auditStorage.getAuditById(auditId);
+        if (!audit || audit.userId !== req.user.userId) {
+          return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        const harPath = audit.results?.artifacts?.har?.path;
+        if (!harPath || !existsSync(harPath)) {
+          return res.status(404).json({ error: 'HAR not available for this audit' });
+        }
+
+        if (!req.query.url) {
+          return res.download(resolve(harPath), `audit-${auditId}.har`);
+        }
+
+        const harConverter = new HarConverter();
+        const har = harConverter.filterPage(JSON.parse(readFileSync(harPath, 'utf8')), req.query.url);
+        if (har.log.pages.length === 0) {
+          return res.status(404).json({ error: 'Page not found in HAR' });
+        }
+
+        res.attachment(`audit-${auditId}-page.har`);
+        res.type('application/json').send(JSON.stringify(har));
+      } catch (err) {
+        logger.error('HAR artifact error:', err);
+        res.status(500).json({ error: 'Failed to fetch HAR artifact' });
+      }
+    });
+
+    // Download the record/replay archive of an audit recorded with options.record
+    router.get('/:auditId/artifacts/archive', authenticate, async (req, res) => {
+      try {
+        const { auditId } = req.params;
+
+        // Verify ownership
+        const audit = await this.auditStorage.getAuditById(auditId);
+        if (!audit || audit.userId !== req.user.userId) {
+          return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        const archivePath = audit.results?.artifacts?.archive?.path;
+        if (!archivePath || !existsSync(archivePath)) {
+          return res.status(404).json({ error: 'Archive not available for this audit' });
+        }
+
+        res.download(resolve(archivePath), `audit-${auditId}.archive.json`);
+      } catch (err) {
+        logger.error('Archive artifact error:', err);
+        res.status(500).json({ error: 'Failed to fetch archive artifact' });
+      }
+    });
+
+    // Download the WARC evidence of a site-wide audit run with options.warc
+    router.get('/:auditId/artifacts/warc', authenticate, async (req, res) => {
+      try {
+        const { auditId } = req.params;
+
+        // Verify ownership
+        const audit = await this.auditStorage.getAuditById(auditId);
+        if (!audit || audit.userId !== req.user.userId) {
+          return res.status(404).json({ error: 'Audit not found' });
+        }
+
+        const warcPath = audit.results?.artifacts?.warc?.path;
+        if (!warcPath || !existsSync(warcPath)) {
+          return res.status(404).json({ error: 'WARC not available for this audit' });
+        }
+
+        res.download(resolve(warcPath), `audit-${auditId}${warcPath.endsWith('.gz') ? '.warc.gz' : '.warc'}`);
+      } catch (err) {
+        logger.error('WARC artifact error:', err);
+        res.status(500).json({ error: 'Failed to fetch WARC artifact' });
+      }
+    });
+
     // Get user's audits
-    router.get('/', authenticateAndCheckLimits, async (req, res) => {
+    router.get('/', authenticate, async (req, res) => {
       try {
-        const { page = 1, limit = 10 } = req.query;
+        const { page = 1, limit = 10, url, from, to, status } = req.query;
         const offset = (page - 1) * limit;
 
-        const audits = await this.auditStorage.getUserAudits(req.user.userId, limit, offset);
+        const audits = await this.auditStorage.getUserAudits(req.user.userId, limit, offset, { url, from, to, status });
 
         res.json({
           audits: audits.map(audit => ({
@@ -381,7 +562,7 @@ export class AuditServer {
     });
 
     // Delete audit
-    router.delete('/:auditId', authenticateAndCheckLimits, async (req, res) => {
+    router.delete('/:auditId', authenticate, async (req, res) => {
       try {
         const { auditId } = req.params;
 
@@ -392,6 +573,12 @@ export class AuditServer {
         }
 
         await this.auditStorage.deleteAudit(auditId);
+        const harPath = audit.results?.artifacts?.har?.path;
+        if (harPath && existsSync(harPath)) unlinkSync(harPath);
+        const archivePath = audit.results?.artifacts?.archive?.path;
+        if (archivePath && existsSync(archivePath)) unlinkSync(archivePath);
+        const warcPath = audit.results?.artifacts?.warc?.path;
+        if (warcPath && existsSync(warcPath)) unlinkSync(warcPath);
         res.json({ message: 'Audit deleted successfully' });
       } catch (err) {
         logger.error('Audit deletion error:', err);
@@ -431,6 +618,10 @@ export class AuditServer {
           return res.status(400).json({ error: 'URL and events array are required' });
         }
 
+        if (!events.every(event => typeof event === 'string' && event.trim() !== '')) {
+          return res.status(400).json({ error: 'events must be non-empty strings' });
+        }
+
         const webhook = await this.auditStorage.createWebhook({
           userId: req.user.userId,
           url,
@@ -475,6 +666,31 @@ export class AuditServer {
       }
     });
 
+    // Get webhook delivery log
+    router.get('/:webhookId/deliveries', authenticateToken, async (req, res) => {
+      try {
+        const { webhookId } = req.params;
+        const { limit = 50 } = req.query;
+
+        // Verify ownership
+        const webhook = await this.auditStorage.getWebhookById(webhookId);
+        if (!webhook || webhook.userId !== req.user.userId) {
+          return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const deliveries = await this.auditStorage.getWebhookDeliveries(webhookId, limit);
+        res.json({
+          webhookId,
+          active: webhook.active,
+          failureCount: webhook.failureCount,
+          deliveries
+        });
+      } catch (err) {
+        logger.error('Webhook deliveries fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+      }
+    });
+
     // Delete webhook
     router.delete('/:webhookId', authenticateToken, async (req, res) => {
       try {
@@ -540,6 +756,32 @@ export class AuditServer {
   }
 
   setupQueueProcessor() {
+    this.queueManager.on('auditProgress', async (event) => {
+      const { auditId, userId, ...data } = event;
+
+      try {
+        if (data.type === 'audit.started') {
+          await this.auditStorage.updateAudit(auditId, { status: 'running' });
+        }
+      } catch (err) {
+        logger.error('Queue progress error:', err);
+      }
+
+      // audit.completed se publica como evento terminal cuando los resultados ya están guardados
+      if (data.type !== 'audit.completed') {
+        this.progressHub.publish(auditId, data.type, { auditId, ...data });
+      }
+    });
+
+    this.queueManager.on('auditRetrying', (auditData) => {
+      this.progressHub.publish(auditData.auditId, 'audit.retrying', {
+        auditId: auditData.auditId,
+        error: auditData.error,
+        attempts: auditData.attempts,
+        retryIn: auditData.retryIn
+      });
+    });
+
     this.queueManager.on('auditCompleted', async (auditData) => {
       try {
         // Update audit record
@@ -552,6 +794,12 @@ export class AuditServer {
         // Update user audit count
         await this.auditStorage.incrementUserAuditCount(auditData.userId);
 
+        this.progressHub.finish(auditData.auditId, 'audit.completed', {
+          auditId: auditData.auditId,
+          status: 'completed',
+          duration: auditData.results?.duration
+        });
+
         // Trigger webhooks
         await this.webhookManager.triggerWebhooks(auditData.userId, 'audit.completed', {
           auditId: auditData.auditId,
@@ -574,6 +822,12 @@ export class AuditServer {
           completedAt: new Date()
         });
 
+        this.progressHub.finish(auditData.auditId, 'audit.failed', {
+          auditId: auditData.auditId,
+          status: 'failed',
+          error: auditData.error
+        });
+
         // Trigger webhooks
         await this.webhookManager.triggerWebhooks(auditData.userId, 'audit.failed', {
           auditId: auditData.auditId,
@@ -606,8 +860,10 @@ export class AuditServer {
   }
 
   async stop() {
-    await this.auditStorage.close();
+    this.progressHub.close();
     await this.queueManager.close();
+    await ChromePool.closeAll();
+    await this.auditStorage.close();
     logger.info('AuditServer stopped');
   }
 }
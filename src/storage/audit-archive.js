@@ -0,0 +1,247 @@
+import axios, { AxiosError } from 'axios';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { Readable } from 'stream';
+import { withAxiosMiddleware } from '../utils/axios-middleware.js';
+import { adaptResponse } from '../utils/http-body.js';
+
+const ARCHIVE_VERSION = 1;
+// Parámetros que no identifican el recurso: la API key de PSI no se guarda ni forma parte de la clave
+const IGNORED_PARAMS = ['key'];
+// La ruta de sondeo de soft-404 de PageVerifier es aleatoria en cada ejecución
+const PROBE_PATH = /\/[0-9a-f]{16}-web-audit-404-probe/;
+
+// Archivo activo en el contexto async actual; los requests de axios llegan al archivo como
+// middleware del mismo contexto
+const archiveContext = new AsyncLocalStorage();
+
+// Grabación y replay de una auditoría completa: cada request HTTP saliente (axios) y cada resultado
+// de lo que no pasa por axios (Chrome, Lighthouse, handshakes TLS, timing de sockets) se guarda en un
+// JSON; el replay responde todo desde ese JSON sin tocar la red.
+export class AuditArchive {
+  constructor(options = {}) {
+    this.mode = options.mode; // 'record' | 'replay'
+    this.path = options.path || null;
+    this.redact = options.redact || (value => value);
+    this.data = options.data || {
+      version: ARCHIVE_VERSION,
+      recordedAt: null,
+      startTime: null,
+      url: options.url || null,
+      clientName: options.clientName || null,
+      options: options.auditOptions || {},
+      runOptions: {},
+      exchanges: {},
+      calls: {}
+    };
+    this.counters = new Map(); // clave → próxima ocurrencia a reproducir
+    this.misses = [];
+  }
+
+  static load(path) {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    if (data.version !== ARCHIVE_VERSION || !data.exchanges || !data.calls) {
+      throw new Error(`Archivo de grabación inválido: ${path}`);
+    }
+    return new AuditArchive({ mode: 'replay', path, data });
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  // Reloj de WebAudit durante el replay: el inicio de la grabación
+  get frozenTime() {
+    return this.replaying ? this.data.startTime : undefined;
+  }
+
+  isActive() {
+    return archiveContext.getStore() === this;
+  }
+
+  // Ejecuta `task` con este archivo activo; al terminar una grabación se escribe a disco
+  async run(task) {
+    return archiveContext.run(this, () => withAxiosMiddleware((config, next) => this.handle(config, next), async () => {
+      if (!this.replaying) {
+        this.data.startTime = Date.now();
+        this.data.recordedAt = new Date(this.data.startTime).toISOString();
+      }
+      return task();
+    }));
+  }
+
+  setRunOptions(runOptions) {
+    if (!this.replaying) this.data.runOptions = runOptions;
+    return { ...runOptions, ...this.data.runOptions };
+  }
+
+  save(path = this.path) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(this.redact(this.data)));
+    this.path = path;
+    return this.getStats();
+  }
+
+  getStats() {
+    const count = store => Object.values(store).reduce((sum, entries) => sum + entries.length, 0);
+    return {
+      path: this.path,
+      mode: this.mode,
+      exchanges: count(this.data.exchanges),
+      calls: count(this.data.calls),
+      misses: this.misses.length
+    };
+  }
+
+  requestKey(config) {
+    const url = new URL(axios.getUri(config));
+    IGNORED_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.pathname = url.pathname.replace(PROBE_PATH, '/{probe}');
+
+    const method = (config.method || 'get').toUpperCase();
+    const body = typeof config.data === 'string' ? config.data : config.data ? JSON.stringify(config.data) : '';
+    return `${method} ${url.href}${body ? ` #${createHash('sha256').update(body).digest('hex').slice(0, 16)}` : ''}`;
+  }
+
+  // El mismo request puede repetirse (reintentos, HEAD y luego GET): se reproduce en el orden grabado
+  nextEntry(store, key) {
+    const entries = store[key];
+    if (!entries || entries.length === 0) return null;
+
+    const counterKey = `${store === this.data.calls ? 'call' : 'http'}:${key}`;
+    const index = this.counters.get(counterKey) || 0;
+    this.counters.set(counterKey, index + 1);
+    return entries[Math.min(index, entries.length - 1)];
+  }
+
+  async handle(config, networkAdapter) {
+    const key = this.requestKey(config);
+    return this.replaying ? this.replayExchange(key, config) : this.recordExchange(key, config, networkAdapter);
+  }
+
+  async recordExchange(key, config, networkAdapter) {
+    const entries = this.data.exchanges[key] || (this.data.exchanges[key] = []);
+    try {
+      const response = await networkAdapter(config);
+      entries.push({ response: this.serializeResponse(response) });
+      return response;
+    } catch (error) {
+      entries.push(error.response ?
+        { response: this.serializeResponse(error.response) } :
+        { error: { code: error.code || null, message: error.message } });
+      throw error;
+    }
+  }
+
+  serializeResponse(response) {
+    const { data } = response;
+    let body = null;
+    let encoding = null;
+    if (Buffer.isBuffer(data)) {
+      body = data.toString('base64');
+      encoding = 'base64';
+    } else if (typeof data === 'string') {
+      body = data;
+      encoding = 'utf8';
+    } else if (data && typeof data.pipe !== 'function') {
+      body = data;
+      encoding = 'json';
+    }
+    // Los streams (HEAD/GET de links y redirecciones) se descartan sin leer: solo cuentan status y headers
+
+    return {
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: { ...response.headers },
+      body,
+      encoding,
+      responseUrl: response.request?.res?.responseUrl || null,
+      certificate: this.serializeCertificate(response.request?.socket?.getPeerCertificate?.())
+    };
+  }
+
+  serializeCertificate(certificate) {
+    if (!certificate || Object.keys(certificate).length === 0) return null;
+    const { raw, pubkey, issuerCertificate, ...fields } = certificate;
+    return JSON.parse(JSON.stringify(fields));
+  }
+
+  async replayExchange(key, config) {
+    const entry = this.nextEntry(this.data.exchanges, key);
+    if (!entry) {
+      this.misses.push(key);
+      throw new AxiosError(`Sin respuesta grabada para ${key}`, 'ERR_ARCHIVE_MISS', config);
+    }
+    if (entry.error) {
+      throw new AxiosError(entry.error.message, entry.error.code, config);
+    }
+
+    const recorded = entry.response;
+    const request = {
+      res: { responseUrl: recorded.responseUrl || axios.getUri(config) },
+      socket: recorded.certificate ? { getPeerCertificate: () => recorded.certificate } : {}
+    };
+    let response = {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: recorded.headers,
+      config,
+      request,
+      data: this.deserializeBody(recorded, config)
+    };
+    // Grabado como bytes de red (p. ej. con WARC activo): descomprimir/decodificar para este request
+    if (recorded.encoding === 'base64') response = adaptResponse(response, config);
+
+    // Igual que el adapter HTTP de axios: fuera de validateStatus la respuesta llega como error
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        request,
+        response
+      );
+    }
+    return response;
+  }
+
+  deserializeBody(recorded, config) {
+    if (config.responseType === 'stream') {
+      return Readable.from(recorded.body !== null && recorded.encoding === 'utf8' ? [recorded.body] : []);
+    }
+    if (recorded.encoding === 'base64') return Buffer.from(recorded.body, 'base64');
+    if (config.responseType === 'arraybuffer' && recorded.encoding === 'utf8') return Buffer.from(recorded.body);
+    return recorded.body ?? '';
+  }
+
+  // Resultado de algo que no pasa por axios (Chrome, Lighthouse, TLS...): se graba o se reproduce
+  async call(namespace, key, task) {
+    const callKey = `${namespace} ${key}`;
+
+    if (this.replaying) {
+      const entry = this.nextEntry(this.data.calls, callKey);
+      if (!entry) {
+        this.misses.push(callKey);
+        throw new Error(`Sin resultado grabado para ${callKey}`);
+      }
+      if (entry.error) throw new Error(entry.error);
+      return entry.result;
+    }
+
+    const entries = this.data.calls[callKey] || (this.data.calls[callKey] = []);
+    try {
+      // Copia JSON: grabación y replay devuelven exactamente la misma forma
+      const result = await task();
+      const copy = result === undefined ? null : JSON.parse(JSON.stringify(result));
+      entries.push({ result: copy });
+      return copy;
+    } catch (error) {
+      entries.push({ error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default AuditArchive;
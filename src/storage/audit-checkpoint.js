@@ -0,0 +1,64 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, statSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+// Checkpoint en disco (JSON Lines) de las páginas ya analizadas de una auditoría site-wide.
+// Cada página completada se agrega como una línea; si la auditoría se interrumpe,
+// la siguiente ejecución con la misma clave retoma desde aquí.
+export class AuditCheckpoint {
+  constructor(options = {}) {
+    this.directory = options.directory || './data/checkpoints';
+    this.maxAgeMs = options.maxAgeMs ?? 24 * 60 * 60 * 1000; // Checkpoints más viejos se descartan
+    this.key = options.id || this.buildKey(options.url, options.scope || {});
+    this.path = join(this.directory, `${this.key}.jsonl`);
+  }
+
+  buildKey(url, scope) {
+    return createHash('sha256')
+      .update(JSON.stringify({ url, ...scope }))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  // Devuelve Map url → pageAnalysis de las páginas ya completadas
+  load() {
+    const completed = new Map();
+    if (!existsSync(this.path)) return completed;
+
+    if (Date.now() - statSync(this.path).mtimeMs > this.maxAgeMs) {
+      this.clear();
+      return completed;
+    }
+
+    readFileSync(this.path, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.url && entry.analysis) {
+          completed.set(entry.url, entry.analysis);
+        }
+      } catch (error) {
+        // Línea truncada por una caída a mitad de escritura: se ignora
+      }
+    });
+
+    return completed;
+  }
+
+  save(pageAnalysis) {
+    mkdirSync(this.directory, { recursive: true });
+    appendFileSync(this.path, JSON.stringify({
+      url: pageAnalysis.url,
+      savedAt: new Date().toISOString(),
+      analysis: pageAnalysis
+    }) + '\n');
+  }
+
+  clear() {
+    if (existsSync(this.path)) {
+      unlinkSync(this.path);
+    }
+  }
+}
+
+export default AuditCheckpoint;
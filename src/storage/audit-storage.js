@@ -0,0 +1,472 @@
+import Database from 'better-sqlite3';
+import { randomUUID } from 'crypto';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { migrations } from './migrations.js';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+export class AuditStorage {
+  constructor(options = {}) {
+    const dbConfig = { ...config.database, ...options };
+
+    if (dbConfig.type !== 'sqlite') {
+      throw new Error(`Unsupported database type: ${dbConfig.type}`);
+    }
+
+    const filename = this.resolveFilename(dbConfig.url);
+    if (filename !== ':memory:') {
+      mkdirSync(dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.runMigrations();
+  }
+
+  resolveFilename(url) {
+    if (!url) return ':memory:';
+    // Aceptar tanto rutas planas como URLs del estilo sqlite:./data/audits.db
+    return url.replace(/^sqlite:(\/\/)?/, '');
+  }
+
+  runMigrations() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      const apply = this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      });
+      apply();
+      logger.info(`Applied migration ${migration.version} (${migration.name})`);
+    }
+  }
+
+  // ===== USERS =====
+
+  async createUser(userData) {
+    const user = {
+      id: randomUUID(),
+      email: userData.email,
+      password: userData.password,
+      company: userData.company,
+      plan: userData.plan || 'free',
+      apiKey: userData.apiKey || null,
+      createdAt: this.toISO(userData.createdAt) || new Date().toISOString()
+    };
+
+    this.db.prepare(`
+      INSERT INTO users (id, email, password, company, plan, api_key, created_at)
+      VALUES (@id, @email, @password, @company, @plan, @apiKey, @createdAt)
+    `).run(user);
+
+    return this.getUserById(user.id);
+  }
+
+  async getUserById(userId) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    return this.mapUser(row);
+  }
+
+  async getUserByEmail(email) {
+    const row = this.db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    return this.mapUser(row);
+  }
+
+  async getUserByApiKey(apiKey) {
+    const row = this.db.prepare('SELECT * FROM users WHERE api_key = ?').get(apiKey);
+    return this.mapUser(row);
+  }
+
+  async incrementUserAuditCount(userId) {
+    this.db.prepare(`
+      UPDATE users SET audit_count = audit_count + 1, last_audit_at = ? WHERE id = ?
+    `).run(new Date().toISOString(), userId);
+  }
+
+  // Auditorías del mes natural en curso (UTC) para el límite del plan: audit_count es acumulado y
+  // nunca se reinicia. Las fallidas no consumen cuota
+  async countUserAuditsThisMonth(userId, now = new Date()) {
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS count FROM audits WHERE user_id = ? AND created_at >= ? AND status != 'failed'
+    `).get(userId, monthStart);
+    return row.count;
+  }
+
+  // ===== AUDITS =====
+
+  async createAudit(auditData) {
+    const now = new Date().toISOString();
+    const audit = {
+      id: randomUUID(),
+      userId: auditData.userId,
+      url: auditData.url,
+      clientName: auditData.clientName || 'Default',
+      status: auditData.status || 'queued',
+      options: JSON.stringify(auditData.options || {}),
+      createdAt: this.toISO(auditData.createdAt) || now,
+      updatedAt: now
+    };
+
+    this.db.prepare(`
+      INSERT INTO audits (id, user_id, url, client_name, status, options, created_at, updated_at)
+      VALUES (@id, @userId, @url, @clientName, @status, @options, @createdAt, @updatedAt)
+    `).run(audit);
+
+    return this.getAuditById(audit.id);
+  }
+
+  async getAuditById(auditId) {
+    const row = this.db.prepare('SELECT * FROM audits WHERE id = ?').get(auditId);
+    return this.mapAudit(row);
+  }
+
+  async updateAudit(auditId, updates) {
+    const columns = {
+      status: 'status',
+      results: 'results',
+      error: 'error',
+      completedAt: 'completed_at',
+      options: 'options'
+    };
+
+    const assignments = ['updated_at = @updatedAt'];
+    const params = { id: auditId, updatedAt: new Date().toISOString() };
+
+    Object.entries(updates).forEach(([key, value]) => {
+      const column = columns[key];
+      if (!column) return;
+
+      assignments.push(`${column} = @${key}`);
+      if (key === 'results' || key === 'options') {
+        params[key] = value == null ? null : JSON.stringify(value);
+      } else if (key === 'completedAt') {
+        params[key] = this.toISO(value);
+      } else if (key === 'error') {
+        params[key] = value == null ? null : (value.message || String(value));
+      } else {
+        params[key] = value;
+      }
+    });
+
+    this.db.prepare(`UPDATE audits SET ${assignments.join(', ')} WHERE id = @id`).run(params);
+    return this.getAuditById(auditId);
+  }
+
+  async deleteAudit(auditId) {
+    const info = this.db.prepare('DELETE FROM audits WHERE id = ?').run(auditId);
+    return info.changes > 0;
+  }
+
+  async getUserAudits(userId, limit = 10, offset = 0, filters = {}) {
+    return this.queryAudits({ ...filters, userId, limit, offset });
+  }
+
+  // Consulta de auditorías almacenadas por URL y rango de fechas.
+  // Los resultados (JSON) solo se deserializan si se piden con includeResults.
+  async queryAudits({ userId, url, from, to, status, limit = 50, offset = 0, includeResults = false } = {}) {
+    const where = [];
+    const params = {};
+
+    if (userId) {
+      where.push('user_id = @userId');
+      params.userId = userId;
+    }
+    if (url) {
+      // El auditor normaliza las URLs (https, barra final), así que comparamos ambas variantes
+      where.push('(url = @url OR url = @urlWithSlash OR json_extract(results, \'$.url\') = @url)');
+      params.url = url.replace(/\/$/, '');
+      params.urlWithSlash = `${params.url}/`;
+    }
+    if (from) {
+      where.push('created_at >= @from');
+      params.from = this.toISO(from);
+    }
+    if (to) {
+      where.push('created_at <= @to');
+      params.to = this.toISO(to);
+    }
+    if (status) {
+      where.push('status = @status');
+      params.status = status;
+    }
+
+    params.limit = Math.max(1, parseInt(limit, 10) || 50);
+    params.offset = Math.max(0, parseInt(offset, 10) || 0);
+
+    const columns = includeResults ? '*' : 'id, user_id, url, client_name, status, options, error, created_at, updated_at, completed_at';
+    const rows = this.db.prepare(`
+      SELECT ${columns} FROM audits
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return rows.map(row => this.mapAudit(row));
+  }
+
+  // ===== WEBHOOKS =====
+
+  async createWebhook(webhookData) {
+    const webhook = {
+      id: randomUUID(),
+      userId: webhookData.userId,
+      url: webhookData.url,
+      events: JSON.stringify(webhookData.events || []),
+      secret: webhookData.secret,
+      active: webhookData.active === false ? 0 : 1,
+      createdAt: this.toISO(webhookData.createdAt) || new Date().toISOString()
+    };
+
+    this.db.prepare(`
+      INSERT INTO webhooks (id, user_id, url, events, secret, active, created_at)
+      VALUES (@id, @userId, @url, @events, @secret, @active, @createdAt)
+    `).run(webhook);
+
+    return this.getWebhookById(webhook.id);
+  }
+
+  async getWebhookById(webhookId) {
+    const row = this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId);
+    return this.mapWebhook(row);
+  }
+
+  async getUserWebhooks(userId) {
+    const rows = this.db.prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC').all(userId);
+    return rows.map(row => this.mapWebhook(row));
+  }
+
+  async updateWebhook(webhookId, updates) {
+    const columns = {
+      active: 'active',
+      failureCount: 'failure_count',
+      lastTriggered: 'last_triggered'
+    };
+
+    const assignments = [];
+    const params = { id: webhookId };
+
+    Object.entries(updates).forEach(([key, value]) => {
+      const column = columns[key];
+      if (!column) return;
+
+      assignments.push(`${column} = @${key}`);
+      if (key === 'active') {
+        params[key] = value ? 1 : 0;
+      } else if (key === 'lastTriggered') {
+        params[key] = this.toISO(value);
+      } else {
+        params[key] = value;
+      }
+    });
+
+    if (assignments.length > 0) {
+      this.db.prepare(`UPDATE webhooks SET ${assignments.join(', ')} WHERE id = @id`).run(params);
+    }
+    return this.getWebhookById(webhookId);
+  }
+
+  // Incremento atómico: entregas concurrentes que fallan no se pisan el contador
+  async incrementWebhookFailures(webhookId) {
+    const row = this.db.prepare(`
+      UPDATE webhooks SET failure_count = failure_count + 1, last_triggered = ? WHERE id = ? RETURNING failure_count
+    `).get(new Date().toISOString(), webhookId);
+    return row ? row.failure_count : null;
+  }
+
+  async deleteWebhook(webhookId) {
+    const info = this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhookId);
+    return info.changes > 0;
+  }
+
+  async recordWebhookDelivery(delivery) {
+    this.db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, delivery_id, event, attempt, success, status_code, error, duration_ms, created_at)
+      VALUES (@webhookId, @deliveryId, @event, @attempt, @success, @statusCode, @error, @durationMs, @createdAt)
+    `).run({
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      attempt: delivery.attempt,
+      success: delivery.success ? 1 : 0,
+      statusCode: delivery.statusCode ?? null,
+      error: delivery.error ?? null,
+      durationMs: delivery.durationMs ?? null,
+      createdAt: this.toISO(delivery.createdAt) || new Date().toISOString()
+    });
+  }
+
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    const rows = this.db.prepare(`
+      SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+    `).all(webhookId, Math.max(1, parseInt(limit, 10) || 50));
+
+    return rows.map(row => ({
+      deliveryId: row.delivery_id,
+      event: row.event,
+      attempt: row.attempt,
+      success: row.success === 1,
+      statusCode: row.status_code,
+      error: row.error,
+      durationMs: row.duration_ms,
+      createdAt: row.created_at
+    }));
+  }
+
+  // ===== ANALYTICS =====
+
+  async getUserAnalytics(userId) {
+    const monthStart = new Date();
+    monthStart.setUTCDate(1);
+    monthStart.setUTCHours(0, 0, 0, 0);
+
+    const totals = this.db.prepare(`
+      SELECT
+        COUNT(*) AS totalAudits,
+        SUM(CASE WHEN created_at >= ? THEN 1 ELSE 0 END) AS auditsThisMonth
+      FROM audits WHERE user_id = ?
+    `).get(monthStart.toISOString(), userId);
+
+    // Puntuación: site-wide usa siteSummary, auditoría simple usa el resumen de PSI
+    const scoredAudits = this.db.prepare(`
+      SELECT
+        url,
+        completed_at AS completedAt,
+        COALESCE(
+          json_extract(results, '$.siteSummary.averageScore'),
+          json_extract(results, '$.pagespeedInsights.summary.averageScore')
+        ) AS score,
+        json_extract(results, '$.siteRecommendations') AS siteRecommendations,
+        json_extract(results, '$.actionableRecommendations') AS actionableRecommendations
+      FROM audits
+      WHERE user_id = ? AND status = 'completed' AND results IS NOT NULL
+      ORDER BY completed_at DESC
+      LIMIT 100
+    `).all(userId);
+
+    const numericScores = scoredAudits.filter(audit => typeof audit.score === 'number');
+    const averageScore = numericScores.length > 0 ?
+      Math.round(numericScores.reduce((sum, audit) => sum + audit.score, 0) / numericScores.length) : 0;
+
+    const issueCount = {};
+    scoredAudits.forEach(audit => {
+      const recommendations = [
+        ...this.parseJSON(audit.siteRecommendations, []),
+        ...this.parseJSON(audit.actionableRecommendations, [])
+      ];
+      recommendations.forEach(rec => {
+        if (!rec?.category) return;
+        issueCount[rec.category] = (issueCount[rec.category] || 0) + 1;
+      });
+    });
+
+    const topIssues = Object.entries(issueCount)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 5)
+      .map(([category, count]) => ({ category, count }));
+
+    const performanceTrend = numericScores
+      .slice(0, 30)
+      .reverse()
+      .map(audit => ({ date: audit.completedAt, url: audit.url, score: audit.score }));
+
+    return {
+      totalAudits: totals.totalAudits || 0,
+      auditsThisMonth: totals.auditsThisMonth || 0,
+      averageScore,
+      topIssues,
+      performanceTrend
+    };
+  }
+
+  async close() {
+    if (this.db?.open) {
+      this.db.close();
+    }
+  }
+
+  // ===== HELPERS =====
+
+  mapUser(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      email: row.email,
+      password: row.password,
+      company: row.company,
+      plan: row.plan,
+      apiKey: row.api_key,
+      auditCount: row.audit_count,
+      lastAuditAt: row.last_audit_at,
+      createdAt: row.created_at
+    };
+  }
+
+  mapAudit(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      url: row.url,
+      clientName: row.client_name,
+      status: row.status,
+      options: this.parseJSON(row.options, {}),
+      results: row.results === undefined ? undefined : this.parseJSON(row.results, null),
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  mapWebhook(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      url: row.url,
+      events: this.parseJSON(row.events, []),
+      secret: row.secret,
+      active: row.active === 1,
+      failureCount: row.failure_count,
+      lastTriggered: row.last_triggered,
+      createdAt: row.created_at
+    };
+  }
+
+  parseJSON(value, fallback) {
+    if (value == null) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  toISO(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+export default AuditStorage;
@@ -0,0 +1,74 @@
+// Migraciones del esquema SQLite. Cada migración se aplica una sola vez y en orden;
+// nunca modificar una migración ya publicada, agregar una nueva al final.
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        company TEXT NOT NULL,
+        plan TEXT NOT NULL DEFAULT 'free',
+        api_key TEXT UNIQUE,
+        audit_count INTEGER NOT NULL DEFAULT 0,
+        last_audit_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE audits (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        client_name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        options TEXT NOT NULL DEFAULT '{}',
+        results TEXT,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+
+      CREATE INDEX idx_audits_user_created ON audits(user_id, created_at DESC);
+      CREATE INDEX idx_audits_url_created ON audits(url, created_at DESC);
+
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        failure_count INTEGER NOT NULL DEFAULT 0,
+        last_triggered TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_webhooks_user ON webhooks(user_id);
+    `
+  },
+  {
+    version: 2,
+    name: 'webhook-deliveries',
+    up: `
+      CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        delivery_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        success INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+    `
+  }
+];
+
+export default migrations;
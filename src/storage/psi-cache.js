@@ -0,0 +1,78 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+// Cache en disco de resultados de PageSpeed Insights: un archivo JSON por URL + estrategia + categorías.
+// Un mismo sitio auditado varias veces en el día no vuelve a gastar cuota de la API.
+export class PsiCache {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.PSI_CACHE_DIR || './data/psi-cache';
+    this.ttlMs = options.ttlMs ?? (Number(process.env.PSI_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.enabled = options.enabled ?? process.env.PSI_CACHE !== 'false';
+  }
+
+  buildKey(url, strategy, categories = []) {
+    return createHash('sha256')
+      .update(JSON.stringify({ url, strategy, categories: [...categories].sort() }))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  pathFor(key) {
+    return join(this.directory, `${key}.json`);
+  }
+
+  // Devuelve { result, cachedAt } o null si no existe, expiró o está corrupto
+  get(key) {
+    if (!this.enabled) return null;
+    const path = this.pathFor(key);
+    if (!existsSync(path)) return null;
+
+    try {
+      const entry = JSON.parse(readFileSync(path, 'utf8'));
+      if (Date.now() - Date.parse(entry.cachedAt) > this.ttlMs) {
+        unlinkSync(path);
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      // Archivo truncado por una caída a mitad de escritura
+      return null;
+    }
+  }
+
+  set(key, result) {
+    if (!this.enabled) return;
+    try {
+      mkdirSync(this.directory, { recursive: true });
+      // Escritura atómica: otro proceso nunca lee un JSON a medias
+      const tmpPath = `${this.pathFor(key)}.${process.pid}.tmp`;
+      writeFileSync(tmpPath, JSON.stringify({ cachedAt: new Date().toISOString(), result }));
+      renameSync(tmpPath, this.pathFor(key));
+    } catch (error) {
+      console.warn(`⚠️ No se pudo guardar en cache el resultado PSI: ${error.message}`);
+    }
+  }
+
+  // Borra las entradas expiradas (o todas con `all`)
+  prune(all = false) {
+    if (!existsSync(this.directory)) return 0;
+    let removed = 0;
+
+    readdirSync(this.directory).filter(file => file.endsWith('.json')).forEach(file => {
+      const path = join(this.directory, file);
+      try {
+        const { cachedAt } = JSON.parse(readFileSync(path, 'utf8'));
+        if (!all && Date.now() - Date.parse(cachedAt) <= this.ttlMs) return;
+      } catch (error) {
+        // Corrupto: se borra
+      }
+      unlinkSync(path);
+      removed++;
+    });
+
+    return removed;
+  }
+}
+
+export default PsiCache;
@@ -0,0 +1,159 @@
+import { readFileSync } from 'fs';
+import { gunzipSync } from 'zlib';
+import { adaptResponse } from '../utils/http-body.js';
+import { warcDigest } from './warc-writer.js';
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+function parseFields(text) {
+  const fields = {};
+  text.split('\r\n').filter(Boolean).forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    // Headers repetidos (Set-Cookie) quedan como array, igual que en axios
+    fields[name] = name in fields ? [].concat(fields[name], value) : value;
+  });
+  return fields;
+}
+
+// Lector de los WARC escritos por WarcWriter (o cualquier WARC 1.0/1.1, .warc o .warc.gz):
+// devuelve las respuestas tal como las vio la auditoría para volver a analizarlas
+export class WarcReader {
+  constructor(records = []) {
+    this.records = records;
+  }
+
+  static open(path) {
+    let data = readFileSync(path);
+    // gunzip procesa todos los miembros concatenados (un registro por miembro)
+    if (data[0] === 0x1f && data[1] === 0x8b) data = gunzipSync(data);
+    return new WarcReader(WarcReader.parse(data));
+  }
+
+  static parse(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      // Separadores entre registros
+      while (offset < buffer.length && (buffer[offset] === 0x0d || buffer[offset] === 0x0a)) offset++;
+      if (offset >= buffer.length) break;
+
+      const headerEnd = buffer.indexOf(HEADER_END, offset);
+      if (headerEnd === -1) throw new Error(`WARC inválido: registro sin cabecera completa en el byte ${offset}`);
+
+      const [versionLine, ...lines] = buffer.subarray(offset, headerEnd).toString('utf8').split('\r\n');
+      if (!versionLine.startsWith('WARC/')) throw new Error(`WARC inválido: se esperaba "WARC/" en el byte ${offset}`);
+
+      const headers = parseFields(lines.join('\r\n'));
+      const length = parseInt(headers['content-length'], 10) || 0;
+      const blockStart = headerEnd + HEADER_END.length;
+
+      records.push({
+        version: versionLine,
+        type: headers['warc-type'],
+        id: headers['warc-record-id'],
+        date: headers['warc-date'],
+        uri: headers['warc-target-uri'] || null,
+        headers,
+        block: buffer.subarray(blockStart, blockStart + length)
+      });
+      offset = blockStart + length;
+    }
+
+    return records;
+  }
+
+  get info() {
+    const warcinfo = this.records.find(record => record.type === 'warcinfo');
+    return warcinfo ? parseFields(warcinfo.block.toString('utf8')) : {};
+  }
+
+  // Respuestas HTTP con status, headers y cuerpo (Buffer) ya separados
+  responses() {
+    if (this.parsedResponses) return this.parsedResponses;
+
+    const methods = new Map(this.records
+      .filter(record => record.type === 'request' && record.headers['warc-concurrent-to'])
+      .map(record => [record.headers['warc-concurrent-to'], record.block.toString('utf8', 0, 16).split(' ')[0]]));
+    const certificates = new Map(this.records
+      .filter(record => record.type === 'metadata' && record.headers['warc-concurrent-to'])
+      .map(record => [record.headers['warc-concurrent-to'], JSON.parse(record.block.toString('utf8')).certificate || null]));
+
+    this.parsedResponses = this.records
+      .filter(record => record.type === 'response' && /application\/http/.test(record.headers['content-type'] || ''))
+      .map(record => {
+        const headerEnd = record.block.indexOf(HEADER_END);
+        const head = record.block.subarray(0, headerEnd === -1 ? record.block.length : headerEnd).toString('utf8');
+        const [statusLine, ...lines] = head.split('\r\n');
+        const [, httpVersion, status, statusText] = statusLine.match(/^HTTP\/(\S+)\s+(\d{3})\s*(.*)$/) || [];
+
+        return {
+          id: record.id,
+          method: methods.get(record.id) || null,
+          url: record.uri,
+          requestedUrl: record.headers['warc-audit-requested-uri'] || record.uri,
+          date: record.date,
+          httpVersion: httpVersion || null,
+          status: status ? parseInt(status, 10) : null,
+          statusText: statusText || '',
+          headers: parseFields(lines.join('\r\n')),
+          body: headerEnd === -1 ? Buffer.alloc(0) : record.block.subarray(headerEnd + HEADER_END.length),
+          truncated: Boolean(record.headers['warc-truncated']),
+          certificate: certificates.get(record.id) || null
+        };
+      });
+    return this.parsedResponses;
+  }
+
+  // Última respuesta completa (GET con cuerpo, no HEAD ni stream) para una URL pedida o final
+  getResponse(url) {
+    const matches = this.responses().filter(response => response.url === url || response.requestedUrl === url);
+    return [...matches].reverse().find(response => !response.truncated && response.method !== 'HEAD') || matches[0] || null;
+  }
+
+  // Resumen que escribe WebAudit al final (tipo de auditoría, modo render, páginas)
+  get audit() {
+    const record = this.records.find(entry => entry.type === 'metadata' && !entry.headers['warc-concurrent-to']);
+    return record ? JSON.parse(record.block.toString('utf8')) : null;
+  }
+
+  // Páginas auditadas o, si el WARC no trae el resumen de la auditoría, todas las respuestas HTML
+  pages() {
+    if (Array.isArray(this.audit?.pages)) return this.audit.pages;
+    return this.responses()
+      .filter(response => !response.truncated && /text\/html/.test(response.headers['content-type'] || ''))
+      .map(response => ({ url: response.requestedUrl }));
+  }
+
+  // Misma forma que WebAudit.fetchPageSnapshot (+ DOM renderizado si se guardó): entrada de los analizadores
+  getPageSnapshot(url) {
+    const response = this.getResponse(url);
+    if (!response) return null;
+
+    const rendered = this.records.filter(record => record.type === 'conversion' && record.uri === url).pop();
+    // El payload está tal como llegó (gzip/br): se decodifica igual que lo hizo axios en la auditoría
+    const { data, headers } = adaptResponse({ data: response.body, headers: response.headers }, { responseType: 'text' });
+    return {
+      url,
+      finalUrl: response.url,
+      status: response.status,
+      headers: headers.toJSON(),
+      html: response.status < 400 ? data : '',
+      renderedHtml: rendered ? rendered.block.toString('utf8') : null,
+      certificate: response.certificate,
+      capturedAt: response.date
+    };
+  }
+
+  // Registros cuyo WARC-Block-Digest no coincide con el contenido (archivo alterado o corrupto)
+  verify() {
+    return this.records
+      .filter(record => record.headers['warc-block-digest']?.startsWith('sha1:') && record.headers['warc-block-digest'] !== warcDigest(record.block))
+      .map(record => ({ id: record.id, type: record.type, uri: record.uri }));
+  }
+}
+
+export default WarcReader;
@@ -0,0 +1,233 @@
+import axios from 'axios';
+import { createHash, randomUUID } from 'crypto';
+import { appendFileSync, mkdirSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { gzipSync } from 'zlib';
+import { withAxiosMiddleware } from '../utils/axios-middleware.js';
+import { adaptResponse } from '../utils/http-body.js';
+
+const WARC_VERSION = 'WARC/1.0';
+const SOFTWARE = 'web-audit-disconnect/1.0.0';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// La API key de PSI no debe quedar en las URIs del WARC
+const IGNORED_PARAMS = ['key'];
+
+function base32(buffer) {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+// Digest en el formato habitual de los WARC (sha1 en base32)
+export function warcDigest(buffer) {
+  return `sha1:${base32(createHash('sha1').update(buffer).digest())}`;
+}
+
+function warcDate(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Archivo WARC (ISO 28500) con todas las respuestas HTTP que vio una auditoría: HTML, headers y
+// assets exactamente como llegaron, para poder demostrar (y re-analizar) cada hallazgo.
+// Cada registro va en su propio miembro gzip (.warc.gz estándar, legible por warcio/pywb).
+export class WarcWriter {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.gzip = options.gzip ?? this.path.endsWith('.gz');
+    this.redact = options.redact || (value => value);
+    this.records = 0;
+    this.responses = 0;
+    this.bytes = 0;
+
+    mkdirSync(dirname(this.path), { recursive: true });
+    writeFileSync(this.path, '');
+  }
+
+  // Ejecuta `task` capturando cada respuesta de axios en el WARC. El cuerpo se pide como bytes sin
+  // descomprimir (el payload real, con su Content-Encoding) y se convierte después a lo que pidió el caller
+  capture(task) {
+    return withAxiosMiddleware(async (config, next) => {
+      const wireConfig = config.responseType === 'stream' ? config : { ...config, responseType: 'arraybuffer', decompress: false };
+      try {
+        const response = await next(wireConfig);
+        this.writeExchange(config, response);
+        return wireConfig === config ? response : adaptResponse(response, config);
+      } catch (error) {
+        if (error.response) {
+          this.writeExchange(config, error.response);
+          if (wireConfig !== config) error.response = adaptResponse(error.response, config);
+          error.config = config;
+        }
+        throw error;
+      }
+    }, task);
+  }
+
+  writeRecord(type, fields, block = Buffer.alloc(0)) {
+    const recordId = `<urn:uuid:${randomUUID()}>`;
+    const headers = {
+      'WARC-Type': type,
+      'WARC-Record-ID': recordId,
+      'WARC-Date': warcDate(),
+      ...fields,
+      'WARC-Block-Digest': warcDigest(block),
+      'Content-Length': block.length
+    };
+    const head = Object.entries(headers)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join('');
+    const record = Buffer.concat([Buffer.from(`${WARC_VERSION}\r\n${head}\r\n`), block, Buffer.from('\r\n\r\n')]);
+    const output = this.gzip ? gzipSync(record) : record;
+
+    appendFileSync(this.path, output);
+    this.records++;
+    this.bytes += output.length;
+    return recordId;
+  }
+
+  writeWarcinfo(info = {}) {
+    const fields = { software: SOFTWARE, format: 'WARC File Format 1.0', ...info };
+    const block = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join('');
+    return this.writeRecord('warcinfo', { 'Content-Type': 'application/warc-fields' }, Buffer.from(block));
+  }
+
+  // Respuesta + request que la originó (+ certificado TLS como metadata si lo hubo)
+  writeExchange(config, response) {
+    try {
+      const requestedUri = this.cleanUri(axios.getUri(config));
+      const targetUri = this.cleanUri(response.request?.res?.responseUrl || requestedUri);
+      const method = (config.method || 'get').toUpperCase();
+      const body = this.bodyBuffer(response.data);
+      const httpVersion = response.request?.res?.httpVersion || '1.1';
+
+      const headerBlock = this.httpHeaders(
+        `HTTP/${httpVersion} ${response.status} ${response.statusText || ''}`.trim(),
+        this.responseHeaders(response.headers, body, method)
+      );
+      const responseId = this.writeRecord('response', {
+        'WARC-Target-URI': targetUri,
+        'WARC-Audit-Requested-URI': requestedUri !== targetUri ? requestedUri : undefined,
+        'WARC-Payload-Digest': body ? warcDigest(body) : undefined,
+        // Streams (HEAD/GET de links y redirecciones): solo status y headers, el cuerpo no se leyó
+        'WARC-Truncated': body ? undefined : 'unspecified',
+        'Content-Type': 'application/http;msgtype=response'
+      }, Buffer.concat([headerBlock, body || Buffer.alloc(0)]));
+      this.responses++;
+
+      const { pathname, search, host } = new URL(targetUri);
+      const requestBody = this.bodyBuffer(config.data) || Buffer.alloc(0);
+      this.writeRecord('request', {
+        'WARC-Target-URI': targetUri,
+        'WARC-Concurrent-To': responseId,
+        'Content-Type': 'application/http;msgtype=request'
+      }, Buffer.concat([
+        this.httpHeaders(`${method} ${pathname}${search} HTTP/${httpVersion}`, { Host: host, ...this.redact(this.plainHeaders(config.headers)) }),
+        requestBody
+      ]));
+
+      const certificate = this.describeCertificate(response.request?.socket?.getPeerCertificate?.());
+      if (certificate) {
+        this.writeMetadata(targetUri, { certificate }, responseId);
+      }
+      return responseId;
+    } catch (error) {
+      // El WARC es evidencia complementaria: un registro que no se pudo escribir no rompe la auditoría
+      console.warn(`⚠️ No se pudo escribir en el WARC: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Versión derivada de una respuesta (DOM renderizado en Chrome)
+  writeConversion(uri, content, contentType = 'text/html; charset=utf-8') {
+    return this.writeRecord('conversion', { 'WARC-Target-URI': this.cleanUri(uri), 'Content-Type': contentType }, Buffer.from(content));
+  }
+
+  writeMetadata(uri, data, concurrentTo = null) {
+    return this.writeRecord('metadata', {
+      'WARC-Target-URI': this.cleanUri(uri),
+      'WARC-Concurrent-To': concurrentTo || undefined,
+      'Content-Type': 'application/json'
+    }, Buffer.from(JSON.stringify(this.redact(data))));
+  }
+
+  cleanUri(uri) {
+    try {
+      const url = new URL(uri);
+      IGNORED_PARAMS.forEach(param => url.searchParams.delete(param));
+      return url.href;
+    } catch (error) {
+      return uri;
+    }
+  }
+
+  bodyBuffer(data) {
+    if (data === undefined || data === null) return null;
+    if (typeof data.pipe === 'function') return null;
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    return Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  plainHeaders(headers) {
+    const plain = headers?.toJSON ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain).filter(([, value]) => value !== undefined && value !== null && value !== false));
+  }
+
+  // El cuerpo se guarda sin el framing chunked: los headers que ya no corresponden se conservan con
+  // prefijo X-Archive-Orig- (convención de pywb) y Content-Length es el del cuerpo guardado
+  responseHeaders(headers, body, method) {
+    const plain = this.redact(this.plainHeaders(headers));
+    if (!body || method === 'HEAD') return plain;
+
+    const adjusted = {};
+    Object.entries(plain).forEach(([name, value]) => {
+      const lower = name.toLowerCase();
+      if (lower === 'transfer-encoding' || (lower === 'content-length' && Number(value) !== body.length)) {
+        adjusted[`x-archive-orig-${lower}`] = value;
+        return;
+      }
+      adjusted[name] = value;
+    });
+    adjusted['content-length'] = body.length;
+    return adjusted;
+  }
+
+  httpHeaders(startLine, headers) {
+    const lines = Object.entries(headers).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [value]).map(item => `${name}: ${String(item).replace(/[\r\n]+/g, ' ')}\r\n`));
+    return Buffer.from(`${startLine}\r\n${lines.join('')}\r\n`);
+  }
+
+  describeCertificate(certificate) {
+    if (!certificate || Object.keys(certificate).length === 0) return null;
+    return {
+      subject: certificate.subject || null,
+      issuer: certificate.issuer || null,
+      subjectaltname: certificate.subjectaltname || null,
+      valid_from: certificate.valid_from || null,
+      valid_to: certificate.valid_to || null,
+      serialNumber: certificate.serialNumber || null,
+      fingerprint256: certificate.fingerprint256 || null
+    };
+  }
+
+  getStats() {
+    return { path: this.path, records: this.records, responses: this.responses, bytes: this.bytes };
+  }
+}
+
+export default WarcWriter;
@@ -0,0 +1,234 @@
+export const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SENSITIVE_KEYS = ['password', 'secret', 'token', 'apikey', 'api_key'];
+export const REDACTED = '[REDACTED]';
+
+// Credenciales de una auditoría autenticada: headers extra, cookies, HTTP basic auth y login
+// scripteado en Chrome. Solo se envían a los hosts del sitio auditado (nunca a enlaces externos).
+export class AuthSession {
+  constructor(options = {}, baseUrl) {
+    this.headers = options.headers || {};
+    this.cookies = this.parseCookies(options.cookies, baseUrl);
+    this.basicAuth = options.basicAuth?.username ? options.basicAuth : null;
+    this.login = options.login ? this.normalizeLogin(options.login) : null;
+    this.hosts = [new URL(baseUrl).hostname, ...(options.domains || [])].map(host => this.stripWww(host.toLowerCase()));
+    this.secrets = new Set();
+
+    Object.values(this.headers).forEach(value => this.addSecret(value));
+    this.cookies.forEach(cookie => this.addSecret(cookie.value));
+    if (this.basicAuth) {
+      this.addSecret(this.basicAuth.password);
+      this.addSecret(this.basicToken());
+    }
+    this.login?.steps.filter(step => step.secret).forEach(step => this.addSecret(step.value));
+  }
+
+  get enabled() {
+    return Object.keys(this.headers).length > 0 || this.cookies.length > 0 || Boolean(this.basicAuth) || Boolean(this.login);
+  }
+
+  // Acepta "a=1; b=2" o [{ name, value, domain?, path? }]; sin domain, la cookie es del host auditado
+  parseCookies(cookies, baseUrl) {
+    if (!cookies) return [];
+    const list = typeof cookies === 'string' ?
+      cookies.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const index = pair.indexOf('=');
+        return { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+      }) :
+      cookies;
+
+    const host = new URL(baseUrl).hostname;
+    return list
+      .filter(cookie => cookie?.name)
+      .map(cookie => ({ name: cookie.name, value: String(cookie.value ?? ''), domain: cookie.domain || host, path: cookie.path || '/' }));
+  }
+
+  // Forma corta { url, username, password, usernameSelector, passwordSelector, submitSelector } → pasos
+  normalizeLogin(login) {
+    const steps = login.steps ? login.steps.map(step => ({ ...step })) : [
+      { action: 'fill', selector: login.usernameSelector || 'input[type="email"], input[name="username"], input[name="email"]', value: login.username },
+      { action: 'fill', selector: login.passwordSelector || 'input[type="password"]', value: login.password, secret: true },
+      { action: 'click', selector: login.submitSelector || 'button[type="submit"], input[type="submit"]', waitForNavigation: true }
+    ];
+    // Lo que se escribe en un campo password siempre es secreto
+    steps.forEach(step => {
+      if (step.action === 'fill' && /password/i.test(step.selector || '')) step.secret = true;
+    });
+
+    return { url: login.url, steps, successSelector: login.successSelector || null, timeout: login.timeout || 30000 };
+  }
+
+  stripWww(hostname) {
+    return hostname.replace(/^www\./, '');
+  }
+
+  inScope(url) {
+    try {
+      const host = this.stripWww(new URL(url).hostname.toLowerCase());
+      return this.hosts.some(scope => host === scope || host.endsWith(`.${scope}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  basicToken() {
+    return Buffer.from(`${this.basicAuth.username}:${this.basicAuth.password ?? ''}`).toString('base64');
+  }
+
+  // Headers para un request HTTP (axios/http): vacío fuera del sitio auditado
+  headersFor(url) {
+    if (!this.enabled || !this.inScope(url)) return {};
+
+    const headers = { ...this.headers };
+    if (this.basicAuth) headers.Authorization = `Basic ${this.basicToken()}`;
+    const cookie = this.cookieHeader(url);
+    if (cookie) headers.Cookie = cookie;
+    return headers;
+  }
+
+  cookieHeader(url) {
+    const { hostname, pathname } = new URL(url);
+    return this.cookies
+      .filter(cookie => {
+        const domain = cookie.domain.replace(/^\./, '');
+        return (hostname === domain || hostname.endsWith(`.${domain}`)) && pathname.startsWith(cookie.path);
+      })
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  // Pestaña de Chrome (renderer, login, Lighthouse): cookies en el navegador (scope por dominio) y
+  // headers extra + basic auth por interceptación (Fetch de CDP), solo en requests al sitio auditado
+  async applyToPage(page) {
+    if (!this.enabled) return;
+
+    if (this.cookies.length > 0) {
+      await page.setCookie(...this.cookies);
+    }
+
+    const headers = { ...this.headers };
+    if (this.basicAuth) headers.Authorization = `Basic ${this.basicToken()}`;
+    if (Object.keys(headers).length > 0) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+        const requestHeaders = this.inScope(request.url()) ? { ...request.headers(), ...headers } : request.headers();
+        request.continue({ headers: requestHeaders }).catch(() => {});
+      });
+    }
+  }
+
+  // Login scripteado en Chrome: la sesión resultante (cookies) se reutiliza en crawling, análisis y Lighthouse
+  async performLogin(browser) {
+    if (!this.login) return null;
+
+    const page = await browser.newPage();
+    try {
+      await this.applyToPage(page);
+      await page.goto(this.login.url, { waitUntil: 'networkidle2', timeout: this.login.timeout });
+
+      for (const step of this.login.steps) {
+        await this.runStep(page, step);
+      }
+
+      if (this.login.successSelector) {
+        await page.waitForSelector(this.login.successSelector, { timeout: this.login.timeout });
+      }
+
+      const client = await page.target().createCDPSession();
+      const { cookies } = await client.send('Network.getAllCookies');
+      const sessionCookies = cookies.filter(cookie => this.inScope(`https://${cookie.domain.replace(/^\./, '')}`));
+      sessionCookies.forEach(cookie => {
+        this.cookies = this.cookies.filter(existing => !(existing.name === cookie.name && existing.domain === cookie.domain));
+        this.cookies.push({ name: cookie.name, value: cookie.value, domain: cookie.domain, path: cookie.path || '/' });
+        this.addSecret(cookie.value);
+      });
+
+      return { loggedIn: true, finalUrl: page.url(), cookies: sessionCookies.map(cookie => cookie.name) };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async runStep(page, step) {
+    const timeout = step.timeout || this.login.timeout;
+    const navigation = step.waitForNavigation ?
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout }) : null;
+
+    switch (step.action) {
+      case 'fill':
+        await page.waitForSelector(step.selector, { timeout });
+        await page.$eval(step.selector, el => { el.value = ''; });
+        await page.type(step.selector, String(step.value ?? ''));
+        break;
+      case 'click':
+        await page.waitForSelector(step.selector, { timeout });
+        await page.click(step.selector);
+        break;
+      case 'select':
+        await page.select(step.selector, String(step.value));
+        break;
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'networkidle2', timeout });
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { timeout });
+        break;
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, step.ms || 1000));
+        break;
+      default:
+        throw new Error(`Paso de login desconocido: ${step.action}`);
+    }
+
+    await navigation;
+  }
+
+  addSecret(value) {
+    // Valores muy cortos reemplazarían texto legítimo por todo el resultado
+    if (typeof value === 'string' && value.length >= 6) this.secrets.add(value);
+  }
+
+  // Copia del valor con credenciales reemplazadas: secretos conocidos en cualquier string
+  // y valores de headers/campos sensibles (Set-Cookie de sesiones nuevas, tokens en HAR)
+  redact(value) {
+    if (!this.enabled) return value;
+    const secrets = [...this.secrets].sort((a, b) => b.length - a.length);
+
+    const walk = (node, key = '') => {
+      if (typeof node === 'string') {
+        if (this.isSensitiveKey(key)) return REDACTED;
+        return secrets.reduce((text, secret) => (text.includes(secret) ? text.split(secret).join(REDACTED) : text), node);
+      }
+      if (Array.isArray(node)) return node.map(item => walk(item, key));
+      if (node && typeof node === 'object' && node.constructor === Object) {
+        // Headers en formato HAR: { name, value }
+        if (typeof node.name === 'string' && 'value' in node && SENSITIVE_HEADERS.includes(node.name.toLowerCase())) {
+          return { ...node, value: REDACTED };
+        }
+        return Object.fromEntries(Object.entries(node).map(([childKey, child]) => [childKey, walk(child, childKey)]));
+      }
+      return node;
+    };
+
+    return walk(value);
+  }
+
+  isSensitiveKey(key) {
+    const normalized = key.toLowerCase();
+    return SENSITIVE_HEADERS.includes(normalized) || SENSITIVE_KEYS.includes(normalized);
+  }
+
+  // Resumen sin secretos para guardar en resultados y reportes
+  describe() {
+    if (!this.enabled) return null;
+    return {
+      headers: Object.keys(this.headers),
+      cookies: this.cookies.map(cookie => cookie.name),
+      basicAuth: this.basicAuth ? { username: this.basicAuth.username } : null,
+      login: this.login ? { url: this.login.url, steps: this.login.steps.length } : null,
+      scope: this.hosts
+    };
+  }
+}
+
+export default AuthSession;
@@ -0,0 +1,29 @@
+import axios from 'axios';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Middlewares activos en el contexto async actual: solo los requests de la auditoría que los
+// registró pasan por ellos, aunque el servidor ejecute otras auditorías en paralelo
+const middlewareContext = new AsyncLocalStorage();
+let adapterInstalled = false;
+
+// Un único adapter global de axios: encadena los middlewares del contexto (el último registrado
+// envuelve a los anteriores) y termina en el adapter de red original
+function installAdapter() {
+  if (adapterInstalled) return;
+  adapterInstalled = true;
+
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+  axios.defaults.adapter = config => {
+    const middlewares = middlewareContext.getStore() || [];
+    const chain = middlewares.reduce((next, middleware) => requestConfig => middleware(requestConfig, next), networkAdapter);
+    return chain(config);
+  };
+}
+
+// Ejecuta `task` con `middleware(config, next)` interceptando cada request de axios
+export function withAxiosMiddleware(middleware, task) {
+  installAdapter();
+  return middlewareContext.run([...(middlewareContext.getStore() || []), middleware], task);
+}
+
+export default withAxiosMiddleware;
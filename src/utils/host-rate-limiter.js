@@ -0,0 +1,61 @@
+import { performance } from 'perf_hooks';
+
+// Limitador por host: como máximo `concurrency` requests simultáneos por hostname
+// y al menos `delayMs` entre el inicio de dos requests al mismo host.
+// Los intervalos se miden con el reloj monótono: el reloj de pared puede estar congelado (replay)
+export class HostRateLimiter {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.delayMs = options.delayMs ?? 500;
+    this.hosts = new Map();
+  }
+
+  getHostState(url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = 'invalid';
+    }
+
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, lastStart: 0, waiters: [] });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Permite ajustar el delay de un host en caliente (p. ej. Crawl-delay de robots.txt)
+  setHostDelay(url, delayMs) {
+    this.getHostState(url).delayMs = delayMs;
+  }
+
+  async schedule(url, task) {
+    const state = this.getHostState(url);
+    await this.acquire(state);
+
+    try {
+      return await task();
+    } finally {
+      state.active--;
+      const next = state.waiters.shift();
+      if (next) next();
+    }
+  }
+
+  async acquire(state) {
+    while (state.active >= this.concurrency) {
+      await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+
+    const delay = state.delayMs ?? this.delayMs;
+    const now = performance.now();
+    const wait = state.lastStart + delay - now;
+    state.lastStart = Math.max(now, state.lastStart + delay);
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+export default HostRateLimiter;
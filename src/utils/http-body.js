@@ -0,0 +1,61 @@
+import { AxiosError, AxiosHeaders } from 'axios';
+import zlib from 'zlib';
+
+// Mismos Content-Encoding que descomprime el adapter HTTP de axios
+const DECODERS = {
+  gzip: zlib.unzipSync,
+  'x-gzip': zlib.unzipSync,
+  compress: zlib.unzipSync,
+  'x-compress': zlib.unzipSync,
+  // Hay servidores que mandan deflate "crudo", sin cabecera zlib
+  deflate: (buffer, options) => {
+    try {
+      return zlib.unzipSync(buffer, options);
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+      return zlib.inflateRawSync(buffer, options);
+    }
+  },
+  br: zlib.brotliDecompressSync,
+  ...(typeof zlib.zstdDecompressSync === 'function' && { zstd: zlib.zstdDecompressSync })
+};
+
+// Cuerpo sin Content-Encoding; maxLength acota lo descomprimido (un gzip pequeño puede expandirse a GBs)
+export function decodeContent(buffer, encoding, maxLength = -1) {
+  const decode = DECODERS[String(encoding || '').toLowerCase()];
+  if (!decode || buffer.length === 0) return buffer;
+  return decode(buffer, maxLength > 0 ? { maxOutputLength: maxLength } : {});
+}
+
+// Respuesta pedida con { responseType: 'arraybuffer', decompress: false } (bytes tal como llegaron)
+// convertida a lo que el adapter de axios habría entregado con `config`: descomprimida, sin
+// Content-Encoding y como texto salvo que se pidiera arraybuffer
+export function adaptResponse(response, config) {
+  if (!Buffer.isBuffer(response.data)) return { ...response, config };
+
+  const headers = new AxiosHeaders(response.headers);
+  let data = response.data;
+  const encoding = headers.get('content-encoding');
+
+  if (config.decompress !== false && encoding && (DECODERS[String(encoding).toLowerCase()] || data.length === 0)) {
+    try {
+      data = decodeContent(data, encoding, config.maxContentLength);
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE' ?
+        new AxiosError(`maxContentLength size of ${config.maxContentLength} exceeded`, AxiosError.ERR_BAD_RESPONSE, config, response.request, response) :
+        AxiosError.from(error, null, config, response.request, response);
+    }
+    headers.delete('content-encoding');
+  }
+
+  if (config.responseType !== 'arraybuffer') {
+    data = data.toString(config.responseEncoding);
+    if ((!config.responseEncoding || config.responseEncoding === 'utf8') && data.charCodeAt(0) === 0xfeff) {
+      data = data.slice(1);
+    }
+  }
+
+  return { ...response, config, headers, data };
+}
+
+export default adaptResponse;
@@ -0,0 +1,20 @@
+import { config } from '../config/index.js';
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const shouldLog = (level) => {
+  const threshold = LEVELS[config.logLevel] ?? LEVELS.info;
+  return LEVELS[level] <= threshold;
+};
+
+const format = (tag, color, msg) => `\x1b[${color}m[${tag}]\x1b[0m ${new Date().toISOString()}: ${msg}`;
+
+export const logger = {
+  info: (msg, ...args) => shouldLog('info') && console.log(format('INFO', 36, msg), ...args),
+  error: (msg, ...args) => shouldLog('error') && console.error(format('ERROR', 31, msg), ...args),
+  warn: (msg, ...args) => shouldLog('warn') && console.warn(format('WARN', 33, msg), ...args),
+  success: (msg, ...args) => shouldLog('info') && console.log(format('OK', 32, msg), ...args),
+  debug: (msg, ...args) => shouldLog('debug') && console.log(format('DEBUG', 90, msg), ...args)
+};
+
+export default logger;
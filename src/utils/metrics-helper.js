@@ -18,6 +18,14 @@ export class MetricsHelper {
         poor: 300,
         category: 'core-web-vitals'
       },
+      inp: {
+        name: 'Interaction to Next Paint',
+        description: 'Mide la latencia de las interacciones del usuario durante toda la visita',
+        unit: 'ms',
+        good: 200,
+        poor: 500,
+        category: 'core-web-vitals'
+      },
       cls: {
         name: 'Cumulative Layout Shift',
         description: 'Mide la estabilidad visual del layout durante la carga',
@@ -356,6 +364,43 @@ export class MetricsHelper {
     });
   }
 
+  // Laboratorio (Lighthouse en PSI) vs campo (p75 de CrUX) para una estrategia.
+  // INP no tiene valor de laboratorio en una navegación: se muestra TBT como proxy
+  static createLabFieldComparison(strategyResults) {
+    const fieldData = strategyResults?.fieldData;
+    if (!fieldData) return [];
+    const field = fieldData.url || fieldData.origin;
+    const metrics = [
+      { key: 'lcp', name: 'Largest Contentful Paint', unit: 'ms' },
+      { key: 'inp', name: 'Interaction to Next Paint', unit: 'ms', labKey: 'tbt' },
+      { key: 'cls', name: 'Cumulative Layout Shift', unit: 'score' },
+      { key: 'fcp', name: 'First Contentful Paint', unit: 'ms' },
+      { key: 'ttfb', name: 'Time to First Byte', unit: 'ms' }
+    ];
+
+    return metrics.map(metric => {
+      const labKey = metric.labKey || metric.key;
+      const labValue = this.getMetricValue(strategyResults, labKey);
+      const fieldMetric = field.metrics[metric.key] || null;
+
+      return {
+        key: metric.key,
+        metric: metric.name,
+        lab: {
+          value: labValue,
+          display: `${this.formatMetricValue(labValue, metric.unit, labKey)}${metric.labKey ? ` (${metric.labKey.toUpperCase()})` : ''}`
+        },
+        field: fieldMetric ? {
+          value: fieldMetric.p75,
+          display: this.formatMetricValue(fieldMetric.p75, metric.unit, metric.key),
+          category: fieldMetric.category,
+          distribution: fieldMetric.distribution
+        } : null,
+        level: fieldData.url ? 'url' : 'origin'
+      };
+    });
+  }
+
   static calculateDifference(mobileValue, desktopValue, unit) {
     // Handle "n/d" values
     if (mobileValue === 'n/d' || desktopValue === 'n/d' ||
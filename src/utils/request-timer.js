@@ -0,0 +1,148 @@
+import http from 'http';
+import https from 'https';
+import { performance } from 'perf_hooks';
+import { AUDIT_USER_AGENT } from '../discovery/robots-txt.js';
+
+const PHASES = ['redirect', 'dns', 'tcp', 'tls', 'ttfb', 'download', 'total'];
+
+// Mide cada fase de un request a nivel de socket (DNS, TCP, TLS, espera del servidor, descarga).
+// Cada muestra abre una conexión nueva (sin keep-alive) para que las fases no salgan en cero.
+export class RequestTimer {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 8000;
+    this.samples = options.samples || 3;
+    this.maxRedirects = options.maxRedirects ?? 5;
+    this.limiter = options.limiter || null;
+    this.userAgent = options.userAgent || AUDIT_USER_AGENT;
+    this.auth = options.auth || null;
+  }
+
+  // Varias muestras secuenciales (en paralelo competirían entre sí) con mediana y p95 por fase
+  async measureSamples(url, samples = this.samples) {
+    const results = [];
+    const errors = [];
+
+    for (let i = 0; i < samples; i++) {
+      try {
+        const sample = this.limiter ?
+          await this.limiter.schedule(url, () => this.measure(url)) :
+          await this.measure(url);
+        results.push(sample);
+      } catch (error) {
+        errors.push(error.code || error.message);
+      }
+    }
+
+    return {
+      url,
+      finalUrl: results[results.length - 1]?.url || url,
+      statusCode: results[results.length - 1]?.statusCode ?? null,
+      samples: results,
+      successfulSamples: results.length,
+      errors,
+      median: results.length > 0 ? this.aggregate(results, 50) : null,
+      p95: results.length > 0 ? this.aggregate(results, 95) : null
+    };
+  }
+
+  // Sigue redirecciones: las fases son las del request final, `redirect` acumula los saltos previos
+  // y `total` incluye ambos
+  async measure(url) {
+    let current = url;
+    let redirectTime = 0;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      const timing = await this.measureRequest(current);
+      if (timing.statusCode >= 300 && timing.statusCode < 400 && timing.location) {
+        redirectTime += timing.total;
+        current = new URL(timing.location, current).href;
+        continue;
+      }
+
+      const { location, ...phases } = timing;
+      return {
+        ...phases,
+        redirect: Math.round(redirectTime),
+        total: Math.round(redirectTime + phases.total),
+        url: current,
+        redirects: hop
+      };
+    }
+
+    throw Object.assign(new Error(`Más de ${this.maxRedirects} redirecciones`), { code: 'TOO_MANY_REDIRECTS' });
+  }
+
+  measureRequest(url) {
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(url);
+      const transport = urlObj.protocol === 'https:' ? https : http;
+      const marks = { start: performance.now() };
+
+      const req = transport.request(urlObj, {
+        method: 'GET',
+        agent: false, // Conexión nueva por muestra
+        rejectUnauthorized: false, // La validez del certificado la evalúa checkSSL
+        timeout: this.timeout,
+        headers: { 'User-Agent': this.userAgent, 'Accept-Encoding': 'gzip, deflate, br', ...this.auth?.headersFor(url) }
+      });
+
+      req.once('socket', socket => {
+        socket.once('lookup', () => { marks.lookup = performance.now(); });
+        socket.once('connect', () => { marks.connect = performance.now(); });
+        socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+      });
+
+      req.once('response', res => {
+        // 'response' se emite con los headers parseados: es el primer byte útil
+        marks.firstByte = performance.now();
+        let bytes = 0;
+        res.on('data', chunk => { bytes += chunk.length; });
+        res.once('end', () => {
+          marks.end = performance.now();
+          resolve({ ...this.computePhases(marks), statusCode: res.statusCode, bytes, location: res.headers.location || null });
+        });
+        res.once('error', reject);
+      });
+
+      req.once('timeout', () => {
+        req.destroy(Object.assign(new Error(`Timeout midiendo ${url}`), { code: 'ETIMEDOUT' }));
+      });
+      req.once('error', reject);
+      req.end();
+    });
+  }
+
+  // ttfb = espera del servidor (conexión lista → headers), como el server-response-time de Lighthouse.
+  // Con IPs no hay 'lookup' y sin TLS no hay 'secureConnect': esas fases valen 0
+  computePhases(marks) {
+    const lookup = marks.lookup ?? marks.start;
+    const connect = marks.connect ?? lookup;
+    const secureConnect = marks.secureConnect ?? connect;
+    const round = value => Math.max(0, Math.round(value));
+
+    return {
+      dns: round(lookup - marks.start),
+      tcp: round(connect - lookup),
+      tls: round(secureConnect - connect),
+      ttfb: round(marks.firstByte - secureConnect),
+      download: round(marks.end - marks.firstByte),
+      total: round(marks.end - marks.start)
+    };
+  }
+
+  aggregate(samples, percentile) {
+    return Object.fromEntries(PHASES.map(phase => [
+      phase,
+      this.percentile(samples.map(sample => sample[phase]), percentile)
+    ]));
+  }
+
+  // Percentil por rango más cercano (con pocas muestras p95 = el peor valor)
+  percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+  }
+}
+
+export default RequestTimer;
@@ -0,0 +1,54 @@
+import { performance } from 'perf_hooks';
+
+// Limitador de ventana deslizante: como máximo `maxRequests` inicios de tarea cada `windowMs`.
+// Es la forma de las cuotas de APIs como PSI ("N queries por minuto"), a diferencia del
+// HostRateLimiter, que espacia requests a un mismo host.
+export class WindowRateLimiter {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 60;
+    this.windowMs = options.windowMs || 60 * 1000;
+    this.starts = [];
+    this.queue = Promise.resolve();
+  }
+
+  async schedule(task) {
+    await this.acquire();
+    return task();
+  }
+
+  // Las esperas se encadenan para respetar el orden de llegada
+  acquire() {
+    const slot = this.queue.then(() => this.waitForSlot());
+    this.queue = slot.catch(() => {});
+    return slot;
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      const now = performance.now();
+      this.starts = this.starts.filter(start => now - start < this.windowMs);
+      if (this.starts.length < this.maxRequests) {
+        this.starts.push(now);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.starts[0] + this.windowMs - now));
+    }
+  }
+
+  // La API avisó que excedimos la cuota (429): no iniciar nada más hasta que pase `delayMs`
+  pause(delayMs) {
+    const until = performance.now() + delayMs;
+    this.starts = Array.from({ length: this.maxRequests }, () => until - this.windowMs);
+  }
+
+  getStats() {
+    const now = performance.now();
+    return {
+      maxRequests: this.maxRequests,
+      windowMs: this.windowMs,
+      inWindow: this.starts.filter(start => now - start < this.windowMs).length
+    };
+  }
+}
+
+export default WindowRateLimiter;
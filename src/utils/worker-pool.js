@@ -0,0 +1,35 @@
+// Pool mínimo de workers: procesa `items` con como máximo `concurrency` tareas en paralelo
+// y devuelve los resultados en el mismo orden que la entrada. Si un worker falla, los demás dejan de
+// tomar items y el error se propaga cuando todos terminaron (nada sigue corriendo por detrás).
+export class WorkerPool {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+  }
+
+  async run(items, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    const runWorker = async () => {
+      while (!failed && nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, runWorker);
+    const outcomes = await Promise.allSettled(workers);
+    const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+    if (rejected) throw rejected.reason;
+
+    return results;
+  }
+}
+
+export default WorkerPool;
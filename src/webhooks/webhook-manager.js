@@ -0,0 +1,139 @@
+import axios from 'axios';
+import { createHmac, randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+export class WebhookManager {
+  constructor(auditStorage, options = {}) {
+    this.auditStorage = auditStorage;
+    this.options = { ...config.webhooks, ...options };
+  }
+
+  async triggerWebhooks(userId, event, payload) {
+    const webhooks = await this.auditStorage.getUserWebhooks(userId);
+    const subscribed = webhooks.filter(webhook => webhook.active && this.isSubscribed(webhook, event));
+
+    if (subscribed.length === 0) {
+      return [];
+    }
+
+    return Promise.all(subscribed.map(webhook => this.deliver(webhook, event, payload)));
+  }
+
+  isSubscribed(webhook, event) {
+    const events = webhook.events || [];
+    return events.includes('*') || events.includes(event) ||
+      // Comodines por prefijo: 'audit.*' recibe audit.completed y audit.failed
+      // (eventos no-string guardados antes de validar el alta se ignoran)
+      events.some(pattern => typeof pattern === 'string' && pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1)));
+  }
+
+  async deliver(webhook, event, payload) {
+    const deliveryId = randomUUID();
+    const body = JSON.stringify({
+      id: deliveryId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: payload
+    });
+
+    const maxAttempts = this.options.maxRetries + 1;
+    let lastResult = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      lastResult = await this.sendAttempt(webhook, event, deliveryId, body, attempt);
+
+      await this.auditStorage.recordWebhookDelivery({
+        webhookId: webhook.id,
+        deliveryId,
+        event,
+        attempt,
+        ...lastResult
+      });
+
+      if (lastResult.success || !lastResult.retryable) break;
+
+      if (attempt < maxAttempts) {
+        await this.sleep(this.options.retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+
+    await this.recordOutcome(webhook, lastResult.success);
+
+    return {
+      webhookId: webhook.id,
+      deliveryId,
+      success: lastResult.success,
+      statusCode: lastResult.statusCode,
+      error: lastResult.error
+    };
+  }
+
+  async sendAttempt(webhook, event, deliveryId, body, attempt) {
+    // Se firma en cada intento para que el timestamp no quede fuera de la ventana de tolerancia del receptor
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = this.sign(webhook.secret, timestamp, body);
+    const start = Date.now();
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        timeout: this.options.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Web-Audit-Disconnect-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Attempt': String(attempt),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signature}`
+        }
+      });
+
+      const success = response.status >= 200 && response.status < 300;
+      return {
+        success,
+        statusCode: response.status,
+        error: success ? null : `HTTP ${response.status}`,
+        // 4xx (salvo 408/429) indica un problema del receptor que no se arregla reintentando
+        retryable: !success && (response.status >= 500 || response.status === 408 || response.status === 429),
+        durationMs: Date.now() - start
+      };
+    } catch (err) {
+      return {
+        success: false,
+        statusCode: null,
+        error: err.code || err.message,
+        retryable: true,
+        durationMs: Date.now() - start
+      };
+    }
+  }
+
+  // Firma HMAC-SHA256 sobre "<timestamp>.<body>"; el receptor debe recalcularla con el mismo secreto
+  sign(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async recordOutcome(webhook, success) {
+    if (success) {
+      await this.auditStorage.updateWebhook(webhook.id, { failureCount: 0, lastTriggered: new Date() });
+      return;
+    }
+
+    // El contador se incrementa en la base: el valor en memoria del webhook puede estar desactualizado
+    const failureCount = await this.auditStorage.incrementWebhookFailures(webhook.id);
+    if (failureCount !== null && failureCount >= this.options.disableAfterFailures) {
+      await this.auditStorage.updateWebhook(webhook.id, { active: false });
+      logger.warn(`Webhook ${webhook.id} disabled after ${failureCount} consecutive failed deliveries`);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default WebhookManager;